@@ -8,17 +8,33 @@
   - SIMULATED (default): generates a synthetic ECG waveform in mV for quick testing.
   - ANALOG: read from analog pins and compute derived leads; update pin mapping as needed.
 
-  Set MODE_SIMULATED to false to switch to analog mode.
+  Set MODE_SIMULATED to false to start in analog mode (the app can also switch it).
+
+  Set BINARY_FRAMES to true to send compact binary frames instead of JSON
+  (20 bytes per sample with sequence number and CRC; see src/io/frames.js).
+  The app detects the format by itself.
+
+  On start-up a metadata line tells the app the sample rate, units and channel
+  order, so "Sample rate" and "Input Units" are set automatically.
+
+  The app can send commands back (see README "Device commands"): INFO, STREAM ON|OFF,
+  MODE SIM|ANALOG and RATE <hz>. This sketch has no calibration, so CALIBRATE is refused.
 */
 
 #include <Arduino.h>
 
 // ===== Configuration =====
-static const bool MODE_SIMULATED = true;   // set false to read analog
+static const bool MODE_SIMULATED = true;   // start-up mode; set false to read analog
+static const bool BINARY_FRAMES = false;   // set true for binary frames instead of JSON lines
 static const uint32_t BAUD = 115200;
-static const float SAMPLE_RATE_HZ = 125.0f;
+static const float SAMPLE_RATE_HZ = 125.0f; // start-up rate
 
-// Analog pin mapping (if MODE_SIMULATED=false)
+// Current settings, changed by commands from the app
+bool simulated = MODE_SIMULATED;
+bool streaming = true;
+float sampleRateHz = SAMPLE_RATE_HZ;
+
+// Analog pin mapping (analog mode)
 // Expecting differential front-end producing Lead I (LA-RA) and Lead II (LL-RA) as analog voltages.
 // If you only have raw electrodes to single-ended ADC, you'll need instrumentation amps; otherwise keep simulated.
 static const uint8_t PIN_LEAD_I  = A0; // Lead I analog input (mV scaled)
@@ -55,27 +71,124 @@ float ecgSynth(float t) {
   return v; // millivolts
 }
 
+// CRC-16/CCITT-FALSE, as checked by the app
+uint16_t crc16(const uint8_t* data, size_t len) {
+  uint16_t crc = 0xFFFF;
+  for (size_t i = 0; i < len; i++) {
+    crc ^= (uint16_t)data[i] << 8;
+    for (uint8_t b = 0; b < 8; b++) crc = (crc & 0x8000) ? (crc << 1) ^ 0x1021 : crc << 1;
+  }
+  return crc;
+}
+
+// Frame: A5 5A, seq (u16 LE), channel count, format (0x82 = int16 microvolts), samples (i16 LE), CRC (u16 LE)
+void sendFrame(const float* mv, uint8_t n) {
+  static uint16_t seq = 0;
+  uint8_t frame[6 + 8 * 2 + 2];
+  frame[0] = 0xA5; frame[1] = 0x5A;
+  frame[2] = seq & 0xFF; frame[3] = seq >> 8;
+  frame[4] = n;
+  frame[5] = 0x82;
+  for (uint8_t i = 0; i < n; i++) {
+    long uv = lround(mv[i] * 1000.0f);
+    if (uv > 32767) uv = 32767;
+    if (uv < -32768) uv = -32768;
+    frame[6 + 2 * i] = (uint16_t)uv & 0xFF;
+    frame[7 + 2 * i] = ((uint16_t)uv >> 8) & 0xFF;
+  }
+  const size_t len = 6 + 2 * n;
+  const uint16_t crc = crc16(frame + 2, len - 2);
+  frame[len] = crc & 0xFF; frame[len + 1] = crc >> 8;
+  Serial.write(frame, len + 2);
+  seq++;
+}
+
+// Device metadata line (see README "Device metadata")
+void sendMeta() {
+  Serial.print(F("{\"type\":\"meta\",\"sampleRate\":"));
+  Serial.print(sampleRateHz, 0);
+  if (simulated) Serial.print(F(",\"units\":\"mv\",\"mode\":\"sim\""));
+  else Serial.print(F(",\"units\":\"adc\",\"adcBits\":10,\"vref\":5.0,\"mode\":\"analog\""));
+  Serial.print(streaming ? F(",\"streaming\":true") : F(",\"streaming\":false"));
+  Serial.println(F(",\"channels\":[\"I\",\"II\",\"III\",\"aVR\",\"aVL\",\"aVF\"],\"firmware\":\"1.2\",\"device\":\"ECG sender\",\"calibration\":\"none\"}"));
+}
+
+// Command acknowledgement; error is null when the command succeeded
+void sendAck(long id, const char* error) {
+  Serial.print(F("{\"type\":\"ack\",\"id\":"));
+  Serial.print(id);
+  if (error) { Serial.print(F(",\"ok\":false,\"error\":\"")); Serial.print(error); Serial.println(F("\"}")); }
+  else Serial.println(F(",\"ok\":true}"));
+}
+
+// One command line from the app: "<id> <VERB> [arg]"
+void handleCommand(char* line) {
+  char* idText = strtok(line, " ");
+  char* verb = strtok(NULL, " ");
+  char* arg = strtok(NULL, " ");
+  if (!idText || !verb) return;
+  const long id = atol(idText);
+  if (!strcmp(verb, "INFO")) { sendMeta(); sendAck(id, NULL); }
+  else if (!strcmp(verb, "STREAM")) {
+    if (arg && !strcmp(arg, "ON")) streaming = true;
+    else if (arg && !strcmp(arg, "OFF")) streaming = false;
+    else { sendAck(id, "expected ON or OFF"); return; }
+    sendAck(id, NULL);
+  }
+  else if (!strcmp(verb, "MODE")) {
+    if (arg && !strcmp(arg, "SIM")) simulated = true;
+    else if (arg && !strcmp(arg, "ANALOG")) { simulated = false; pinMode(PIN_LEAD_I, INPUT); pinMode(PIN_LEAD_II, INPUT); }
+    else { sendAck(id, "expected SIM or ANALOG"); return; }
+    sendMeta(); // units change with the mode
+    sendAck(id, NULL);
+  }
+  else if (!strcmp(verb, "RATE")) {
+    const long hz = arg ? atol(arg) : 0;
+    if (hz < 20 || hz > 1000) { sendAck(id, "rate must be 20-1000 Hz"); return; }
+    sampleRateHz = hz;
+    sendMeta();
+    sendAck(id, NULL);
+  }
+  else if (!strcmp(verb, "CALIBRATE")) sendAck(id, "no calibration on this device");
+  else sendAck(id, "unknown command");
+}
+
+// Collects command lines without blocking the sample loop
+void readCommands() {
+  static char line[32];
+  static uint8_t length = 0;
+  while (Serial.available()) {
+    const char c = Serial.read();
+    if (c == '\n' || c == '\r') {
+      if (length) { line[length] = 0; handleCommand(line); length = 0; }
+    } else if (length < sizeof(line) - 1) line[length++] = c;
+  }
+}
+
 void setup(){
   Serial.begin(BAUD);
   while(!Serial){ ; }
-  if (!MODE_SIMULATED){
+  sendMeta();
+  if (!simulated){
     pinMode(PIN_LEAD_I, INPUT);
     pinMode(PIN_LEAD_II, INPUT);
   }
 }
 
 void loop(){
+  readCommands();
   static uint32_t lastMicros = micros();
-  const uint32_t intervalUs = (uint32_t)(1000000.0f / SAMPLE_RATE_HZ);
+  const uint32_t intervalUs = (uint32_t)(1000000.0f / sampleRateHz);
   const uint32_t now = micros();
+  if (!streaming) { lastMicros = now; return; }
   if ((now - lastMicros) < intervalUs) return;
   lastMicros += intervalUs;
 
   float lead1, lead2, lead3, avr, avl, avf;
 
-  if (MODE_SIMULATED){
+  if (simulated){
     static float t = 0.0f;
-    t += 1.0f / SAMPLE_RATE_HZ;
+    t += 1.0f / sampleRateHz;
     // Create two slightly different leads
     lead1 = ecgSynth(t);
     lead2 = ecgSynth(t + 0.005f);
@@ -99,6 +212,13 @@ void loop(){
     avf = ll - (ra + la)/2.0f;
   }
 
+  if (BINARY_FRAMES){
+    // frames carry microvolts, so values must be in mV (simulated mode or a calibrated front-end)
+    const float values[6] = { lead1, lead2, lead3, avr, avl, avf };
+    sendFrame(values, 6);
+    return;
+  }
+
   // Emit JSON line (values are in mV when simulated mode is on)
   Serial.print('{');
   Serial.print("\"lead1\":"); Serial.print(lead1, 3); Serial.print(',');
@@ -13,7 +13,11 @@
   - Set MV_PER_UNIT to define how your filtered units map to mV. If you set
     REF_MV=1.0 and calibrate on a 1 mV reference, you'll get ~true mV.
   - If your amplifier polarity is flipped, set INVERT_CH1/INVERT_CH2 to true.
-  - Keep the web app "Input Units" set to mV.
+  - Keep the web app "Input Units" set to mV (the metadata line sent at start-up
+    and after calibration sets it, the sample rate and the calibration state).
+  - Commands from the app (README "Device commands"): INFO, STREAM ON|OFF and
+    CALIBRATE (restarts the auto-calibration). The filter is designed for 125 Hz
+    and there is no simulated signal, so RATE and MODE SIM are refused.
 */
 
 // Note: In Arduino IDE, you don't need to include Arduino.h in .ino files;
@@ -71,12 +75,75 @@ static float min1_ =  1e9f, max1_ = -1e9f;
 static float min2_ =  1e9f, max2_ = -1e9f;
 static float baseline1 = 0.0f, baseline2 = 0.0f;
 static float gain1 = 1.0f, gain2 = 1.0f;
+static bool streaming = true;
+
+// Device metadata line (see the app's README, "Device metadata")
+static void sendMeta(bool done){
+  Serial.print(F("{\"type\":\"meta\",\"sampleRate\":"));
+  Serial.print(SAMPLE_RATE_HZ);
+  Serial.print(F(",\"units\":\"mv\",\"mode\":\"analog\",\"channels\":[\"I\",\"II\",\"III\",\"aVR\",\"aVL\",\"aVF\"],\"firmware\":\"1.2\",\"device\":\"Nano dual ECG\",\"calibration\":\""));
+  Serial.print(done ? F("done") : F("running"));
+  Serial.print(streaming ? F("\",\"streaming\":true") : F("\",\"streaming\":false"));
+  Serial.println('}');
+}
+
+static void startCalibration(){
+  calibrated = false;
+  calibStartMs = millis();
+  min1_ = min2_ = 1e9f;
+  max1_ = max2_ = -1e9f;
+}
+
+// Command acknowledgement; error is null when the command succeeded
+static void sendAck(long id, const char* error){
+  Serial.print(F("{\"type\":\"ack\",\"id\":"));
+  Serial.print(id);
+  if (error) { Serial.print(F(",\"ok\":false,\"error\":\"")); Serial.print(error); Serial.println(F("\"}")); }
+  else Serial.println(F(",\"ok\":true}"));
+}
+
+// One command line from the app: "<id> <VERB> [arg]"
+static void handleCommand(char* line){
+  char* idText = strtok(line, " ");
+  char* verb = strtok(NULL, " ");
+  char* arg = strtok(NULL, " ");
+  if (!idText || !verb) return;
+  const long id = atol(idText);
+  if (!strcmp(verb, "INFO")) { sendMeta(calibrated); sendAck(id, NULL); }
+  else if (!strcmp(verb, "STREAM")) {
+    if (arg && !strcmp(arg, "ON")) streaming = true;
+    else if (arg && !strcmp(arg, "OFF")) streaming = false;
+    else { sendAck(id, "expected ON or OFF"); return; }
+    sendAck(id, NULL);
+  }
+  else if (!strcmp(verb, "CALIBRATE")) {
+    sendAck(id, NULL);
+    startCalibration();
+    sendMeta(false);
+  }
+  else if (!strcmp(verb, "MODE")) sendAck(id, arg && !strcmp(arg, "ANALOG") ? NULL : "analog input only");
+  else if (!strcmp(verb, "RATE")) sendAck(id, "fixed 125 Hz (filter design)");
+  else sendAck(id, "unknown command");
+}
+
+// Collects command lines without blocking the sample loop
+static void readCommands(){
+  static char line[32];
+  static uint8_t length = 0;
+  while (Serial.available()) {
+    const char c = Serial.read();
+    if (c == '\n' || c == '\r') {
+      if (length) { line[length] = 0; handleCommand(line); length = 0; }
+    } else if (length < sizeof(line) - 1) line[length++] = c;
+  }
+}
 
 void setup(){
   Serial.begin(BAUD_RATE);
   while(!Serial){;}
   initFilter();
-  calibStartMs = millis();
+  startCalibration();
+  sendMeta(false);
 }
 
 static inline void updateCalibration(float f1, float f2){
@@ -92,6 +159,7 @@ static inline void updateCalibration(float f1, float f2){
     gain1 = REF_MV / amp1;
     gain2 = REF_MV / amp2;
     calibrated = true;
+    sendMeta(true);
   }
 }
 
@@ -114,6 +182,7 @@ static inline void emitJson(float lead1_mv, float lead2_mv){
 }
 
 void loop(){
+  readCommands();
   static unsigned long lastUs = micros();
   const unsigned long intervalUs = (unsigned long)(1000000UL / SAMPLE_RATE_HZ);
   unsigned long now = micros();
@@ -141,6 +210,6 @@ void loop(){
   float lead1_mv = s1 * MV_PER_UNIT;
   float lead2_mv = s2 * MV_PER_UNIT;
 
-  // Emit full 6-lead JSON line
-  emitJson(lead1_mv, lead2_mv);
+  // Emit full 6-lead JSON line (filtering and calibration keep running while paused)
+  if (streaming) emitJson(lead1_mv, lead2_mv);
 }
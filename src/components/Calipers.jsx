@@ -0,0 +1,88 @@
+import React, { useState } from 'react'
+import { CALIPER_MODES, stripAt, caliperStrip, caliperFromDrag, caliperShapes, crosshairText } from '../report/calipers'
+
+const COLOR = '#7c3aed'
+
+function Shape({ shape, dashed }){
+  return (
+    <g>
+      {shape.lines.map(([x1, y1, x2, y2], i) => (
+        <line key={i} x1={x1} y1={y1} x2={x2} y2={y2} stroke={COLOR} strokeWidth={1.5} vectorEffect="non-scaling-stroke" strokeDasharray={dashed ? '4 3' : undefined} />
+      ))}
+      <text x={shape.label.x} y={shape.label.y} fill={COLOR} fontSize={13} fontWeight="bold" fontFamily="Inter, system-ui, Arial"
+        stroke="#ffffff" strokeWidth={3} paintOrder="stroke">{shape.label.text}</text>
+    </g>
+  )
+}
+
+// Measurement layer over a canvas of width × height pixels (stretched with it), on
+// the strips it was drawn with (report/calipers.js). In 'calipers' and 'march' mode a
+// drag adds a caliper through onAdd; 'crosshair' reads time and voltage at the cursor.
+export default function CaliperOverlay({ width, height, strips, calipers, mode, source, onAdd }){
+  const [drag, setDrag] = useState(null) // { strip, start, end }
+  const [hover, setHover] = useState(null) // { strip, x, y }
+
+  function toCanvas(ev){
+    const rect = ev.currentTarget.getBoundingClientRect()
+    return { x: (ev.clientX - rect.left) * width / rect.width, y: (ev.clientY - rect.top) * height / rect.height }
+  }
+
+  function onPointerDown(ev){
+    if (mode !== 'calipers' && mode !== 'march') return
+    const p = toCanvas(ev)
+    const strip = stripAt(strips, p.x, p.y)
+    if (!strip) return
+    ev.currentTarget.setPointerCapture(ev.pointerId)
+    setDrag({ strip, start: p, end: p })
+  }
+
+  function onPointerMove(ev){
+    const p = toCanvas(ev)
+    if (drag){
+      setDrag({ ...drag, end: { x: Math.max(drag.strip.x0, Math.min(drag.strip.x1, p.x)), y: p.y } })
+      return
+    }
+    const strip = mode === 'crosshair' ? stripAt(strips, p.x, p.y) : null
+    setHover(strip ? { strip, ...p } : null)
+  }
+
+  function onPointerUp(){
+    if (!drag) return
+    const c = caliperFromDrag(drag.strip, drag.start, drag.end, mode, source)
+    setDrag(null)
+    if (c) onAdd(c)
+  }
+
+  const draft = drag && caliperFromDrag(drag.strip, drag.start, drag.end, mode, source)
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none"
+      style={{position:'absolute',left:0,top:0,width:'100%',height:'100%',pointerEvents: mode === 'off' ? 'none' : 'auto',cursor: mode === 'off' ? 'default' : 'crosshair',touchAction:'none'}}
+      onPointerDown={onPointerDown} onPointerMove={onPointerMove} onPointerUp={onPointerUp} onPointerLeave={()=>setHover(null)}>
+      {calipers.map((c, i) => {
+        const strip = caliperStrip(strips, c)
+        return strip ? <Shape key={i} shape={caliperShapes(strip, c)} /> : null
+      })}
+      {draft && <Shape shape={caliperShapes(drag.strip, draft)} dashed />}
+      {hover && (
+        <Shape shape={{
+          lines: [[hover.x, hover.strip.top, hover.x, hover.strip.bottom], [hover.strip.x0, hover.y, hover.strip.x1, hover.y]],
+          label: { x: hover.x + 6, y: hover.y - 6, text: crosshairText(hover.strip, hover.x, hover.y) }
+        }} dashed />
+      )}
+    </svg>
+  )
+}
+
+// Tool selector and a clear button for one overlay
+export function CaliperControls({ mode, onMode, count, onClear }){
+  return (
+    <>
+      <label title="Drag across a strip: sideways for time (ms, bpm), up or down for amplitude (mV)">Measure:
+        <select value={mode} onChange={e=>onMode(e.target.value)}>
+          {CALIPER_MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+        </select>
+      </label>
+      {count > 0 && <button className="btn" onClick={onClear}>Clear {count} measurement{count > 1 ? 's' : ''}</button>}
+    </>
+  )
+}
@@ -0,0 +1,48 @@
+import React, { useState } from 'react'
+import { DEVICE_MODES } from '../io/commands'
+
+// Commands to a device that answers the command channel. `onCommand(verb, arg)`
+// resolves when the device acknowledges; its error (refused, no reply) is shown here.
+export default function DeviceControls({ streaming, mode, sampleRate, calibrating, onCommand }){
+  const [busy, setBusy] = useState(false)
+  const [message, setMessage] = useState(null) // { text, error }
+  const [rate, setRate] = useState(sampleRate)
+
+  async function run(label, verb, arg = null){
+    setBusy(true)
+    setMessage(null)
+    try {
+      await onCommand(verb, arg)
+      setMessage({ text: `${label}: done`, error: false })
+    } catch(e){
+      setMessage({ text: e.message || String(e), error: true })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div style={{display:'flex',gap:8,alignItems:'center',flexWrap:'wrap'}}>
+      <span style={{fontSize:12,color:'#9ca3af'}}>Device:</span>
+      <button className="btn" disabled={busy} onClick={()=>run(streaming ? 'Stream paused' : 'Stream resumed', 'STREAM', streaming ? 'OFF' : 'ON')}>
+        {streaming ? '⏸ Pause stream' : '▶ Resume stream'}
+      </button>
+      <button className="btn" disabled={busy || calibrating} onClick={()=>run('Calibration started', 'CALIBRATE')} title="Restart the device's auto-calibration">
+        🔄 Re-calibrate
+      </button>
+      <label>Source:
+        <select value={mode || ''} disabled={busy} onChange={e=>run('Source switched', 'MODE', e.target.value)}>
+          {!mode && <option value="">Unknown</option>}
+          {DEVICE_MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+        </select>
+      </label>
+      <label title="Ask the device to sample at this rate">Device rate (Hz):
+        <input type="number" min="20" max="1000" step="1" value={rate} onChange={e=>setRate(parseInt(e.target.value) || '')} style={{width:64}} />
+      </label>
+      <button className="btn" disabled={busy || !rate} onClick={()=>run(`Rate set to ${rate} Hz`, 'RATE', rate)}>Set rate</button>
+      <button className="btn" disabled={busy} onClick={()=>run('Device info refreshed', 'INFO')}>ℹ Device info</button>
+      {busy && <span style={{fontSize:12,color:'#9ca3af'}}>Waiting for the device…</span>}
+      {!busy && message && <span style={{fontSize:12,color: message.error ? '#ffb4b4' : '#9ca3af'}}>{message.text}</span>}
+    </div>
+  )
+}
@@ -1,16 +1,48 @@
 import React, { useEffect, useRef, useState } from 'react'
+import { HEXAXIAL } from '../dsp/axis'
+import { DEFAULT_PAUSE_SECONDS } from '../dsp/rhythm'
+import { analyzeRecording } from '../dsp/analysis'
+import { deriveLimbLeads, INPUT_UNITS } from '../dsp/units'
+import { assessQuality, qualityFlags, formatQualityFlags, qualityLabel, QUALITY_GATES } from '../dsp/quality'
+import { reprocessRaw, LEAD_DERIVATIONS } from '../dsp/reprocess'
+import { removeBaseline, BASELINE_MODES } from '../dsp/baseline'
+import { designFilterChain, describeFilter, DEFAULT_FILTER_SETTINGS } from '../dsp/filters'
+import FilterControls from './FilterControls'
+import SimulatorControls from './SimulatorControls'
+import SessionForm from './SessionForm'
+import LibraryPanel from './LibraryPanel'
+import HolterReview from './HolterReview'
+import DeviceControls from './DeviceControls'
+import QualityBadge from './QualityBadge'
+import LayoutControls from './LayoutControls'
+import ScaleControls from './ScaleControls'
+import CaliperOverlay, { CaliperControls } from './Calipers'
+import { createCommandChannel } from '../io/commands'
+import { createTransport, TRANSPORTS, BAUD_RATES, DEFAULT_WEBSOCKET_URL, PLAYBACK_SPEEDS } from '../io/transports'
+import { DEFAULT_SIM_CONFIG } from '../io/simulator'
+import { writeEdf, formatPrefiltering, EDF_BEAT_ANNOTATION } from '../io/edf'
+import { writeWfdb } from '../io/wfdb'
+import { buildReportPdf } from '../io/reportPdf'
+import { EMPTY_SESSION, ageOf, sexLabel, placementLabel, formatTimeRange, hasSessionDetails, sessionToEdf, sessionToComments } from '../io/session'
+import { PAPER_SIZES } from '../io/pdf'
+import { saveRecording, loadRecording, updateRecording } from '../io/library'
+import { createHolterRecorder, readHolterRange, formatDuration, HOLTER_DURATIONS } from '../io/holter'
+import { LEAD_KEYS } from '../io/leads'
+import { DEFAULT_LAYOUT, normalizeLayout, layoutBoxes, layoutLead, cellSamples } from '../report/layout'
+import { DEFAULT_SCALE, normalizeScale, leadMmPerMv, calPulseMm, describeScale } from '../report/scale'
+import { caliperStrip, caliperShapes, describeCaliper } from '../report/calipers'
+import { createLiveEngine } from '../live/engine'
+import { DISPLAY_MODES, liveStrips } from '../live/renderer'
 
 export default function ECGVisualizer(){
   // Defaults and constants
   const DEFAULT_SAMPLE_RATE = 125
-  const DEFAULT_PAPER_SPEED = 25 // mm/s
-  const DEFAULT_MM_PER_MV = 10 // mm per mV
+  const REPORT_CAL_ZONE_MM = 3 // report strips: around the calibration pulse, before the trace
   const DEFAULT_PIXELS_PER_MM = 3
   const DEFAULT_SECONDS = 5
   const CAPTURE_SECONDS = 15 // automatic report duration (seconds)
   const WAIT_SECONDS = 10 // wait time after capture before report ready
-  const ADC_MAX = 1023
-  const VREF = 5.0
+  const INFO_TIMEOUT_MS = 1500 // firmware that has not answered INFO by then does not take commands
 
   const [connected, setConnected] = useState(false)
   const [gain, setGain] = useState(1.0)
@@ -18,9 +50,29 @@ export default function ECGVisualizer(){
   const [isCalibrating, setIsCalibrating] = useState(false)
   const [pixelsPerMm, setPixelsPerMm] = useState(DEFAULT_PIXELS_PER_MM)
   const [secondsWindow, setSecondsWindow] = useState(DEFAULT_SECONDS)
+  const [displayMode, setDisplayMode] = useState('scroll') // live traces: 'scroll' | 'sweep'
+  const [layout, setLayout] = useState(DEFAULT_LAYOUT) // live lead layout, kept with each capture
+  const [scale, setScale] = useState(DEFAULT_SCALE) // paper speed and amplitudes, kept with each capture
   const [inputUnits, setInputUnits] = useState('mv') // 'mv' | 'adc'
-  const [filterOn, setFilterOn] = useState(true) // DSP bandpass (0.5–40 Hz)
+  const [filterOn, setFilterOn] = useState(true) // DSP filter chain on/off
+  const [filterSettings, setFilterSettings] = useState(DEFAULT_FILTER_SETTINGS) // preset, HP/LP cutoffs, mains notch
   const [advancedReport, setAdvancedReport] = useState(true)
+  const [pauseSeconds, setPauseSeconds] = useState(DEFAULT_PAUSE_SECONDS) // RR above this is reported as a pause
+  // Report-time (offline) baseline correction; the live chain stays causal
+  const [baselineMode, setBaselineMode] = useState('off')
+  const [compareBaseline, setCompareBaseline] = useState(false)
+  // Patient/session details for the next capture, and the PDF paper size
+  const [session, setSession] = useState({ ...EMPTY_SESSION, placement: 'limb' })
+  const [pdfPaper, setPdfPaper] = useState('a4')
+  // Recording library panel; the version bumps whenever a recording is saved
+  const [showLibrary, setShowLibrary] = useState(false)
+  const [libraryVersion, setLibraryVersion] = useState(0)
+  // Continuous (Holter) recording: planned length, progress of the one running, review panel
+  const [holterHours, setHolterHours] = useState(24)
+  const [holterStatus, setHolterStatus] = useState(null) // { id, elapsed, error } while recording
+  const [showHolter, setShowHolter] = useState(false)
+  const [holterReviewId, setHolterReviewId] = useState(null)
+  const [holterVersion, setHolterVersion] = useState(0)
 
   // Final Report Recording (15 seconds + 10s wait)
   const [isRecording, setIsRecording] = useState(false)
@@ -29,240 +81,111 @@ export default function ECGVisualizer(){
   const [waitProgress, setWaitProgress] = useState(0)
   const [showReport, setShowReport] = useState(false)
   const [recordedData, setRecordedData] = useState(null)
+  // Calipers: the report canvas's strips, and the tool in use on the report and on the frozen live view
+  const [reportGeometry, setReportGeometry] = useState(null)
+  const [reportCaliperMode, setReportCaliperMode] = useState('off')
+  const [liveCaliperMode, setLiveCaliperMode] = useState('off')
+  const [liveFrozen, setLiveFrozen] = useState(null) // { sampleCount, end } of the frozen live view (liveStrips)
+  const [liveCalipers, setLiveCalipers] = useState([]) // on the frozen live view; also kept with its capture
+  // Settings used to regenerate the open report from its raw samples
+  const [reprocessSettings, setReprocessSettings] = useState(null)
   const [connectError, setConnectError] = useState(null)
+  // Input source and its connection settings
+  const [sourceKind, setSourceKind] = useState('serial') // 'serial' | 'websocket' | 'file' | 'simulator'
+  const [baudRate, setBaudRate] = useState(115200)
+  const [wsUrl, setWsUrl] = useState(DEFAULT_WEBSOCKET_URL)
+  const [replayFiles, setReplayFiles] = useState([])
+  const [simConfig, setSimConfig] = useState(DEFAULT_SIM_CONFIG)
+  // Recording-file playback state mirrored from the file transport
+  const [playback, setPlayback] = useState({ position:0, duration:0, playing:false, speed:1, loop:false })
+  // Stream decoder counters (format, frames, CRC failures, sequence gaps) of the current connection
+  const [linkStats, setLinkStats] = useState(null)
+  // Metadata the device declared at connect, and the sample rate actually arriving
+  const [deviceMeta, setDeviceMeta] = useState(null)
+  const [measuredRate, setMeasuredRate] = useState(null)
+  // { streaming } once the device has answered the command channel; null for older firmware
+  const [deviceControl, setDeviceControl] = useState(null)
+  // Live signal quality per lead ({ I: result, … }, null until the window fills) and what low quality does
+  const [quality, setQuality] = useState(null)
+  const [qualityGate, setQualityGate] = useState('flag') // 'off' | 'flag' | 'block'
+  const openFileInputRef = useRef(null)
   const reportCanvasRef = useRef(null)
 
   const leads = ['Lead I','Lead II','Lead III','aVR','aVL','aVF']
-  // Paired layout: [Lead I, aVL], [Lead II, aVF], [Lead III, aVR]
-  const leadPairs = [
-    [0, 4], // Lead I (idx 0) + aVL (idx 4)
-    [1, 5], // Lead II (idx 1) + aVF (idx 5)
-    [2, 3]  // Lead III (idx 2) + aVR (idx 3)
-  ]
 
   // Refs
-  const portRef = useRef(null)
-  const readerRef = useRef(null)
-  const bufferRef = useRef([]) // Float32Array per lead
-  const writeIndexRef = useRef(0)
+  const transportRef = useRef(null)
   const runningRef = useRef(false)
-  const pairCanvasRefs = useRef([]) // 3 canvases for 3 rows of paired leads
-  // DSP filter state per lead (one-pole HP + one-pole LP)
-  const hpStateRef = useRef(leads.map(()=>({x1:0,y1:0})))
-  const lpStateRef = useRef(leads.map(()=>({y1:0})))
-  const hpAlphaRef = useRef(0)
-  const lpAlphaRef = useRef(0)
+  // Live view engine (src/live); it puts its canvas in the container
+  const engineRef = useRef(null)
+  const liveContainerRef = useRef(null)
+  const liveItemsRef = useRef(null) // item handler of the latest render, for the engine's callbacks
+  const filterOnRef = useRef(filterOn)
+  const inputUnitsRef = useRef(inputUnits)
+  const simConfigRef = useRef(simConfig)
   // Recording via refs to avoid stale closures
   const recordRef = useRef({ active:false, data:null, count:0 })
   const autoStopTriggeredRef = useRef(false)
+  const holterRef = useRef(null) // Holter recorder; samples go straight to IndexedDB chunks
+  const deviceMetaRef = useRef(null)
+  const adcRef = useRef(null) // { bits, vref } declared by the device, for ADC count conversion
+  const samplesInRef = useRef(0) // samples received on this connection, for the rate check
+  const commandsRef = useRef(null) // command channel to the device, when the transport can write
+  const streamPausedRef = useRef(false)
+  const calibTimeoutRef = useRef(null) // fallback end of calibration for firmware that does not announce it
+  const qualityRef = useRef(null)
   const manualStopRef = useRef(false)
   const sampleRateRef = useRef(sampleRate)
-  const freezeDisplayRef = useRef(false)
-  const frozenBufferRef = useRef(null)
+  const pauseSecondsRef = useRef(pauseSeconds)
 
-  // (re)initialize buffers when secondsWindow changes
+  // The live pipeline (decoding, units, filters, beat detection, quality, ring buffers)
+  // and trace rendering; in a worker drawing on OffscreenCanvas where the browser allows
   useEffect(()=>{
-    const samples = Math.max(1, Math.floor(sampleRate * secondsWindow))
-    bufferRef.current = leads.map(()=>new Float32Array(samples))
-    writeIndexRef.current = 0
-  },[secondsWindow, sampleRate])
+    const engine = createLiveEngine({ container: liveContainerRef.current, onItems: items => liveItemsRef.current(items) })
+    engineRef.current = engine
+    return ()=>{ engine.destroy(); engineRef.current = null }
+  },[])
 
-  // Size helper to keep canvas attributes in sync with settings
-  function sizeAllCanvases(){
-    const samples = bufferRef.current[0]?.length || Math.max(1, Math.floor(sampleRate * secondsWindow))
-    const mmPerSample = DEFAULT_PAPER_SPEED / sampleRate
-    const width = Math.max(800, Math.floor(samples * pixelsPerMm * mmPerSample))
-    for (let i=0; i<leadPairs.length; i++){
-      const el = pairCanvasRefs.current[i]
-      if(!el) continue
-      el.width = width
-      el.height = 100 // Height for one row with 2 leads side by side
-    }
-  }
-
-  // Ensure canvas dimensions track settings
-  useEffect(()=>{ sizeAllCanvases() },[pixelsPerMm, secondsWindow])
+  useEffect(()=>{
+    if (engineRef.current) engineRef.current.configure({ sampleRate, secondsWindow, inputUnits, filterOn, filterSettings, pixelsPerMm, gain, displayMode, layout, scale })
+  },[sampleRate, secondsWindow, inputUnits, filterOn, filterSettings, pixelsPerMm, gain, displayMode, layout, scale])
 
   // keep sampleRate in a ref for use inside serial loop
   useEffect(()=>{ sampleRateRef.current = sampleRate },[sampleRate])
+  useEffect(()=>{ pauseSecondsRef.current = pauseSeconds },[pauseSeconds])
+
+  useEffect(()=>{ filterOnRef.current = filterOn },[filterOn])
+  useEffect(()=>{ inputUnitsRef.current = inputUnits },[inputUnits])
+  useEffect(()=>{ simConfigRef.current = simConfig },[simConfig])
+  useEffect(()=>{ liveItemsRef.current = handleLiveItems })
 
-  // Recompute filter coefficients when sampleRate changes
+  // The quality window restarts with the beat detector when the sample rate changes
   useEffect(()=>{
-    const dt = 1/Math.max(1, sampleRateRef.current)
-    // High-pass ~0.5 Hz
-    const hpFc = 0.5
-    const hpRc = 1/(2*Math.PI*hpFc)
-    hpAlphaRef.current = hpRc/(hpRc + dt)
-    // Low-pass ~40 Hz
-    const lpFc = 40
-    const lpRc = 1/(2*Math.PI*lpFc)
-    lpAlphaRef.current = dt/(lpRc + dt)
-    // reset states when rate changes
-    hpStateRef.current = leads.map(()=>({x1:0,y1:0}))
-    lpStateRef.current = leads.map(()=>({y1:0}))
-  // eslint-disable-next-line react-hooks/exhaustive-deps
+    qualityRef.current = null
+    setQuality(null)
   },[sampleRate])
 
-  // Convert incoming value to mV (heuristic)
-  function valueToMv(v){
-    if (typeof v !== 'number' || isNaN(v)) return 0
-    if (inputUnits === 'adc'){
-      // Treat v as raw ADC counts (0..1023) and convert to mV using VREF
-      const volts = (v * VREF) / ADC_MAX
-      return volts * 1000
-    }
-    // inputUnits === 'mv': already in millivolts
-    return v
-  }
-
-  function drawGrid(ctx, width, height, pixelsPerMm){
-    // Dark theme grid
-    ctx.fillStyle = '#0b0f14'
-    ctx.fillRect(0,0,width,height)
-    const px = pixelsPerMm
-    ctx.strokeStyle = 'rgba(148,163,184,0.12)'
-    ctx.lineWidth = 0.6
-    for(let x=0;x<=width;x+=px){ctx.beginPath();ctx.moveTo(x+0.5,0);ctx.lineTo(x+0.5,height);ctx.stroke()}
-    for(let y=0;y<=height;y+=px){ctx.beginPath();ctx.moveTo(0,y+0.5);ctx.lineTo(width,y+0.5);ctx.stroke()}
-    ctx.strokeStyle = 'rgba(148,163,184,0.22)'
-    ctx.lineWidth = 1.0
-    for(let x=0;x<=width;x+=px*5){ctx.beginPath();ctx.moveTo(x+0.5,0);ctx.lineTo(x+0.5,height);ctx.stroke()}
-    for(let y=0;y<=height;y+=px*5){ctx.beginPath();ctx.moveTo(0,y+0.5);ctx.lineTo(width,y+0.5);ctx.stroke()}
-  }
-
-  function drawAll(){
-    const samples = bufferRef.current[0]?.length || 1
-    const mmPerSample = DEFAULT_PAPER_SPEED / sampleRate
-    const xStep = pixelsPerMm * mmPerSample
-
-    // Draw each row with paired leads side by side
-    for(let rowIdx=0; rowIdx<leadPairs.length; rowIdx++){
-      const canvas = pairCanvasRefs.current[rowIdx]
-      if(!canvas) continue
-      const ctx = canvas.getContext('2d')
-      const w = canvas.width
-      const h = canvas.height
-
-      drawGrid(ctx,w,h,pixelsPerMm)
-
-      const [leftLeadIdx, rightLeadIdx] = leadPairs[rowIdx]
-      const halfW = w / 2
-      
-      // If display is frozen, draw from frozenBuffer snapshot; otherwise draw from live ring buffer
-      if (freezeDisplayRef.current && frozenBufferRef.current) {
-        const frozen = frozenBufferRef.current
-        drawLeadTrace(ctx, leftLeadIdx, 0, halfW, h, samples, xStep, leads[leftLeadIdx], frozen[leftLeadIdx])
-        drawLeadTrace(ctx, rightLeadIdx, halfW, halfW, h, samples, xStep, leads[rightLeadIdx], frozen[rightLeadIdx])
-      } else {
-        // Draw left lead (e.g., Lead I)
-        drawLeadTrace(ctx, leftLeadIdx, 0, halfW, h, samples, xStep, leads[leftLeadIdx])
-        
-        // Draw right lead (e.g., aVL)
-        drawLeadTrace(ctx, rightLeadIdx, halfW, halfW, h, samples, xStep, leads[rightLeadIdx])
-      }
-    }
-  }
-
-  // samplesArr is an optional plain array used when drawing a frozen snapshot.
-  function drawLeadTrace(ctx, leadIdx, xOffset, width, height, samples, xStep, leadName, samplesArr){
-    const baselineY = Math.floor(height/2)
-    
-    // midline
-    ctx.strokeStyle='rgba(148,163,184,0.12)'
-    ctx.lineWidth = 0.5
-    ctx.beginPath()
-    ctx.moveTo(xOffset, baselineY+0.5)
-    ctx.lineTo(xOffset + width, baselineY+0.5)
-    ctx.stroke()
-
-    // calibration pulse (1 mV, 200 ms) at left
-    const calHeightPx = 10 * pixelsPerMm // 10 mm = 1 mV
-    const calWidthPx = 5 * pixelsPerMm   // 5 mm = 0.2 s at 25 mm/s
-    const calX = xOffset + 8
-    ctx.fillStyle = '#00d9ff'
-    ctx.shadowColor = 'rgba(0,217,255,0.5)'
-    ctx.shadowBlur = 8
-    ctx.beginPath()
-    ctx.moveTo(calX, baselineY)
-    ctx.lineTo(calX, baselineY - calHeightPx)
-    ctx.lineTo(calX + calWidthPx, baselineY - calHeightPx)
-    ctx.lineTo(calX + calWidthPx, baselineY)
-    ctx.closePath()
-    ctx.fill()
-    ctx.shadowBlur = 0
-
-    // Lead label
-    ctx.fillStyle = 'rgba(229,231,235,0.9)'
-    ctx.font = '12px Inter, system-ui, Arial'
-    ctx.fillText(leadName, calX + calWidthPx + 6, 14)
-
-    // waveform
-    ctx.lineWidth = 1.6
-    ctx.strokeStyle = '#00d9ff'
-    ctx.shadowColor = 'rgba(0,217,255,0.4)'
-    ctx.shadowBlur = 6
-    ctx.beginPath()
-    let x = xOffset
-    if (samplesArr && Array.isArray(samplesArr)){
-      // draw from frozen array sequentially
-      for (let s=0; s<samplesArr.length; s++){
-        const mv = samplesArr[s] || 0
-        const mm = mv * DEFAULT_MM_PER_MV * gain
-        const y = baselineY - mm * pixelsPerMm
-        if (s===0) ctx.moveTo(x,y)
-        else ctx.lineTo(x,y)
-        x += xStep
-        if (x > xOffset + width + 2) break
-      }
-    } else {
-      // live ring buffer draw
-      for(let s=0;s<samples;s++){
-        const idx = (writeIndexRef.current + s) % samples
-        const mv = bufferRef.current[leadIdx][idx] || 0
-        const mm = mv * DEFAULT_MM_PER_MV * gain
-        const y = baselineY - mm * pixelsPerMm
-        if(s===0) ctx.moveTo(x,y)
-        else ctx.lineTo(x,y)
-        x += xStep
-        if (x > xOffset + width + 2) break
-      }
-    }
-    ctx.stroke()
-    ctx.shadowBlur = 0
-    ctx.shadowColor = 'transparent'
-  }
-
-  // One-pole high-pass followed by one-pole low-pass per-lead
-  function filterSample(leadIdx, x){
-    // high-pass: y[n] = a*(y[n-1] + x[n] - x[n-1])
-    const aHP = hpAlphaRef.current
-    const stHP = hpStateRef.current[leadIdx]
-    const yHP = aHP * (stHP.y1 + x - stHP.x1)
-    stHP.x1 = x
-    stHP.y1 = yHP
-    // low-pass: y[n] = y[n-1] + a*(x - y[n-1]) with x=yHP
-    const aLP = lpAlphaRef.current
-    const stLP = lpStateRef.current[leadIdx]
-    const y = stLP.y1 + aLP * (yHP - stLP.y1)
-    stLP.y1 = y
-    return y
+  // Filter settings actually applied to incoming samples, for labels and reports
+  function activeFilterLabel(){
+    if (!filterOnRef.current) return 'Off'
+    return describeFilter(designFilterChain(filterSettings, sampleRateRef.current))
   }
 
-  // animation - always run so live ECG continues while report modal is open
-  useEffect(()=>{
-    let raf = null
-    function tick(){ drawAll(); raf = requestAnimationFrame(tick) }
-    raf = requestAnimationFrame(tick)
-    return ()=>{ if(raf) cancelAnimationFrame(raf) }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  },[pixelsPerMm,secondsWindow,gain])
-
-  // Draw report to a given canvas (shared by modal and export)
+  // Draw report to a given canvas (shared by modal and export). Returns the canvas size and
+  // where each lead was drawn ({ width, height, strips }, see report/calipers.js) for the calipers overlay.
   function drawReportPage(canvas, data) {
     const ctx = canvas.getContext('2d')
     const ppm = 6 // pixels per mm - realistic ECG paper resolution
     const paperWidth = 280 // mm - standard ECG strip width
-    const paperHeight = 200 // mm - realistic height for 6 leads
+    // the layout the report was captured with: shorter rows past three, a 26 mm rhythm strip under them
+    const reportLayout = normalizeLayout(data && data.__meta && data.__meta.layout)
+    const leadHeightMm = reportLayout.rows <= 3 ? 26 : 20
+    const rhythmHeightMm = reportLayout.rhythmLead ? 26 : 0
+    const gridHeightMm = reportLayout.rows * leadHeightMm + rhythmHeightMm
+    // caliper measurements are listed at the bottom
+    const reportCalipers = (data && data.__meta && data.__meta.calipers) || []
+    const calipersMm = reportCalipers.length ? 8 + 5 * reportCalipers.length : 0
+    const paperHeight = Math.max(200, 100 + gridHeightMm) + calipersMm // mm - header, leads, then axis and interpretation
     canvas.width = paperWidth * ppm
     canvas.height = paperHeight * ppm
 
@@ -280,7 +203,7 @@ export default function ECGVisualizer(){
     for (let y = 0; y <= canvas.height; y += ppm) { 
       ctx.beginPath(); ctx.moveTo(0,y); ctx.lineTo(canvas.width,y); ctx.stroke() 
     }
-    // Major 5mm grid (0.5 second at 25mm/s, 0.5mV at 10mm/mV)
+    // Major 5mm grid
     ctx.strokeStyle = 'rgba(220,38,38,0.9)'
     ctx.lineWidth = 2
     for (let x = 0; x <= canvas.width; x += ppm*5) { 
@@ -298,46 +221,55 @@ export default function ECGVisualizer(){
     // Header with comprehensive info
     ctx.fillStyle = '#000'
     ctx.font = 'bold 18px Arial, Helvetica, sans-serif'
-  const firstLead = data['Lead I'] || data['I'] || data['Lead II'] || data['II'] || data['Lead III'] || data['III']
-  const recordedSeconds = firstLead ? (firstLead.length / sampleRate).toFixed(1) : '0.0'
   // If metadata exists, show that this is a 1s excerpt at the 15s mark (or other capture time)
   const meta = data && data.__meta ? data.__meta : null
+  // the rate the report was captured at, not the live setting
+  const fs = (meta && meta.sampleRate) || sampleRateRef.current
+  const firstLead = data['Lead I'] || data['I'] || data['Lead II'] || data['II'] || data['Lead III'] || data['III']
+  const recordedSeconds = firstLead ? (firstLead.length / fs).toFixed(1) : '0.0'
   const headerTitle = meta && meta.excerptSeconds && meta.captureAt ? `NextECG — 6-Lead ECG Report (excerpt ${meta.excerptSeconds}s at ${meta.captureAt}s)` : `NextECG — 6-Lead ECG Report (${recordedSeconds}s)`
   ctx.fillText(headerTitle, margin, margin + 14)
     
     ctx.font = '12px Arial, Helvetica, sans-serif'
-    const dateStr = new Date().toLocaleString()
-    ctx.fillText(`Date: ${dateStr}`, margin, margin + 30)
+    // patient/session details and acquisition time captured with the recording
+    const session = (meta && meta.session) || EMPTY_SESSION
+    const textWidth = canvas.width - 2*margin - 64*ppm
+    const age = ageOf(session, meta && meta.startTime ? meta.startTime : undefined)
+    const patientLabel = [session.name || 'Unnamed patient', session.patientId && `ID ${session.patientId}`, session.dob && `DOB ${session.dob}`,
+      age != null && `${age} y`, session.sex && sexLabel(session.sex), session.referrer && `Ref: ${session.referrer}`].filter(Boolean).join('  |  ')
+    const acquiredLabel = meta && meta.startTime ? formatTimeRange(meta.startTime, meta.endTime) : 'not recorded'
+    ctx.fillText(`Patient: ${patientLabel}  |  Acquired: ${acquiredLabel}`, margin, margin + 30, textWidth)
     
   // Technical parameters
-  ctx.fillText(`Time Domain: 25 mm/s  |  Amplitude: 10 mm/mV  |  Sample Rate: ${sampleRate} Hz`, margin, margin + 44)
+  const reportScale = normalizeScale(meta && meta.scale)
+  const fiducials = meta && meta.fiducials ? meta.fiducials : []
+  // a regenerated report carries its own gain; otherwise use the live setting
+  const reportGain = meta && meta.processing ? meta.processing.gain : gain
+  ctx.fillText(`Paper: ${describeScale(reportScale, reportGain)}  |  Sample Rate: ${fs} Hz`, margin, margin + 44, textWidth)
   const recordingLabelSeconds = meta && meta.excerptSeconds ? `${meta.excerptSeconds}` : recordedSeconds
-  ctx.fillText(`Frequency Domain: Filter 0.5–40 Hz (Bandpass)  |  Recording: ${recordingLabelSeconds} seconds`, margin, margin + 58)
-
-    // Calibration pulse 1mV
-    const calX = margin
-    const calY = margin + headerH - (12*ppm)
-    ctx.strokeStyle = '#000'
-    ctx.lineWidth = 2.5
-    ctx.lineCap = 'round'
-    ctx.lineJoin = 'round'
-    ctx.beginPath()
-    ctx.moveTo(calX, calY)
-    ctx.lineTo(calX, calY + 10*ppm)
-    ctx.lineTo(calX + 5*ppm, calY + 10*ppm)
-    ctx.lineTo(calX + 5*ppm, calY)
-    ctx.stroke()
-    ctx.fillText('1mV', calX + 6*ppm, calY + 6*ppm)
+  const filterLabel = meta && meta.filter ? meta.filter : 'not recorded'
+  const baselineLabel = (BASELINE_MODES.find(m => m.id === baselineMode) || BASELINE_MODES[0]).label
+  ctx.fillText(`Frequency Domain: Filter ${filterLabel}  |  Baseline correction: ${baselineLabel}  |  Recording: ${recordingLabelSeconds} seconds`, margin, margin + 58)
+  const beats = meta && meta.rPeaks ? meta.rPeaks : []
+  const hrLabel = meta && meta.heartRate ? `${Math.round(meta.heartRate)} bpm  |  RR: ${Math.round(60000 / meta.heartRate)} ms  |  Beats: ${meta.beatCount}` : '-- bpm (not enough beats)'
+  ctx.fillText(`Heart Rate: ${hrLabel}  (Lead II R-peaks)`, margin, margin + 72)
+  const sessionLabel = [session.operator && `Operator: ${session.operator}`, session.placement && `Electrodes: ${placementLabel(session.placement)}`,
+    (meta && meta.device || session.deviceSerial) && `Device: ${[meta && meta.device, session.deviceSerial && `S/N ${session.deviceSerial}`].filter(Boolean).join(', ')}`,
+    session.notes && `Notes: ${session.notes}`].filter(Boolean).join('  |  ')
+  if (sessionLabel) ctx.fillText(sessionLabel, margin + 10*ppm, margin + 86, textWidth - 10*ppm)
+  if (meta && meta.measurements) drawMeasurementsBlock(ctx, meta.measurements, canvas.width - margin - 62*ppm, margin + 14)
 
-    // Seconds markers across header
+    // Seconds markers across header, lined up with the first column's traces (each strip has its own calibration pulse)
     const sampleLead = data['I'] || data['II'] || data['III'] || data['aVR'] || data['aVL'] || data['aVF']
-    const totalSeconds = sampleLead ? sampleLead.length / sampleRate : 10
+    const totalSeconds = sampleLead ? sampleLead.length / fs : 10
     const secondsToShow = Math.ceil(totalSeconds)
+    const traceStart = margin + (calPulseMm(reportScale) + REPORT_CAL_ZONE_MM) * ppm
     ctx.strokeStyle = '#000'
     ctx.lineWidth = 1.5
     ctx.font = '12px Arial, Helvetica, sans-serif'
     for (let s=0; s<=secondsToShow; s++){
-      const x = margin + s * 25 * ppm
+      const x = traceStart + s * reportScale.speed * ppm
+      if (x > canvas.width - margin) break
       ctx.beginPath(); ctx.moveTo(x, margin + headerH - 20); ctx.lineTo(x, margin + headerH - 10); ctx.stroke()
       ctx.fillText(`${s}s`, x + 3, margin + headerH - 14)
     }
@@ -354,83 +286,259 @@ export default function ECGVisualizer(){
       norm[short] = findSamples([long, short, `Lead ${short}`])
     }
     // Derive missing leads if requested
-    if (advancedReport) {
-      if (!norm['III'] && norm['I'] && norm['II']){
-        const a = norm['II'], b = norm['I']; const len = Math.min(a.length, b.length); const arr = new Array(len)
-        for (let k=0;k<len;k++) arr[k] = a[k] - b[k]
-        norm['III'] = arr
-      }
-      if ((!norm['aVR'] || !norm['aVL'] || !norm['aVF']) && norm['I'] && norm['II']){
-        const I = norm['I'], II = norm['II']; const len = Math.min(I.length, II.length)
-        const avr = new Array(len), avl = new Array(len), avf = new Array(len)
-        for (let k=0;k<len;k++){ const la=I[k], ll=II[k], ra=0.0; avr[k]=ra-(la+ll)/2; avl[k]=la-(ra+ll)/2; avf[k]=ll-(ra+la)/2 }
-        if (!norm['aVR']) norm['aVR']=avr
-        if (!norm['aVL']) norm['aVL']=avl
-        if (!norm['aVF']) norm['aVF']=avf
-      }
+    if (advancedReport && norm['I'] && norm['II']) {
+      const derived = deriveLimbLeads(norm['I'], norm['II'])
+      for (const short of ['III', 'aVR', 'aVL', 'aVF']) if (!norm[short]) norm[short] = derived[short]
     }
-    const leadHeightMm = 26
-    const leadHeight = leadHeightMm * ppm
     const startY = margin + headerH + 5
     const innerWidth = canvas.width - 2*margin
+    const gridHeight = gridHeightMm * ppm
+
+    // Offline baseline correction; originals kept for the before/after overlay
+    const corrected = {}
+    for (const short of shortKeys) corrected[short] = norm[short] ? removeBaseline(norm[short], fs, baselineMode, fiducials) : null
+    const overlayFor = short => compareBaseline && baselineMode !== 'off' ? norm[short] : null
+    const qualityFlagFor = short => reportQualityFlags(meta)[short] || null
+    const stripScale = short => ({ speed: reportScale.speed, mmPerMv: leadMmPerMv(reportScale, short) })
+    const boxes = layoutBoxes(reportLayout, { x: margin, y: startY, width: innerWidth, height: gridHeight, gapX: reportLayout.cols > 1 ? 6 * ppm : 0, rhythmHeight: rhythmHeightMm * ppm })
+    // strips for calipers: times in seconds into the recording
+    const strips = []
+    const addStrip = (strip, cell, t0) => { if (strip) strips.push({ ...strip, lead: cell.id, rhythm: cell === boxes.rhythm, top: cell.y, bottom: cell.y + cell.height, t0 }) }
+    const excerptStart = meta && meta.excerpt ? meta.excerpt.start : 0
+    for (const cell of boxes.cells){
+      const yBase = cell.y + cell.height / 2
+      addStrip(drawReportLeadStrip(ctx, cellSamples(corrected[cell.key], cell), cell.label, cell.x, yBase, cell.width, ppm,
+        { beats, fiducials, original: cellSamples(overlayFor(cell.key), cell), gain: reportGain, qualityFlag: qualityFlagFor(cell.key), fs, ...stripScale(cell.key) }), cell, excerptStart / fs)
+    }
+
+    // Rhythm strip: the whole capture from the excerpt's start at the paper speed, or as late as still fills the row
+    if (boxes.rhythm){
+      const cell = boxes.rhythm
+      const full = data.__full && data.__full[longLabels[shortKeys.indexOf(cell.key)]]
+      let samples = corrected[cell.key]
+      let stripBeats = beats
+      let stripStart = excerptStart
+      if (full && full.length){
+        const fitSamples = Math.floor((cell.width / ppm - calPulseMm(reportScale) - REPORT_CAL_ZONE_MM) / reportScale.speed * fs) + 1
+        const start = Math.max(0, Math.min(meta && meta.excerpt ? meta.excerpt.start : 0, full.length - fitSamples))
+        const end = Math.min(full.length, start + fitSamples)
+        // spline knots are only known inside the excerpt, so the strip uses the zero-phase high-pass instead
+        samples = removeBaseline(Array.from(full.slice(start, end)), fs, baselineMode === 'spline' ? 'zero-phase' : baselineMode)
+        stripBeats = ((meta && meta.recordingRPeaks) || []).map(p => p - start)
+        stripStart = start
+      }
+      addStrip(drawReportLeadStrip(ctx, cellSamples(samples, cell), `${cell.label} (rhythm)`, cell.x, cell.y + cell.height / 2, cell.width, ppm,
+        { beats: stripBeats, gain: reportGain, qualityFlag: qualityFlagFor(cell.key), fs, ...stripScale(cell.key) }), cell, stripStart / fs)
+    }
+
+    // Calipers from the report or the frozen live view, wherever a strip shows their lead
+    // over their whole time range; the rest are only listed
+    ctx.strokeStyle = '#7c3aed'
+    ctx.fillStyle = '#7c3aed'
+    ctx.lineWidth = 2
+    ctx.font = 'bold 13px Arial, Helvetica, sans-serif'
+    const drawn = new Set()
+    for (const c of reportCalipers) {
+      const strip = caliperStrip(strips, c)
+      if (!strip) continue
+      drawn.add(c)
+      const { lines, label } = caliperShapes(strip, c)
+      for (const [x1, y1, x2, y2] of lines) { ctx.beginPath(); ctx.moveTo(x1, y1); ctx.lineTo(x2, y2); ctx.stroke() }
+      ctx.fillText(label.text, label.x, label.y)
+    }
+
+    if (meta && meta.axis) {
+      const radius = 22 * ppm
+      drawHexaxialDiagram(ctx, meta.axis, margin + 30*ppm, startY + gridHeight + 30*ppm, radius)
+    }
+    if (meta && meta.rhythm) {
+      drawInterpretationBlock(ctx, meta.rhythm, canvas.width / 2, startY + gridHeight + 12*ppm, canvas.width / 2 - margin)
+    }
+    if (reportCalipers.length) {
+      const listY = canvas.height - (calipersMm + 4) * ppm
+      ctx.fillStyle = '#000'
+      ctx.font = 'bold 13px Arial, Helvetica, sans-serif'
+      ctx.fillText('Caliper measurements', margin, listY)
+      ctx.font = '12px Arial, Helvetica, sans-serif'
+      reportCalipers.forEach((c, i) => ctx.fillText(`• ${describeCaliper(c, drawn.has(c))}`, margin, listY + (i + 1) * 5 * ppm, innerWidth))
+    }
+    return { width: canvas.width, height: canvas.height, strips, textOnly: reportCalipers.length - drawn.size }
+  }
+
+  // Leads of a report with poor or no signal, as { I: 'Poor signal: Clipping' }; none when
+  // quality was ignored for that capture
+  function reportQualityFlags(meta){
+    if (!meta || meta.qualityGate === 'off' || !meta.quality) return {}
+    return Object.fromEntries(qualityFlags(meta.quality, 'poor').map(f =>
+      [f.lead, `${f.level === 'off' ? 'Lead off' : `${qualityLabel(f.level)} signal`}: ${f.issues.map(i => i.label).join(', ')}`]))
+  }
+
+  // Plain-language rhythm findings; always labelled as unconfirmed
+  function drawInterpretationBlock(ctx, rhythm, x, y, maxWidth){
+    const boxH = (3 + rhythm.findings.length) * 16 + 12
+    ctx.fillStyle = '#ffffff'
+    ctx.fillRect(x - 8, y - 18, maxWidth + 8, boxH)
+    ctx.strokeStyle = '#000'
+    ctx.lineWidth = 1
+    ctx.strokeRect(x - 8, y - 18, maxWidth + 8, boxH)
+    ctx.fillStyle = '#000'
+    ctx.font = 'bold 13px Arial, Helvetica, sans-serif'
+    ctx.fillText('Interpretation', x, y)
+    ctx.fillStyle = '#b91c1c'
+    ctx.font = 'bold 11px Arial, Helvetica, sans-serif'
+    ctx.fillText('UNCONFIRMED — automated analysis, not a diagnosis. Review by a qualified clinician required.', x, y + 16, maxWidth - 8)
+    ctx.fillStyle = '#000'
+    ctx.font = '12px Arial, Helvetica, sans-serif'
+    rhythm.findings.forEach((f, i) => {
+      ctx.fillText(`• ${f.label}  (confidence ${Math.round(f.confidence * 100)}%)`, x, y + 36 + i*16, maxWidth - 8)
+    })
+  }
+
+  // Hexaxial reference with the QRS (bold), P and T (dashed) axis vectors
+  function drawHexaxialDiagram(ctx, axis, cx, cy, radius){
+    const toXY = (deg, r) => [cx + r * Math.cos(deg * Math.PI / 180), cy + r * Math.sin(deg * Math.PI / 180)]
+    ctx.fillStyle = '#ffffff'
+    ctx.beginPath(); ctx.arc(cx, cy, radius + 24, 0, 2*Math.PI); ctx.fill()
+    ctx.strokeStyle = 'rgba(0,0,0,0.35)'
+    ctx.lineWidth = 1
+    ctx.beginPath(); ctx.arc(cx, cy, radius, 0, 2*Math.PI); ctx.stroke()
+    ctx.font = '11px Arial, Helvetica, sans-serif'
+    ctx.fillStyle = '#000'
+    for (const [lead, { angle }] of Object.entries(HEXAXIAL)) {
+      const [x1, y1] = toXY(angle, radius)
+      const [x2, y2] = toXY(angle + 180, radius)
+      ctx.beginPath(); ctx.moveTo(x2, y2); ctx.lineTo(x1, y1); ctx.stroke()
+      const [lx, ly] = toXY(angle, radius + 14)
+      ctx.fillText(`${lead} ${angle}°`, lx - 16, ly + 4)
+    }
+    const vectors = [['qrs', '#000000', 3, []], ['p', '#1d4ed8', 1.5, [5, 3]], ['t', '#b45309', 1.5, [5, 3]]]
+    for (const [wave, color, width, dash] of vectors) {
+      if (axis[wave] == null) continue
+      const [x, y] = toXY(axis[wave], radius - 6)
+      ctx.strokeStyle = color
+      ctx.fillStyle = color
+      ctx.lineWidth = width
+      ctx.setLineDash(dash)
+      ctx.beginPath(); ctx.moveTo(cx, cy); ctx.lineTo(x, y); ctx.stroke()
+      ctx.setLineDash([])
+      ctx.beginPath(); ctx.arc(x, y, 4, 0, 2*Math.PI); ctx.fill()
+    }
+    const fmt = v => v == null ? '--' : `${v}°`
+    const textX = cx + radius + 40
+    ctx.fillStyle = '#000'
+    ctx.font = 'bold 12px Arial, Helvetica, sans-serif'
+    ctx.fillText('Frontal Axis', textX, cy - 30)
+    ctx.font = '12px Arial, Helvetica, sans-serif'
+    ctx.fillText(`QRS: ${fmt(axis.qrs)}  (${axis.classification})`, textX, cy - 12)
+    ctx.fillText(`P: ${fmt(axis.p)}`, textX, cy + 4)
+    ctx.fillText(`T: ${fmt(axis.t)}`, textX, cy + 20)
+  }
 
-    // draw paired rows: [Lead I | aVL], [Lead II | aVF], [Lead III | aVR]
-    const pairList = [[0,4],[1,5],[2,3]]
-    const gapMm = 6
-    const gapPx = gapMm * ppm
-    const colWidth = Math.floor((innerWidth - gapPx) / 2)
-    for (let row=0; row<pairList.length; row++){
-      const [leftIdx, rightIdx] = pairList[row]
-      const leftShort = shortKeys[leftIdx]
-      const rightShort = shortKeys[rightIdx]
-      const leftLabel = longLabels[leftIdx]
-      const rightLabel = longLabels[rightIdx]
-      const yBase = startY + row * leadHeight + (leadHeight/2)
-      const leftX = margin
-      const rightX = margin + colWidth + gapPx
-      drawReportLeadStrip(ctx, norm[leftShort] || null, leftLabel, leftX, yBase, colWidth, ppm)
-      drawReportLeadStrip(ctx, norm[rightShort] || null, rightLabel, rightX, yBase, colWidth, ppm)
-    }
-  }
-
-  // When report is shown, render into the visible canvas
+  // Median global intervals (ms) measured over the whole recording
+  function drawMeasurementsBlock(ctx, m, x, y){
+    const fmt = v => v == null ? '--' : `${Math.round(v)} ms`
+    const rows = [
+      ['PR', fmt(m.pr)],
+      ['QRS', fmt(m.qrs)],
+      ['QT', fmt(m.qt)],
+      ['QTc (Bazett)', fmt(m.qtcBazett)],
+      ['QTc (Fridericia)', fmt(m.qtcFridericia)],
+      ['RR', fmt(m.rr)]
+    ]
+    ctx.fillStyle = '#000'
+    ctx.font = 'bold 12px Arial, Helvetica, sans-serif'
+    ctx.fillText('Measurements (median of beats)', x, y)
+    ctx.font = '12px Arial, Helvetica, sans-serif'
+    rows.forEach(([label, value], i) => {
+      ctx.fillText(label, x, y + 16 + i*14)
+      ctx.fillText(value, x + 120, y + 16 + i*14)
+    })
+  }
+
+  // Start the re-processing panel from the settings the report was made with
+  // (keyed on those settings, so editing the report's session details keeps pending changes)
+  const reportProcessing = recordedData && recordedData.__meta ? recordedData.__meta.processing : null
+  useEffect(() => {
+    setReprocessSettings(reportProcessing ? { ...reportProcessing } : null)
+  }, [reportProcessing])
+
+  // When report is shown, render into the visible canvas (again whenever a setting the page reads changes)
   useEffect(() => {
     if (!showReport || !recordedData || !reportCanvasRef.current) return
-    drawReportPage(reportCanvasRef.current, recordedData)
-  }, [showReport, recordedData, sampleRate, gain])
+    setReportGeometry(drawReportPage(reportCanvasRef.current, recordedData))
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [showReport, recordedData, gain, baselineMode, compareBaseline, advancedReport])
 
-  function drawReportLeadStrip(ctx, samples, leadName, xStart, yBase, width, ppm) {
+  // options: fs (the report's sample rate), beats (R-peak indices), fiducials, original
+  // (uncorrected overlay), gain, speed (mm/s) and mmPerMv (the lead's amplitude before
+  // gain). The strip starts with its 1 mV calibration pulse; the trace shows as much as
+  // fits at the paper speed.
+  // Returns where the trace went ({ x0, x1, yBase, pxPerSec, pxPerMv }), for calipers.
+  function drawReportLeadStrip(ctx, samples, leadName, xStart, yBase, width, ppm, options = {}) {
     if (!samples || samples.length === 0) return
-    
+    const { fs, beats = [], fiducials = [], original = null, gain = 1.0, qualityFlag = null, speed = DEFAULT_SCALE.speed, mmPerMv = DEFAULT_SCALE.mmPerMv } = options
+    const pxPerMv = mmPerMv * gain * ppm
+    const calZone = (calPulseMm({ speed }) + REPORT_CAL_ZONE_MM) * ppm
+    const traceX = xStart + calZone
+    const count = Math.min(samples.length, Math.floor((width - calZone) / ppm / speed * fs) + 1)
+    const xOf = i => traceX + (i / fs) * speed * ppm
+    const yOf = v => yBase - v * pxPerMv
+
     // Lead label - BOLD BLACK, proper names
     ctx.fillStyle = '#000000'
     ctx.font = 'bold 16px Arial, Helvetica, sans-serif'
-    ctx.fillText(leadName, xStart + 2, yBase - 12)
-    
+    ctx.fillText(leadName, traceX + 2, yBase - 12)
+    if (qualityFlag) {
+      const labelWidth = ctx.measureText(leadName).width
+      ctx.fillStyle = '#b91c1c'
+      ctx.font = 'bold 12px Arial, Helvetica, sans-serif'
+      ctx.fillText(`⚠ ${qualityFlag}`, traceX + labelWidth + 12, yBase - 12, width - calZone - labelWidth - 16)
+    }
+
+    // Calibration pulse: 1 mV at this lead's amplitude, 200 ms at the paper speed
+    ctx.strokeStyle = '#000'
+    ctx.lineWidth = 2.5
+    ctx.lineCap = 'round'
+    ctx.lineJoin = 'round'
+    ctx.beginPath()
+    ctx.moveTo(xStart, yBase)
+    ctx.lineTo(xStart + ppm, yBase)
+    ctx.lineTo(xStart + ppm, yBase - pxPerMv)
+    ctx.lineTo(xStart + ppm + calPulseMm({ speed }) * ppm, yBase - pxPerMv)
+    ctx.lineTo(xStart + ppm + calPulseMm({ speed }) * ppm, yBase)
+    ctx.lineTo(xStart + 2*ppm + calPulseMm({ speed }) * ppm, yBase)
+    ctx.stroke()
+
     // Baseline reference
     ctx.strokeStyle = 'rgba(0,0,0,0.15)'
     ctx.lineWidth = 0.8
     ctx.setLineDash([4, 4])
     ctx.beginPath()
-    ctx.moveTo(xStart, yBase)
+    ctx.moveTo(traceX, yBase)
     ctx.lineTo(xStart + width, yBase)
     ctx.stroke()
     ctx.setLineDash([])
 
-    // Per-lead second ticks at baseline (25mm intervals)
-    const mmPerSec = 25
-    const totalSeconds = samples.length / sampleRate
-    const totalWidthMm = totalSeconds * mmPerSec
-    const availWidthMm = (width / ppm) - 5
-    const timeScale = Math.min(1.0, availWidthMm / totalWidthMm)
+    // Per-lead second ticks at baseline
     ctx.strokeStyle = 'rgba(0,0,0,0.5)'
     ctx.lineWidth = 1
-    for (let s = 0; s <= Math.ceil(totalSeconds); s++){
-      const xMm = s * mmPerSec * timeScale
-      const x = xStart + (xMm * ppm)
+    for (let s = 0; s * fs < count; s++){
+      const x = xOf(s * fs)
       ctx.beginPath(); ctx.moveTo(x, yBase - 6); ctx.lineTo(x, yBase + 6); ctx.stroke()
     }
-    
+
+    // Uncorrected trace underneath, for before/after comparison
+    if (original && original.length) {
+      ctx.strokeStyle = 'rgba(37,99,235,0.55)'
+      ctx.lineWidth = 1.2
+      ctx.beginPath()
+      for (let i = 0; i < Math.min(count, original.length); i++) {
+        if (i === 0) ctx.moveTo(xOf(i), yOf(original[i]))
+        else ctx.lineTo(xOf(i), yOf(original[i]))
+      }
+      ctx.stroke()
+    }
+
     // ECG WAVEFORM - THICK BLACK with ANTI-ALIASING
     ctx.strokeStyle = '#000000'
     ctx.lineWidth = 2.5
@@ -438,286 +546,808 @@ export default function ECGVisualizer(){
     ctx.lineJoin = 'round'
     ctx.shadowColor = 'rgba(0,0,0,0.2)'
     ctx.shadowBlur = 1
-    
+
     ctx.beginPath()
-    
-  const mmPerSec2 = 25 // standard ECG paper speed
-  const totalSeconds2 = samples.length / sampleRate
-  const totalWidthMm2 = totalSeconds2 * mmPerSec2 // total width needed in mm
-  const availWidthMm2 = (width / ppm) - 5 // available width minus padding
-    
-  // If recording is longer than available width, compress time scale proportionally
-  const timeScale2 = Math.min(1.0, availWidthMm2 / totalWidthMm2)
-    
-    for (let i = 0; i < samples.length; i++) {
-  const timeSec = i / sampleRate
-  const xMm = timeSec * mmPerSec2 * timeScale2
-      const xPos = xStart + (xMm * ppm)
-      
-      const mv = samples[i]
-      const yMm = mv * DEFAULT_MM_PER_MV * gain // 10mm per mV standard
-      const yPos = yBase - (yMm * ppm)
-      
+    for (let i = 0; i < count; i++) {
       if (i === 0) {
-        ctx.moveTo(xPos, yPos)
+        ctx.moveTo(xOf(i), yOf(samples[i]))
       } else {
-        ctx.lineTo(xPos, yPos)
+        ctx.lineTo(xOf(i), yOf(samples[i]))
       }
     }
     ctx.stroke()
     ctx.shadowColor = 'transparent'
     ctx.shadowBlur = 0
+
+    // R-peak markers above the strip
+    ctx.fillStyle = '#000000'
+    for (const b of beats) {
+      if (b < 0 || b >= count) continue
+      const xPos = xOf(b)
+      const yTop = yBase - 11 * ppm
+      ctx.beginPath(); ctx.moveTo(xPos - 5, yTop); ctx.lineTo(xPos + 5, yTop); ctx.lineTo(xPos, yTop + 8); ctx.closePath(); ctx.fill()
+    }
+
+    // Fiducial points (P onset, QRS onset, J point, T end) as labelled ticks below the baseline
+    const marks = [['pOnset','P'], ['qrsOnset','Q'], ['qrsOffset','J'], ['tEnd','T']]
+    ctx.strokeStyle = '#1d4ed8'
+    ctx.fillStyle = '#1d4ed8'
+    ctx.lineWidth = 1.5
+    ctx.font = 'bold 10px Arial, Helvetica, sans-serif'
+    for (const f of fiducials) {
+      for (const [key, label] of marks) {
+        const idx = f[key]
+        if (idx == null || idx < 0 || idx >= count) continue
+        const xPos = xOf(idx)
+        const yPos = yOf(samples[idx])
+        ctx.beginPath(); ctx.moveTo(xPos, yPos - 4); ctx.lineTo(xPos, yPos + 4); ctx.stroke()
+        ctx.fillText(label, xPos - 3, yBase + 9*ppm)
+      }
+    }
+    return { x0: traceX, x1: xOf(count - 1), yBase, pxPerSec: speed * ppm, pxPerMv }
   }
 
-  // connect via Web Serial
-  async function connect(){
+  // connect the selected transport and feed its chunks to the live engine.
+  // options.kind / options.files override the selected source (used by "Open recording…")
+  async function connect(options = {}){
     setConnectError(null)
-    if(!('serial' in navigator)) { setConnectError('Web Serial API not available in this browser. Use Chrome or Edge.'); alert('Use Chrome or Edge with Web Serial enabled'); return }
+    setLinkStats(null)
+    deviceMetaRef.current = null
+    adcRef.current = null
+    samplesInRef.current = 0
+    setDeviceMeta(null)
+    setMeasuredRate(null)
+    setDeviceControl(null)
+    streamPausedRef.current = false
+    const kind = options.kind || sourceKind
+    const files = options.files || replayFiles
+    const transport = createTransport(kind, { baudRate, url: wsUrl, files, getSampleRate: () => sampleRateRef.current, getConfig: () => simConfigRef.current })
+    const commands = transport.write ? createCommandChannel(text => transport.write(text)) : null
+    commandsRef.current = commands
     try{
-      // Helpful diagnostic: list already-authorized ports
-      if (navigator.serial.getPorts) {
-        try { const existing = await navigator.serial.getPorts(); console.debug('Previously authorized serial ports:', existing.length) } catch(e){ console.debug('getPorts failed', e) }
-      }
-      const port = await navigator.serial.requestPort()
-      await port.open({ baudRate: 115200 })
-      portRef.current = port
+      await transport.open()
+      transportRef.current = transport
       setConnected(true)
-      const decoder = new TextDecoderStream()
-      port.readable.pipeTo(decoder.writable)
-      const reader = decoder.readable.getReader()
-      readerRef.current = reader
   runningRef.current = true
+  // sources that know their own format (EDF files, the virtual device) override the manual settings
+  const nativeRate = transport.sampleRate && transport.sampleRate()
+  if (nativeRate) { sampleRateRef.current = nativeRate; setSampleRate(nativeRate) }
+  const nativeUnits = transport.inputUnits && transport.inputUnits()
+  if (nativeUnits) { inputUnitsRef.current = nativeUnits; setInputUnits(nativeUnits) }
+  // fresh stream decoder and beat detection; text lines or binary frames are auto-detected
+  const engine = engineRef.current
+  engine.reset({ sampleRate: sampleRateRef.current, inputUnits: inputUnitsRef.current, adc: null })
+  qualityRef.current = null
+  setQuality(null)
+  const imported = transport.recording && transport.recording()
+  if (imported) showImportedReport(imported)
+  if (kind === 'file') {
+    // recordings are already calibrated; start playing straight away
+    setPlayback({ position:0, duration:transport.duration(), playing:true, speed:1, loop:false })
+    setCalibrating(false)
+  } else {
   // enter calibration mode on connect; Arduino typically calibrates for ~5s
-  setIsCalibrating(true)
-  // fallback: turn off calibration after 5s unless device announces completion
-  const calibTimeout = setTimeout(()=>{ setIsCalibrating(false) }, 5000)
-      let textBuffer = ''
+  setCalibrating(true)
+  // fallback for firmware without commands: turn off calibration after 5s unless it announces completion
+  clearTimeout(calibTimeoutRef.current)
+  calibTimeoutRef.current = setTimeout(()=>{ setCalibrating(false) }, 5000)
+  }
+  if (commands) {
+    // a device that answers INFO reports its calibration state in its metadata from then on
+    commands.send('INFO', null, { timeout: INFO_TIMEOUT_MS }).then(() => {
+      clearTimeout(calibTimeoutRef.current)
+      const meta = deviceMetaRef.current
+      if (!meta || !meta.calibration) setCalibrating(false)
+      setDeviceControl({ streaming: meta && meta.streaming != null ? meta.streaming : true })
+    }).catch(() => { /* older firmware: calibration messages and the timeout still apply */ })
+  }
 
+      // parsing and DSP happen in the engine; its items come back through handleLiveItems
       while(runningRef.current){
-        const { value, done } = await reader.read()
+        const { value, done } = await transport.read()
         if(done) break
-        textBuffer += value
-        const lines = textBuffer.split('\n')
-        textBuffer = lines.pop() || ''
-        for(let line of lines){
-          line = line.trim(); if(!line) continue
-          // Detect calibration logs from Arduino (case-insensitive)
-          const lower = line.toLowerCase()
-          if(lower.includes('calibration complete') || lower.includes('calibrated') || lower.includes('calibration done')){
-            setIsCalibrating(false)
-            clearTimeout(calibTimeout)
-            continue
-          }
-          if(lower.includes('starting') && lower.includes('calibration')){
-            setIsCalibrating(true)
-            continue
-          }
-          // Robust parse: accept JSON, 6-value CSV, or 2-value CSV (Lead I, Lead II)
-          let arr = null
-          let parsedJson = null
-          try{ parsedJson = JSON.parse(line) }catch(_e){ parsedJson = null }
-          if(parsedJson && typeof parsedJson === 'object'){
-            const keys = ['lead1','lead2','lead3','avr','avl','avf']
-            if(keys.every(k=>k in parsedJson)){
-              arr = keys.map(k=>parseFloat(parsedJson[k]))
-            }
-          }
-          if(!arr){
-            const nums = (line.match(/-?\d+(?:\.\d+)?/g) || []).map(v=>parseFloat(v))
-            if(nums.length >= 6){
-              arr = nums.slice(0,6)
-            } else if(nums.length === 2){
-              // Build derived leads from Lead I (LA-RA) and Lead II (LL-RA)
-              const lead1 = nums[0]
-              const lead2 = nums[1]
-              const lead3 = lead2 - lead1
-              const ra = 0.0, la = lead1, ll = lead2
-              const avr = ra - (la + ll)/2
-              const avl = la - (ra + ll)/2
-              const avf = ll - (ra + la)/2
-              arr = [lead1, lead2, lead3, avr, avl, avf]
-            }
-          }
-          if(!arr) continue
-
-          // If we are calibrating, don't write incoming signal samples to the visible buffer.
-          // This prevents the frontend from showing unstable signals during the Arduino's auto-cal phase.
-          if(isCalibrating){
-            continue
-          }
-
-          // Convert and optionally filter
-          const mvs = arr.map(v => valueToMv(v))
-          for(let i=0;i<mvs.length;i++){
-            if(filterOn) mvs[i] = filterSample(i, mvs[i])
-          }
-
-          // Recording for final report (continuous until user stops)
-          if (recordRef.current.active && recordRef.current.data) {
-            leads.forEach((ln, idx) => {
-              recordRef.current.data[ln].push(mvs[idx])
-            })
-            recordRef.current.count += 1
-            // Use timestamp-based duration for robustness
-            const nowSec = Date.now()/1000
-            const start = recordRef.current.startTime || nowSec
-            const duration = nowSec - start
-            setRecordingProgress(duration)
-            // Auto-stop when we reach CAPTURE_SECONDS seconds (guard to call once)
-            if (duration >= CAPTURE_SECONDS && !autoStopTriggeredRef.current) {
-              autoStopTriggeredRef.current = true
-              try { stopRecording({ auto: true, captureSecond: CAPTURE_SECONDS }) } catch(e){ console.warn('auto-stop failed', e) }
-            }
-          }
-
-          const samples = bufferRef.current[0]?.length || Math.max(1,Math.floor(sampleRate*secondsWindow))
-          for(let i=0;i<mvs.length;i++){
-            const mv = mvs[i]
-            if(!bufferRef.current[i]) bufferRef.current[i] = new Float32Array(samples)
-            bufferRef.current[i][writeIndexRef.current] = mv
-          }
-          writeIndexRef.current = (writeIndexRef.current + 1) % samples
-        }
+        engine.push(value)
+      }
+      // stream ended on its own (socket closed, file finished, device unplugged);
+      // a capture in progress still gets its report
+      if(runningRef.current){
+        if(recordRef.current.active) stopRecording()
+        disconnect()
       }
     }catch(err){
-      console.error('Serial connect error', err)
+      console.error('Connect error', err)
       const msg = err && err.message ? err.message : String(err)
       setConnectError(msg)
       alert('Connection failed: '+msg)
       setConnected(false)
+      transport.close()
+    }
+  }
+
+  // What the live engine made of the stream: device messages, processed sample
+  // batches and quality grades, in stream order
+  function handleLiveItems(items){
+    for (const item of items){
+      if (item.type === 'meta'){
+        applyDeviceMeta(item.meta)
+        // a device that reports its calibration state is trusted over the timeout
+        if (item.meta.calibration){
+          clearTimeout(calibTimeoutRef.current)
+          setCalibrating(item.meta.calibration === 'running')
+        }
+      } else if (item.type === 'ack'){
+        if (commandsRef.current) commandsRef.current.handleAck(item)
+      } else if (item.type === 'calibration'){
+        setCalibrating(item.state === 'start')
+        if (item.state === 'done') clearTimeout(calibTimeoutRef.current)
+      } else if (item.type === 'units'){
+        inputUnitsRef.current = item.units
+        setInputUnits(item.units)
+      } else if (item.type === 'quality'){
+        const byLead = Object.fromEntries(LEAD_KEYS.map((k, i) => [k, item.results[i]]))
+        qualityRef.current = byLead
+        setQuality(byLead)
+      } else if (item.type === 'samples'){
+        samplesInRef.current += item.count
+        recordSamples(item)
+      }
+    }
+  }
+
+  // Capture and Holter recording of one batch of processed samples; beats are
+  // reported `delay` samples late, ahead of the sample that confirmed them
+  function recordSamples({ first, count, raw, values, beats }){
+    const n = leads.length
+    let nextBeat = 0
+    for (let s = 0; s < count; s++){
+      const mvs = values.subarray(s * n, (s + 1) * n)
+      for (; nextBeat < beats.length && beats[nextBeat].at === s; nextBeat++){
+        const { delay } = beats[nextBeat]
+        if (recordRef.current.active && recordRef.current.rPeaks) {
+          const recIdx = recordRef.current.count - delay
+          if (recIdx >= 0) recordRef.current.rPeaks.push(recIdx)
+        }
+        if (holterRef.current) holterRef.current.beat(holterRef.current.sampleCount() - delay)
+      }
+
+      // Recording for final report (continuous until user stops)
+      if (recordRef.current.active && recordRef.current.data) {
+        leads.forEach((ln, idx) => {
+          recordRef.current.data[ln].push(mvs[idx])
+        })
+        if (recordRef.current.raw) leads.forEach((ln, idx) => { recordRef.current.raw[ln].push(raw[s * n + idx]) })
+        recordRef.current.count += 1
+        recordRef.current.liveEnd = first + s + 1 // running sample count after it, as the live view counts
+        // Use timestamp-based duration for robustness; playback runs on its own clock, so count samples
+        const nowSec = Date.now()/1000
+        const start = recordRef.current.startTime || nowSec
+        const duration = transportRef.current && transportRef.current.kind === 'file'
+          ? recordRef.current.count / sampleRateRef.current
+          : nowSec - start
+        setRecordingProgress(duration)
+        // Auto-stop when we reach CAPTURE_SECONDS seconds (guard to call once)
+        if (duration >= CAPTURE_SECONDS && !autoStopTriggeredRef.current) {
+          autoStopTriggeredRef.current = true
+          try { stopRecording({ auto: true, captureSecond: CAPTURE_SECONDS }) } catch(e){ console.warn('auto-stop failed', e) }
+        }
+      }
+
+      // Holter recording runs alongside; progress is shown once a second
+      const holter = holterRef.current
+      if (holter) {
+        holter.push(mvs)
+        const held = holter.sampleCount()
+        if (held % Math.round(sampleRateRef.current) === 0) {
+          const elapsed = holter.elapsed()
+          setHolterStatus(h => h && { ...h, elapsed })
+          if (holter.durationHours && elapsed >= holter.durationHours * 3600) stopHolter()
+        }
+      }
+    }
+  }
+
+  // "Open recording…": pick a log, an EDF file or a WFDB record's files and play them through the normal pipeline
+  async function openRecording(fileList){
+    const files = Array.from(fileList || [])
+    if (!files.length) return
+    if (connected) await disconnect()
+    setSourceKind('file')
+    setReplayFiles(files)
+    connect({ kind: 'file', files })
+  }
+
+  function playbackControl(action, value){
+    const t = transportRef.current
+    if (!t || t.kind !== 'file') return
+    if (action === 'toggle') { if (t.isPlaying()) t.pause(); else t.play() }
+    if (action === 'seek') t.seek(value)
+    if (action === 'speed') t.setSpeed(value)
+    if (action === 'loop') t.setLoop(value)
+    setPlayback(p => ({ ...p, position: t.position(), playing: t.isPlaying(), ...(action === 'speed' ? { speed: value } : {}), ...(action === 'loop' ? { loop: value } : {}) }))
+  }
+
+  // Keep the playback position display moving
+  useEffect(() => {
+    if (!connected || sourceKind !== 'file') return
+    const interval = setInterval(() => {
+      const t = transportRef.current
+      if (t && t.kind === 'file') setPlayback(p => ({ ...p, position: t.position(), duration: t.duration(), playing: t.isPlaying() }))
+    }, 250)
+    return () => clearInterval(interval)
+  }, [connected, sourceKind])
+
+  function setCalibrating(value){
+    setIsCalibrating(value)
+    // the engine drops samples while the device calibrates
+    if (engineRef.current) engineRef.current.configure({ calibrating: value })
+  }
+
+  // Configure the sample rate, input units/ADC and lead mapping (in the decoder)
+  // from the device's metadata line
+  function applyDeviceMeta(meta){
+    deviceMetaRef.current = meta
+    setDeviceMeta(meta)
+    if (meta.streaming != null) {
+      streamPausedRef.current = !meta.streaming
+      setDeviceControl(c => c && { ...c, streaming: meta.streaming })
+    }
+    if (meta.sampleRate && meta.sampleRate !== sampleRateRef.current) { sampleRateRef.current = meta.sampleRate; setSampleRate(meta.sampleRate) }
+    if (meta.units) {
+      const units = meta.units === 'adc' ? 'adc' : 'mv'
+      inputUnitsRef.current = units
+      setInputUnits(units)
+    }
+    adcRef.current = meta.adcBits || meta.vref ? { bits: meta.adcBits, vref: meta.vref } : null
+  }
+
+  // Transport label plus the device's own name and firmware, for reports
+  function deviceLabel(){
+    const t = transportRef.current
+    if (!t) return null
+    const meta = deviceMetaRef.current
+    return [t.describe(), meta && meta.device, meta && meta.firmware && `firmware ${meta.firmware}`].filter(Boolean).join(' · ')
+  }
+
+  // Link counters, refreshed twice a second while connected; the incoming sample
+  // rate is measured over 5 s windows (not for file playback, which runs at any speed)
+  useEffect(() => {
+    if (!connected) return
+    let probe = { time: performance.now(), count: samplesInRef.current }
+    const interval = setInterval(() => {
+      const stats = engineRef.current && engineRef.current.stats()
+      if (stats) setLinkStats(stats)
+      const now = performance.now()
+      if (streamPausedRef.current) {
+        // nothing arrives while the device is paused; measure afresh once it resumes
+        probe = { time: now, count: samplesInRef.current }
+        setMeasuredRate(null)
+      } else if (now - probe.time >= 5000) {
+        const t = transportRef.current
+        setMeasuredRate(t && t.kind !== 'file' ? (samplesInRef.current - probe.count) / ((now - probe.time) / 1000) : null)
+        probe = { time: now, count: samplesInRef.current }
+      }
+    }, 500)
+    return () => clearInterval(interval)
+  }, [connected])
+
+  // Device controls: the device acknowledges each command; rate and calibration
+  // changes come back in its metadata
+  async function sendDeviceCommand(verb, arg){
+    const commands = commandsRef.current
+    if (!commands) throw new Error('This source does not take commands.')
+    await commands.send(verb, arg)
+    if (verb === 'STREAM') {
+      streamPausedRef.current = arg === 'OFF'
+      setDeviceControl(c => c && { ...c, streaming: arg === 'ON' })
     }
   }
 
   async function disconnect(){
+    if (holterRef.current) stopHolter()
     runningRef.current = false
     setConnected(false)
+    setDeviceControl(null)
+    if (commandsRef.current) { commandsRef.current.cancel(); commandsRef.current = null }
     setIsRecording(false)
     try{
-      if(readerRef.current){ await readerRef.current.cancel(); readerRef.current=null }
-      if(portRef.current){ await portRef.current.close(); portRef.current=null }
+      if(transportRef.current){ await transportRef.current.close(); transportRef.current=null }
     }catch(e){console.warn(e)}
   }
 
-  function startRecording() {
-    if (!portRef.current || !connected) {
+  function startRecording({ auto = false } = {}) {
+    if (!transportRef.current || !connected) {
       alert('Connect to device first!')
       return
     }
+    if (qualityGate === 'block') {
+      const problem = qualityProblem()
+      if (problem) {
+        if (!auto) alert(`Capture blocked by signal quality — ${problem}. Check the electrodes, or set Signal quality to "Flag".`)
+        return
+      }
+    }
+    const acquiredAt = acquisitionTime()
     // initialize ref buffers for each lead
-    recordRef.current = { active:true, data:{}, count:0, startTime: Date.now()/1000 }
+    recordRef.current = {
+      active:true, data:{}, raw:{}, count:0, rPeaks:[], filter: activeFilterLabel(), startTime: Date.now()/1000,
+      acquiredAt, session: { ...session }, layout, scale, qualityGate,
+      // how the raw samples were turned into the recorded data, so reports can be regenerated
+      processing: { inputUnits: inputUnitsRef.current, adc: adcRef.current, filterOn: filterOnRef.current, filterSettings, gain, derivation: 'recorded' }
+    }
   autoStopTriggeredRef.current = false
   manualStopRef.current = false
-    leads.forEach(ln => { recordRef.current.data[ln] = [] })
+    leads.forEach(ln => { recordRef.current.data[ln] = []; recordRef.current.raw[ln] = [] })
   // Clear any frozen display so live view resumes and allow incoming data
-  frozenBufferRef.current = null
-  freezeDisplayRef.current = false
+  if (engineRef.current) engineRef.current.unfreeze()
+  setLiveFrozen(null)
+  setLiveCalipers([])
     setRecordingProgress(0)
     setIsRecording(true)
     setShowReport(false)
   }
 
-  function stopRecording(options = { auto: false, captureSecond: CAPTURE_SECONDS }) {
-    const { auto, captureSecond } = options
-    // If not recording and this isn't a forced auto-stop, ignore
-    if (!isRecording && !auto && !recordRef.current.active) return
+  // Why the live signal is not good enough to capture, or null
+  function qualityProblem(){
+    const q = qualityRef.current
+    if (!q) return 'still checking the signal'
+    const flags = qualityFlags(q, 'poor')
+    return flags.length ? formatQualityFlags(flags) : null
+  }
 
-    // deactivate recording immediately
-    recordRef.current.active = false
-    setIsRecording(false)
+  // Acquisition clock: wall time for live sources, the file's own clock during playback
+  function acquisitionTime(){
+    const t = transportRef.current
+    const file = t && t.kind === 'file' && t.recording && t.recording()
+    return file && file.startTime ? file.startTime.getTime() + t.position() * 1000 : Date.now()
+  }
 
-    // Prepare snapshot object
-    const snap = {}
+  // Continuous recording for up to holterHours (0 = until stopped), next to the live view
+  function startHolter() {
+    if (!transportRef.current || !connected) {
+      alert('Connect to device first!')
+      return
+    }
+    // ask the browser not to evict hours of samples under storage pressure
+    if (navigator.storage && navigator.storage.persist) navigator.storage.persist().catch(() => {})
+    const recorder = createHolterRecorder({
+      sampleRate: sampleRateRef.current,
+      startTime: acquisitionTime(),
+      durationHours: holterHours,
+      session: { ...session },
+      filter: activeFilterLabel(),
+      processing: { inputUnits: inputUnitsRef.current, adc: adcRef.current, filterOn: filterOnRef.current, filterSettings, gain, derivation: 'recorded' },
+      device: deviceLabel(),
+      layout,
+      scale,
+      qualityGate,
+      onMinute: () => setHolterVersion(v => v + 1),
+      onError: e => setHolterStatus(h => h && { ...h, error: e.message || String(e) })
+    })
+    holterRef.current = recorder
+    setHolterStatus({ id: recorder.id, elapsed: 0, error: null })
+    setHolterVersion(v => v + 1)
+  }
 
-    if (auto) {
-      // For auto-stop we want the 1-second excerpt that ends at captureSecond (e.g., 14s..15s)
-      const oneSecondSamples = Math.floor(1 * sampleRateRef.current)
-      const sampleIndexEnd = Math.floor((captureSecond) * sampleRateRef.current)
-      leads.forEach(ln => {
-        const arr = recordRef.current.data[ln] || []
-        // preferred: slice from (end - oneSecondSamples) .. end, but guard against short arrays
-        let startIdx = sampleIndexEnd - oneSecondSamples
-        if (startIdx < 0) startIdx = 0
-        // If we don't yet have samples up to sampleIndexEnd (e.g., timing jitter), fall back to last oneSecondSamples
-        if (arr.length >= sampleIndexEnd) {
-          snap[ln] = arr.slice(Math.max(0, startIdx), Math.min(sampleIndexEnd, arr.length))
-        } else {
-          snap[ln] = arr.length > oneSecondSamples ? arr.slice(-oneSecondSamples) : arr.slice()
-        }
+  async function stopHolter() {
+    const recorder = holterRef.current
+    if (!recorder) return
+    holterRef.current = null
+    const t = transportRef.current
+    const endTime = t && t.kind === 'file' ? undefined : Date.now()
+    try {
+      await recorder.stop(endTime)
+    } catch (e) {
+      alert('Part of the Holter recording could not be saved: ' + (e && e.message ? e.message : e))
+    }
+    setHolterStatus(null)
+    setHolterReviewId(recorder.id)
+    setShowHolter(true)
+    setHolterVersion(v => v + 1)
+  }
+
+  // Report from a stretch of a Holter recording: CAPTURE_SECONDS from startSample,
+  // treated like an imported file (the stored samples are already processed)
+  async function reportFromHolter(record, startSample) {
+    try {
+      const fs = record.sampleRate
+      const range = await readHolterRange(record, startSample, Math.min(record.sampleCount, startSample + Math.round(CAPTURE_SECONDS * fs)))
+      const data = {}
+      leads.forEach((ln, idx) => { data[ln] = Array.from(range.leads[LEAD_KEYS[idx]].subarray(0, range.available)) })
+      const beats = range.beats.map(b => b - startSample)
+      const startTime = record.startTime + startSample / fs * 1000
+      const report = buildReportData(data, beats.length >= 2 ? beats : null, { start: 0, end: range.available, excerptSeconds: range.available / fs, captureAt: null }, {
+        sampleRate: fs,
+        startTime,
+        endTime: startTime + range.available / fs * 1000,
+        session: { ...EMPTY_SESSION, ...record.session },
+        device: record.device,
+        filter: record.filter,
+        layout: record.layout || layout,
+        scale: record.scale || scale,
+        qualityGate: record.qualityGate || 'flag',
+        processing: { inputUnits: 'mv', filterOn: false, filterSettings: DEFAULT_FILTER_SETTINGS, gain, derivation: 'recorded' }
       })
-      // embed metadata so report can label the excerpt correctly
-      snap.__meta = { excerptSeconds: 1, captureAt: captureSecond, sampleIndexEnd }
-    } else {
-      // user-initiated stop: keep entire captured buffer
-      leads.forEach(ln => { snap[ln] = (recordRef.current.data[ln] || []).slice() })
-      snap.__meta = { excerptSeconds: (snap[leads[0]]?.length || 0) / sampleRateRef.current, captureAt: null }
+      report.__raw = data
+      setRecordedData(report)
+      setShowReport(true)
+    } catch (e) {
+      alert('Could not build the report: ' + (e && e.message ? e.message : e))
     }
+  }
 
-    // Normalize snap into short keys and long keys and derive missing leads so report is consistent
+  // Build the report object (short and long lead keys plus __meta) from full-length
+  // lead data. Analysis runs on the whole recording; indices are re-based onto the excerpt.
+  function buildReportData(fullData, rPeaks, excerpt, extraMeta) {
     const normalized = {}
     // helper to set both short and long labels
     function setLead(short, long, arr){ if(!arr) arr = null; normalized[short] = arr; normalized[long] = arr }
 
-    // populate from snap which uses long labels (e.g., 'Lead I')
+    const shortKeys = ['I','II','III','aVR','aVL','aVF']
     leads.forEach((longLabel, idx) => {
-      const short = ['I','II','III','aVR','aVL','aVF'][idx]
-      setLead(short, longLabel, snap[longLabel] || snap[short] || snap[`Lead ${short}`])
+      const arr = fullData[longLabel]
+      setLead(shortKeys[idx], longLabel, arr ? arr.slice(excerpt.start, excerpt.end) : null)
     })
 
     // If advancedReport, derive missing leads from I & II
-    if (advancedReport) {
-      const I = normalized['I']
-      const II = normalized['II']
-      if ((!normalized['III'] || !normalized['Lead III']) && I && II) {
-        const len = Math.min(I.length, II.length)
-        const arr = new Array(len)
-        for (let k=0;k<len;k++) arr[k] = II[k] - I[k]
-        setLead('III','Lead III', arr)
-      }
-      if ((!normalized['aVR'] || !normalized['aVL'] || !normalized['aVF']) && I && II) {
-        const len = Math.min(I.length, II.length)
-        const avr = new Array(len), avl = new Array(len), avf = new Array(len)
-        for (let k=0;k<len;k++){
-          const la = I[k]; const ll = II[k]; const ra = 0.0
-          avr[k] = ra - (la + ll)/2
-          avl[k] = la - (ra + ll)/2
-          avf[k] = ll - (ra + la)/2
-        }
-        setLead('aVR','aVR', avr)
-        setLead('aVL','aVL', avl)
-        setLead('aVF','aVF', avf)
+    if (advancedReport && normalized['I'] && normalized['II']) {
+      const derived = deriveLimbLeads(normalized['I'], normalized['II'])
+      for (const short of ['III','aVR','aVL','aVF']) {
+        if (!normalized[short]) setLead(short, short === 'III' ? 'Lead III' : short, derived[short])
       }
     }
 
+    const full = {}
+    leads.forEach((ln, idx) => { full[shortKeys[idx]] = fullData[ln] })
+    const fs = (extraMeta && extraMeta.sampleRate) || sampleRateRef.current
+    const analysis = analyzeRecording(full, fs, { rPeaks, pauseSeconds: pauseSecondsRef.current })
+    const rebase = p => p == null ? null : p - excerpt.start
+    const excerptPeaks = analysis.rPeaks.map(rebase).filter(p => p >= 0 && p < excerpt.end - excerpt.start)
+    const excerptLeads = Object.fromEntries(shortKeys.map(k => [k, normalized[k]]))
+    normalized.__full = fullData
+    normalized.__meta = {
+      excerptSeconds: excerpt.excerptSeconds,
+      captureAt: excerpt.captureAt,
+      sampleIndexEnd: excerpt.sampleIndexEnd,
+      excerpt: { start: excerpt.start, end: excerpt.end },
+      sampleRate: fs,
+      device: deviceLabel(),
+      qualityGate, // whether poor leads are flagged, decided when the recording is taken
+      ...extraMeta,
+      rPeaks: analysis.rPeaks.map(rebase).filter(p => p >= 0),
+      // graded on the excerpt as shown, so only what survived filtering counts
+      quality: assessQuality(excerptLeads, fs, { beats: excerptPeaks }),
+      recordingRPeaks: analysis.rPeaks, // full-recording indices, for export
+      heartRate: analysis.heartRate,
+      beatCount: analysis.beatCount,
+      measurements: analysis.measurements,
+      axis: analysis.axis,
+      rhythm: analysis.rhythm,
+      fiducials: analysis.fiducials.map(f => ({ r: rebase(f.r), pOnset: rebase(f.pOnset), qrsOnset: rebase(f.qrsOnset), qrsOffset: rebase(f.qrsOffset), tEnd: rebase(f.tEnd) }))
+    }
+    return normalized
+  }
+
+  // Report straight from an imported EDF/WFDB recording: the first CAPTURE_SECONDS are shown,
+  // beat annotations from the file are used as R-peaks when present
+  function showImportedReport(rec){
+    const fs = rec.sampleRate
+    const data = {}
+    leads.forEach((ln, idx) => { data[ln] = rec.leads[LEAD_KEYS[idx]] })
+    const length = data[leads[0]].length
+    const end = Math.min(length, Math.round(CAPTURE_SECONDS * fs))
+    const beats = (rec.beats || []).map(t => Math.round(t * fs)).filter(i => i >= 0 && i < length)
+    const report = buildReportData(data, beats.length >= 2 ? beats : null, { start: 0, end, excerptSeconds: end / fs, captureAt: null }, {
+      sampleRate: fs,
+      startTime: rec.startTime ? rec.startTime.getTime() : null,
+      endTime: rec.startTime ? rec.startTime.getTime() + length / fs * 1000 : null,
+      session: { ...EMPTY_SESSION, ...rec.session },
+      prefiltering: rec.prefiltering,
+      filter: rec.prefiltering ? `${rec.prefiltering} (in file)` : 'As recorded in file',
+      layout,
+      scale,
+      processing: { inputUnits: 'mv', filterOn: false, filterSettings: DEFAULT_FILTER_SETTINGS, gain, derivation: 'recorded' }
+    })
+    report.__raw = data
+    setRecordedData(report)
+    setShowReport(true)
+  }
+
+  // EDF+ of the whole capture behind a report: six leads in mV, beat marks,
+  // the report excerpt and the rhythm findings as annotations
+  function exportEdf(report = recordedData){
+    if (!report || !report.__raw) return
+    const meta = report.__meta || {}
+    const fs = meta.sampleRate || sampleRateRef.current
+    const processing = meta.processing || { inputUnits: 'mv', filterOn: false }
+    const { data } = reprocessRaw(report.__raw, leads, processing, fs)
+    const prefiltering = [meta.prefiltering, processing.filterOn ? formatPrefiltering(designFilterChain(processing.filterSettings, fs).applied) : '']
+      .filter(Boolean).join(' ')
+    const annotations = (meta.recordingRPeaks || []).map(p => ({ onset: p / fs, text: EDF_BEAT_ANNOTATION }))
+    const length = data[leads[0]].length
+    if (meta.excerpt && (meta.excerpt.start > 0 || meta.excerpt.end < length)) {
+      annotations.push({ onset: meta.excerpt.start / fs, duration: (meta.excerpt.end - meta.excerpt.start) / fs, text: 'Report excerpt' })
+    }
+    for (const f of (meta.rhythm && meta.rhythm.findings) || []) annotations.push({ onset: 0, text: `Finding (unconfirmed): ${f.label}` })
+    const details = sessionToEdf(meta.session)
+    annotations.push(...details.annotations)
+    annotations.sort((a, b) => a.onset - b.onset)
+    try {
+      const buffer = writeEdf({
+        sampleRate: fs,
+        startTime: meta.startTime ? new Date(meta.startTime) : new Date(),
+        signals: leads.map((ln, idx) => ({ label: `ECG ${LEAD_KEYS[idx]}`, samples: data[ln], prefiltering })),
+        annotations,
+        patient: details.patient,
+        session: details.session
+      })
+      const url = URL.createObjectURL(new Blob([buffer], { type: 'application/octet-stream' }))
+      const a = document.createElement('a'); a.href = url; a.download = 'ecg-recording.edf'; a.click()
+      setTimeout(() => URL.revokeObjectURL(url), 1000)
+    } catch (e) {
+      alert('EDF export failed: ' + (e && e.message ? e.message : e))
+    }
+  }
+
+  // WFDB record (format 16 .dat, .hea, and an .atr of the detected beats) of the
+  // whole capture behind a report, for the WFDB tools and PhysioNet-based pipelines
+  function exportWfdb(report = recordedData){
+    if (!report || !report.__raw) return
+    const meta = report.__meta || {}
+    const fs = meta.sampleRate || sampleRateRef.current
+    const processing = meta.processing || { inputUnits: 'mv', filterOn: false }
+    const { data, filter } = reprocessRaw(report.__raw, leads, processing, fs)
+    try {
+      const record = writeWfdb({
+        name: 'ecg_recording',
+        sampleRate: fs,
+        startTime: meta.startTime ? new Date(meta.startTime) : new Date(),
+        signals: leads.map((ln, idx) => ({ label: LEAD_KEYS[idx], samples: data[ln] })),
+        beats: meta.recordingRPeaks || [],
+        comments: [...sessionToComments(meta.session, meta.startTime, meta.endTime), `Filter: ${meta.filter || filter}`, 'Exported by ECG Visualizer']
+      })
+      const files = [[`${record.name}.hea`, record.header], [`${record.name}.dat`, record.dat]]
+      if (record.atr) files.push([`${record.name}.atr`, record.atr])
+      files.forEach(([name, content], i) => {
+        // browsers drop downloads started in the same tick, so space them out
+        setTimeout(() => {
+          const url = URL.createObjectURL(new Blob([content], { type: 'application/octet-stream' }))
+          const a = document.createElement('a'); a.href = url; a.download = name; a.click()
+          setTimeout(() => URL.revokeObjectURL(url), 1000)
+        }, i * 300)
+      })
+    } catch (e) {
+      alert('WFDB export failed: ' + (e && e.message ? e.message : e))
+    }
+  }
+
+  // Corrections to the patient/session details of the open report, also applied to its library copy
+  function updateReportSession(next){
+    setRecordedData(r => r ? { ...r, __meta: { ...r.__meta, session: next } } : r)
+    const id = recordedData && recordedData.__meta && recordedData.__meta.libraryId
+    if (id) updateRecording(id, { session: next }).then(() => setLibraryVersion(v => v + 1)).catch(e => console.warn('library update failed', e))
+  }
+
+  // Layout of the open report, also applied to its library copy
+  function updateReportLayout(next){
+    setRecordedData(r => r ? { ...r, __meta: { ...r.__meta, layout: next } } : r)
+    const id = recordedData && recordedData.__meta && recordedData.__meta.libraryId
+    if (id) updateRecording(id, { layout: next }).then(() => setLibraryVersion(v => v + 1)).catch(e => console.warn('library update failed', e))
+  }
+
+  // Paper speed and amplitudes of the open report, also applied to its library copy
+  function updateReportScale(next){
+    setRecordedData(r => r ? { ...r, __meta: { ...r.__meta, scale: next } } : r)
+    const id = recordedData && recordedData.__meta && recordedData.__meta.libraryId
+    if (id) updateRecording(id, { scale: next }).then(() => setLibraryVersion(v => v + 1)).catch(e => console.warn('library update failed', e))
+  }
+
+  // Caliper measurements of the open report, also applied to its library copy
+  function updateReportCalipers(next){
+    setRecordedData(r => r ? { ...r, __meta: { ...r.__meta, calipers: next } } : r)
+    const id = recordedData && recordedData.__meta && recordedData.__meta.libraryId
+    if (id) updateRecording(id, { calipers: next }).then(() => setLibraryVersion(v => v + 1)).catch(e => console.warn('library update failed', e))
+  }
+
+  // Calipers on the frozen live view go with the capture it shows
+  function addLiveCaliper(c){
+    setLiveCalipers(cs => [...cs, c])
+    if (recordedData) updateReportCalipers([...((recordedData.__meta && recordedData.__meta.calipers) || []), c])
+  }
+
+  function clearLiveCalipers(){
+    setLiveCalipers([])
+    if (recordedData) updateReportCalipers(((recordedData.__meta && recordedData.__meta.calipers) || []).filter(c => c.source !== 'live'))
+  }
+
+  // Save a report's full-length samples, raw samples, beats and settings to the library.
+  // Captures are saved automatically; imported recordings on request.
+  async function saveToLibrary(report){
+    const meta = report.__meta || {}
+    const s = meta.session || {}
+    const fs = meta.sampleRate || sampleRateRef.current
+    const entry = await saveRecording({
+      id: meta.libraryId,
+      title: `${s.name || s.patientId || 'Unnamed patient'} — ${new Date(meta.startTime || Date.now()).toLocaleString()}`,
+      startTime: meta.startTime,
+      endTime: meta.endTime,
+      duration: (report.__full[leads[0]] || []).length / fs,
+      sampleRate: fs,
+      excerpt: meta.excerpt,
+      excerptSeconds: meta.excerptSeconds,
+      captureAt: meta.captureAt,
+      sampleIndexEnd: meta.sampleIndexEnd,
+      filter: meta.filter,
+      processing: meta.processing,
+      prefiltering: meta.prefiltering,
+      device: meta.device,
+      session: meta.session,
+      layout: meta.layout,
+      scale: meta.scale,
+      calipers: meta.calipers,
+      qualityGate: meta.qualityGate,
+      heartRate: meta.heartRate,
+      findings: ((meta.rhythm && meta.rhythm.findings) || []).map(f => f.label)
+    }, { data: report.__full, raw: report.__raw, rPeaks: meta.recordingRPeaks })
+    setRecordedData(r => r && r.__full === report.__full ? { ...r, __meta: { ...r.__meta, libraryId: entry.id } } : r)
+    setLibraryVersion(v => v + 1)
+    return entry
+  }
+
+  // Rebuild a saved recording's report with the current analysis and rendering
+  async function openFromLibrary(id){
+    try {
+      const { entry, data, raw, rPeaks } = await loadRecording(id)
+      const report = buildReportData(data, rPeaks && rPeaks.length >= 2 ? rPeaks : null, {
+        ...entry.excerpt, excerptSeconds: entry.excerptSeconds, captureAt: entry.captureAt, sampleIndexEnd: entry.sampleIndexEnd
+      }, {
+        sampleRate: entry.sampleRate, startTime: entry.startTime, endTime: entry.endTime, filter: entry.filter, processing: entry.processing,
+        prefiltering: entry.prefiltering, device: entry.device, session: { ...EMPTY_SESSION, ...entry.session }, libraryId: entry.id,
+        layout: entry.layout || DEFAULT_LAYOUT, scale: entry.scale || DEFAULT_SCALE, calipers: entry.calipers || [],
+        qualityGate: entry.qualityGate || 'flag'
+      })
+      report.__raw = raw
+      setRecordedData(report)
+      setShowReport(true)
+    } catch (e) {
+      alert('Could not open the recording: ' + (e && e.message ? e.message : e))
+    }
+  }
+
+  // Vector PDF at true paper scale: the excerpt in the report's layout, the whole capture
+  // as a rhythm strip of the layout's rhythm lead (Lead II without one), then measurements
+  // and interpretation
+  function exportPdf(report = recordedData){
+    if (!report) return
+    const meta = report.__meta || {}
+    const fs = meta.sampleRate || sampleRateRef.current
+    const fiducials = meta.fiducials || []
+    const excerptLeads = {}
+    for (const k of LEAD_KEYS) excerptLeads[k] = report[k] ? removeBaseline(report[k], fs, baselineMode, fiducials) : null
+    const layout = normalizeLayout(meta.layout)
+    const rhythmCell = layoutLead(layout.rhythmLead || 'II')
+    let strip = excerptLeads[rhythmCell.key] || []
+    let rhythmExcerptStart = 0
+    const excerptStart = meta.excerpt ? meta.excerpt.start : 0
+    let stripStart = excerptStart
+    if (report.__raw) {
+      const { data } = reprocessRaw(report.__raw, leads, meta.processing || { inputUnits: 'mv', filterOn: false }, fs)
+      // spline knots are only known inside the excerpt, so the full strip uses the zero-phase high-pass instead
+      strip = removeBaseline(data[leads[LEAD_KEYS.indexOf(rhythmCell.key)]], fs, baselineMode === 'spline' ? 'zero-phase' : baselineMode)
+      rhythmExcerptStart = excerptStart
+      stripStart = 0
+    }
+    strip = cellSamples(strip, rhythmCell)
+    const seconds = strip.length / fs
+    try {
+      const buffer = buildReportPdf({
+        paper: pdfPaper,
+        session: meta.session,
+        device: meta.device,
+        acquiredAt: meta.startTime,
+        acquiredEnd: meta.endTime,
+        durationLabel: `${seconds.toFixed(1)} s`,
+        sampleRate: fs,
+        gain: meta.processing ? meta.processing.gain : gain,
+        filter: meta.filter || 'not recorded',
+        baseline: (BASELINE_MODES.find(m => m.id === baselineMode) || BASELINE_MODES[0]).label,
+        leads: excerptLeads,
+        layout,
+        scale: meta.scale,
+        rhythmStrip: strip,
+        rhythmLead: rhythmCell.id,
+        rhythmExcerptStart,
+        excerptStart: excerptStart / fs,
+        stripStart: stripStart / fs,
+        heartRate: meta.heartRate,
+        beatCount: meta.beatCount,
+        measurements: meta.measurements,
+        axis: meta.axis,
+        rhythm: meta.rhythm,
+        qualityFlags: reportQualityFlags(meta),
+        calipers: meta.calipers || []
+      })
+      const url = URL.createObjectURL(new Blob([buffer], { type: 'application/pdf' }))
+      const a = document.createElement('a'); a.href = url; a.download = 'ecg-report.pdf'; a.click()
+      setTimeout(() => URL.revokeObjectURL(url), 1000)
+    } catch (e) {
+      alert('PDF export failed: ' + (e && e.message ? e.message : e))
+    }
+  }
+
+  // Re-run units, filter, gain and lead derivation on the raw samples of the open report
+  function regenerateReport() {
+    if (!recordedData || !recordedData.__raw || !reprocessSettings) return
+    const meta = recordedData.__meta || {}
+    const fs = meta.sampleRate || sampleRateRef.current
+    const { data, filter } = reprocessRaw(recordedData.__raw, leads, reprocessSettings, fs)
+    const excerpt = {
+      ...(meta.excerpt || { start: 0, end: (data[leads[0]] || []).length }),
+      excerptSeconds: meta.excerptSeconds,
+      captureAt: meta.captureAt,
+      sampleIndexEnd: meta.sampleIndexEnd
+    }
+    const report = buildReportData(data, null, excerpt, {
+      filter, processing: { ...reprocessSettings }, sampleRate: fs, startTime: meta.startTime, endTime: meta.endTime, prefiltering: meta.prefiltering,
+      device: meta.device, session: meta.session, libraryId: meta.libraryId, layout: meta.layout, scale: meta.scale, calipers: meta.calipers,
+      qualityGate: meta.qualityGate
+    })
+    report.__raw = recordedData.__raw
+    setRecordedData(report)
+  }
+
+  function stopRecording(options = { auto: false, captureSecond: CAPTURE_SECONDS }) {
+    const { auto, captureSecond } = options
+    // If not recording and this isn't a forced auto-stop, ignore
+    if (!isRecording && !auto && !recordRef.current.active) return
+
+    // deactivate recording immediately
+    recordRef.current.active = false
+    setIsRecording(false)
+
+    // Excerpt window: the 1-second excerpt ending at captureSecond (auto) or everything (manual)
+    const fullLength = (recordRef.current.data[leads[0]] || []).length
+    let excerpt
+    if (auto) {
+      const oneSecondSamples = Math.floor(1 * sampleRateRef.current)
+      const sampleIndexEnd = Math.floor((captureSecond) * sampleRateRef.current)
+      // If we don't yet have samples up to sampleIndexEnd (e.g., timing jitter), fall back to the last second
+      const end = fullLength >= sampleIndexEnd ? sampleIndexEnd : fullLength
+      excerpt = { start: Math.max(0, end - oneSecondSamples), end, excerptSeconds: 1, captureAt: captureSecond, sampleIndexEnd }
+    } else {
+      excerpt = { start: 0, end: fullLength, excerptSeconds: fullLength / sampleRateRef.current, captureAt: null }
+    }
+
+    const rec = recordRef.current
+    const normalized = buildReportData(rec.data, rec.rPeaks, excerpt, {
+      filter: rec.filter,
+      processing: rec.processing,
+      session: rec.session,
+      layout: rec.layout,
+      scale: rec.scale,
+      qualityGate: rec.qualityGate,
+      startTime: rec.acquiredAt,
+      endTime: transportRef.current && transportRef.current.kind === 'file' ? rec.acquiredAt + rec.count / sampleRateRef.current * 1000 : Date.now()
+    })
+    normalized.__raw = recordRef.current.raw
+
   setRecordedData(normalized)
+    // every capture goes into the library
+    saveToLibrary(normalized).catch(e => console.warn('Saving the capture to the library failed', e))
 
-    // If this was a manual stop (not auto), snapshot the current live ring buffer
-    // and freeze the on-screen display so the user sees the exact frozen waveform.
+    // If this was a manual stop (not auto), freeze the on-screen display
+    // so the user sees the exact frozen waveform.
     if (!auto) {
-      try {
-        const samples = bufferRef.current[0]?.length || 1
-        const end = writeIndexRef.current
-        const snapBuf = bufferRef.current.map(arr => {
-          const out = new Array(samples)
-          for (let s = 0; s < samples; s++) {
-            const idx = (end + s) % samples
-            out[s] = arr[idx]
-          }
-          return out
-        })
-        frozenBufferRef.current = snapBuf
-        freezeDisplayRef.current = true
-        console.debug('stopRecording: froze display snapshot (manual stop)', { samples, end })
-      } catch (e) {
-        console.warn('stopRecording: failed to create frozen snapshot', e)
-        frozenBufferRef.current = null
-        freezeDisplayRef.current = false
-      }
+      // the frozen view keeps running past the recording's last sample, so its end is
+      // placed on the recording's clock for calipers
+      if (engineRef.current) engineRef.current.freeze().then(({ sampleCount }) => {
+        if (recordRef.current === rec) setLiveFrozen({ sampleCount, end: (rec.count + sampleCount - (rec.liveEnd ?? sampleCount)) / sampleRateRef.current })
+      })
       // mark manual stop so auto-start won't run
       manualStopRef.current = true
-    } else {
+    } else if (engineRef.current) {
       // For auto-stops we do not freeze the live display by default
-      frozenBufferRef.current = null
-      freezeDisplayRef.current = false
+      engineRef.current.unfreeze()
+      setLiveFrozen(null)
     }
 
     // Start wait period (processing)
@@ -746,15 +1376,21 @@ export default function ECGVisualizer(){
   }, [isWaiting])
 
   // Auto-start capture after calibration completes
+  // (with the quality gate on "Block", once every lead is better than poor)
+  const qualityBlocked = qualityGate === 'block' && (!quality || qualityFlags(quality, 'poor').length > 0)
   useEffect(() => {
-    if (connected && !isCalibrating && !isRecording && !showReport && !isWaiting && !manualStopRef.current) {
+    if (connected && !isCalibrating && !isRecording && !showReport && !isWaiting && !manualStopRef.current && !qualityBlocked) {
       const timer = setTimeout(() => {
-        startRecording()
+        startRecording({ auto: true })
       }, 500) // Small delay to ensure calibration state is stable
       return () => clearTimeout(timer)
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [connected, isCalibrating, isRecording, showReport, isWaiting])
+  }, [connected, isCalibrating, isRecording, showReport, isWaiting, qualityBlocked])
+
+  // Captures and Holter recordings keep the filter label and settings they started with,
+  // so the live filter cannot change under them
+  const filterLocked = isRecording || !!holterStatus
 
   function downloadReport() {
     if (reportCanvasRef.current) {
@@ -766,18 +1402,14 @@ export default function ECGVisualizer(){
   }
 
   // export PNG - paired leads layout
+  // the rows are drawn by the engine (possibly in its worker), so it stacks them
   function exportPNG(){
-    const cvsList = pairCanvasRefs.current.filter(Boolean)
-    if(!cvsList.length) return
-    const totalW = cvsList[0].width
-    const totalH = cvsList.reduce((s,c)=>s+c.height,0)
-    const out = document.createElement('canvas')
-    out.width = totalW; out.height = totalH
-    const ctx = out.getContext('2d')
-    let y = 0
-    for(let c of cvsList){ ctx.drawImage(c,0,y); y += c.height }
-    const url = out.toDataURL('image/png')
-    const a = document.createElement('a'); a.href = url; a.download = 'ecg_export.png'; a.click()
+    if (!engineRef.current) return
+    engineRef.current.snapshot().then(blob => {
+      const url = URL.createObjectURL(blob)
+      const a = document.createElement('a'); a.href = url; a.download = 'ecg_export.png'; a.click()
+      setTimeout(() => URL.revokeObjectURL(url), 1000)
+    }).catch(e => alert('PNG export failed: ' + (e && e.message ? e.message : e)))
   }
 
   return (
@@ -794,17 +1426,96 @@ export default function ECGVisualizer(){
             <h2 style={{ color: '#dc2626', marginBottom: '20px', fontSize: '24px', fontWeight: 'bold' }}>
               📄 ECG Report — 6-Lead Analysis
             </h2>
-            <canvas ref={reportCanvasRef} style={{
-              maxWidth: '100%', height: 'auto',
+            <div style={{
+              position: 'relative', display: 'inline-block', maxWidth: '100%', lineHeight: 0,
               border: '2px solid #dc2626', borderRadius: '4px',
               boxShadow: '0 0 20px rgba(220,38,38,0.3)'
-            }} />
+            }}>
+              <canvas ref={reportCanvasRef} style={{ maxWidth: '100%', height: 'auto' }} />
+              {reportGeometry && (
+                <CaliperOverlay width={reportGeometry.width} height={reportGeometry.height} strips={reportGeometry.strips}
+                  calipers={[]} mode={reportCaliperMode} source="report"
+                  onAdd={c => updateReportCalipers([...((recordedData.__meta && recordedData.__meta.calipers) || []), c])} />
+              )}
+            </div>
+            <div style={{ marginTop: '12px', display: 'flex', gap: '15px', justifyContent: 'center', alignItems: 'center', color: '#e5e7eb' }}>
+              <label>Baseline correction:{' '}
+                <select value={baselineMode} onChange={e=>setBaselineMode(e.target.value)}>
+                  {BASELINE_MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                </select>
+              </label>
+              <label style={{display:'flex',alignItems:'center',gap:6}} title="Overlay the uncorrected trace in blue">
+                <input type="checkbox" checked={compareBaseline} onChange={e=>setCompareBaseline(e.target.checked)} disabled={baselineMode === 'off'} />
+                <span>Compare before/after</span>
+              </label>
+              <LayoutControls layout={(recordedData && recordedData.__meta && recordedData.__meta.layout) || DEFAULT_LAYOUT} onChange={updateReportLayout} />
+              <ScaleControls scale={(recordedData && recordedData.__meta && recordedData.__meta.scale) || DEFAULT_SCALE} onChange={updateReportScale} />
+              <CaliperControls mode={reportCaliperMode} onMode={setReportCaliperMode}
+                count={((recordedData && recordedData.__meta && recordedData.__meta.calipers) || []).length} onClear={()=>updateReportCalipers([])} />
+            </div>
+            {reportGeometry && reportGeometry.textOnly > 0 && (
+              <div style={{ marginTop: '8px', textAlign: 'center', fontSize: 13, color: '#fbbf24' }}>
+                {reportGeometry.textOnly} measurement{reportGeometry.textOnly > 1 ? 's fall' : ' falls'} outside the strips shown and {reportGeometry.textOnly > 1 ? 'are' : 'is'} only listed as text under the report and in the PDF
+              </div>
+            )}
+            {reprocessSettings && recordedData && recordedData.__raw && (
+              <div style={{ marginTop: '12px', display: 'flex', gap: '12px', justifyContent: 'center', alignItems: 'center', flexWrap: 'wrap', color: '#e5e7eb' }}>
+                <strong>Re-process raw:</strong>
+                <label>Input Units:{' '}
+                  <select value={reprocessSettings.inputUnits} onChange={e=>setReprocessSettings(s => ({ ...s, inputUnits: e.target.value }))}>
+                    {INPUT_UNITS.map(u => <option key={u.id} value={u.id}>{u.label}</option>)}
+                  </select>
+                </label>
+                <label>Leads:{' '}
+                  <select value={reprocessSettings.derivation} onChange={e=>setReprocessSettings(s => ({ ...s, derivation: e.target.value }))}>
+                    {LEAD_DERIVATIONS.map(d => <option key={d.id} value={d.id}>{d.label}</option>)}
+                  </select>
+                </label>
+                <label style={{display:'flex',alignItems:'center',gap:6}}>
+                  <input type="checkbox" checked={reprocessSettings.filterOn} onChange={e=>setReprocessSettings(s => ({ ...s, filterOn: e.target.checked }))} />
+                  <span>Filter</span>
+                </label>
+                <FilterControls settings={reprocessSettings.filterSettings} onChange={fs=>setReprocessSettings(s => ({ ...s, filterSettings: fs }))} disabled={!reprocessSettings.filterOn} />
+                <label>Gain: <input type="range" min="0.2" max="6" step="0.1" value={reprocessSettings.gain} onChange={e=>setReprocessSettings(s => ({ ...s, gain: parseFloat(e.target.value) }))} /> {reprocessSettings.gain.toFixed(1)}×</label>
+                <button onClick={regenerateReport} className="btn" style={{ background: '#00d9ff', color: '#071422', fontWeight: 'bold' }}>
+                  ♻ Regenerate Report
+                </button>
+              </div>
+            )}
+            <div style={{ marginTop: '12px', display: 'flex', gap: '12px', justifyContent: 'center', alignItems: 'center', flexWrap: 'wrap', color: '#e5e7eb' }}>
+              <strong>Patient / session:</strong>
+              <SessionForm session={(recordedData && recordedData.__meta && recordedData.__meta.session) || EMPTY_SESSION} onChange={updateReportSession} />
+              <label>Paper:{' '}
+                <select value={pdfPaper} onChange={e=>setPdfPaper(e.target.value)}>
+                  {PAPER_SIZES.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                </select>
+              </label>
+            </div>
             <div style={{ marginTop: '20px', display: 'flex', gap: '15px', justifyContent: 'center' }}>
-              <button onClick={downloadReport} className="btn" style={{
+              <button onClick={()=>exportPdf()} className="btn" style={{
                 background: '#dc2626', color: '#ffffff', fontWeight: 'bold', padding: '12px 24px'
-              }}>
-                💾 Download Report
+              }} title="Vector PDF at the report's paper speed and amplitude for printing">
+                📄 Download PDF
+              </button>
+              <button onClick={downloadReport} className="btn" style={{ padding: '12px 24px' }}>
+                💾 Download PNG
               </button>
+              {recordedData && recordedData.__raw && (
+                <button onClick={()=>exportEdf()} className="btn" style={{ padding: '12px 24px' }} title="Six leads, beat marks and findings for EDFbrowser, MATLAB etc.">
+                  💾 Export EDF+
+                </button>
+              )}
+              {recordedData && recordedData.__raw && (
+                <button onClick={()=>exportWfdb()} className="btn" style={{ padding: '12px 24px' }} title="PhysioNet WFDB record (.hea, .dat, .atr) for the WFDB tools">
+                  💾 Export WFDB
+                </button>
+              )}
+              {recordedData && recordedData.__full && !(recordedData.__meta && recordedData.__meta.libraryId) && (
+                <button onClick={()=>saveToLibrary(recordedData).catch(e => alert('Could not save to the library: ' + e.message))} className="btn" style={{ padding: '12px 24px' }}
+                  title="Keep this imported recording in the local library">
+                  📚 Save to library
+                </button>
+              )}
               <button onClick={()=>{ setShowReport(false); if(connected && !isCalibrating) { setRecordedData(null); startRecording() } }} className="btn" style={{ 
                 background: '#41ff8b', color: '#0b0f14', fontWeight: 'bold', padding: '12px 24px'
               }}>
@@ -820,25 +1531,65 @@ export default function ECGVisualizer(){
 
       <div className="controls grid-card">
         <div style={{display:'flex',gap:10,alignItems:'center',flexWrap:'wrap'}}>
+          <label>Source:
+            <select value={sourceKind} onChange={e=>setSourceKind(e.target.value)} disabled={connected}>
+              {TRANSPORTS.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+            </select>
+          </label>
+          {sourceKind === 'serial' && (
+            <label>Baud:
+              <select value={baudRate} onChange={e=>setBaudRate(parseInt(e.target.value))} disabled={connected}>
+                {BAUD_RATES.map(b => <option key={b} value={b}>{b}</option>)}
+              </select>
+            </label>
+          )}
+          {sourceKind === 'websocket' && (
+            <label>URL: <input type="text" value={wsUrl} onChange={e=>setWsUrl(e.target.value)} disabled={connected} style={{width:180}} /></label>
+          )}
+          {sourceKind === 'simulator' && <SimulatorControls config={simConfig} onChange={setSimConfig} />}
+          <input ref={openFileInputRef} type="file" accept=".edf,.hea,.dat,.atr,.qrs,.txt,.csv,.jsonl,.json,.log" multiple style={{display:'none'}}
+            onChange={e=>{ openRecording(e.target.files); e.target.value = '' }} />
+          <button className="btn" onClick={()=>openFileInputRef.current && openFileInputRef.current.click()} title="Play an EDF/EDF+ file, a WFDB record (select .hea with its .dat/.atr) or a JSON-lines/CSV log through the viewer">📂 Open recording…</button>
+          {sourceKind === 'file' && connected && (
+            <div style={{display:'flex',gap:8,alignItems:'center'}}>
+              <button className="btn" onClick={()=>playbackControl('toggle')}>{playback.playing ? '⏸ Pause' : '▶ Play'}</button>
+              <input type="range" min="0" max={playback.duration || 0} step="0.1" value={playback.position}
+                onChange={e=>playbackControl('seek', parseFloat(e.target.value))} style={{width:160}} />
+              <span style={{fontSize:12,fontVariantNumeric:'tabular-nums'}}>{playback.position.toFixed(1)} / {playback.duration.toFixed(1)} s</span>
+              <select value={playback.speed} onChange={e=>playbackControl('speed', parseFloat(e.target.value))}>
+                {PLAYBACK_SPEEDS.map(v => <option key={v} value={v}>{v}×</option>)}
+              </select>
+              <label style={{display:'flex',alignItems:'center',gap:4}}>
+                <input type="checkbox" checked={playback.loop} onChange={e=>playbackControl('loop', e.target.checked)} />
+                <span>Loop</span>
+              </label>
+            </div>
+          )}
+          {connected && deviceControl && (
+            <DeviceControls streaming={deviceControl.streaming} mode={deviceMeta && deviceMeta.mode} sampleRate={sampleRate}
+              calibrating={isCalibrating} onCommand={sendDeviceCommand} />
+          )}
           {!connected ? (
-            <button className="btn" onClick={connect}>🔌 Connect Device</button>
+            <button className="btn" onClick={()=>connect()}>🔌 {sourceKind === 'serial' ? 'Connect Device' : sourceKind === 'websocket' ? 'Connect Stream' : sourceKind === 'simulator' ? 'Start Virtual Device' : 'Start Replay'}</button>
           ) : (
             <>
               <button className="btn" onClick={disconnect}>⛔ Disconnect</button>
               {!isRecording && !isCalibrating && (
-                <button className="btn" onClick={startRecording} style={{background:'#00d9ff',color:'#071422',fontWeight:'700',marginLeft:8}}>▶ Start Recording</button>
+                <button className="btn" onClick={()=>startRecording()} style={{background:'#00d9ff',color:'#071422',fontWeight:'700',marginLeft:8}}>▶ Start Recording</button>
               )}
             </>
           )}
           {connectError && (
             <div style={{color:'#ffb4b4',background:'#3b1212',padding:'8px 12px',borderRadius:6,marginLeft:8}}>
-              <div style={{fontWeight:700}}>Serial error</div>
+              <div style={{fontWeight:700}}>Connection error</div>
               <div style={{fontSize:12,opacity:0.9,whiteSpace:'pre-wrap'}}>{connectError}</div>
               <div style={{marginTop:8}}>
-                <button className="btn" onClick={connect} style={{marginRight:8}}>Retry</button>
-                <button className="btn" onClick={async ()=>{
-                  try{ const ports = await navigator.serial.getPorts(); alert('Known ports: '+ports.length) }catch(e){ alert('getPorts failed: '+e) }
-                }}>List Ports</button>
+                <button className="btn" onClick={()=>connect()} style={{marginRight:8}}>Retry</button>
+                {sourceKind === 'serial' && (
+                  <button className="btn" onClick={async ()=>{
+                    try{ const ports = await navigator.serial.getPorts(); alert('Known ports: '+ports.length) }catch(e){ alert('getPorts failed: '+e) }
+                  }}>List Ports</button>
+                )}
               </div>
             </div>
           )}
@@ -848,25 +1599,56 @@ export default function ECGVisualizer(){
               ⏹ Stop Recording
             </button>
           )}
+          {connected && !holterStatus && !isCalibrating && (
+            <div style={{display:'flex',gap:6,alignItems:'center'}}>
+              <select value={holterHours} onChange={e=>setHolterHours(parseFloat(e.target.value))} title="Planned Holter recording length">
+                {HOLTER_DURATIONS.map(d => <option key={d.hours} value={d.hours}>{d.label}</option>)}
+              </select>
+              <button className="btn" onClick={startHolter} title="Continuous recording to browser storage, reviewed as trends and full disclosure">⏺ Start Holter</button>
+            </div>
+          )}
+          {holterStatus && (
+            <button className="btn" onClick={()=>stopHolter()} style={{background:'#ef4444',color:'#fff',fontWeight:'bold'}}>
+              ⏹ Stop Holter ({formatDuration(holterStatus.elapsed)})
+            </button>
+          )}
+          {holterStatus && holterStatus.error && (
+            <span style={{color:'#ffb4b4',fontSize:12}}>Holter storage error: {holterStatus.error}</span>
+          )}
           
           <label>Gain: <input type="range" min="0.2" max="6" step="0.1" value={gain} onChange={e=>setGain(parseFloat(e.target.value))} /></label>
           <label>Pixels/mm: <input type="range" min="1" max="6" step="0.5" value={pixelsPerMm} onChange={e=>setPixelsPerMm(parseFloat(e.target.value))} /></label>
           <label>Window (s): <input type="number" min="1" max="10" value={secondsWindow} onChange={e=>setSecondsWindow(parseInt(e.target.value)||1)} /></label>
+          <label title="Scroll moves the whole trace; sweep writes at a moving bar like a bedside monitor">Display:
+            <select value={displayMode} onChange={e=>setDisplayMode(e.target.value)}>
+              {DISPLAY_MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+            </select>
+          </label>
+          <LayoutControls layout={layout} onChange={setLayout} />
+          <ScaleControls scale={scale} onChange={setScale} />
           <label>Sample rate (Hz): <input type="number" min="20" max="1000" step="1" value={sampleRate} onChange={e=>setSampleRate(Math.max(1, parseInt(e.target.value)||DEFAULT_SAMPLE_RATE))} /></label>
           <label>Input Units: 
             <select value={inputUnits} onChange={e=>setInputUnits(e.target.value)}>
-              <option value="mv">mV</option>
-              <option value="adc">ADC (0-1023)</option>
+              {INPUT_UNITS.map(u => <option key={u.id} value={u.id}>
+                {u.id === 'adc' && deviceMeta && deviceMeta.adcBits ? `ADC (0-${2 ** deviceMeta.adcBits - 1}, ${deviceMeta.vref || 5} V)` : u.label}
+              </option>)}
             </select>
           </label>
-          <label style={{display:'flex',alignItems:'center',gap:6}}>
-            <input type="checkbox" checked={filterOn} onChange={e=>setFilterOn(e.target.checked)} />
-            <span>Filter 0.5–40 Hz</span>
+          <label style={{display:'flex',alignItems:'center',gap:6}} title={filterLocked ? 'Locked while recording, so the report names the filter its samples went through' : undefined}>
+            <input type="checkbox" checked={filterOn} onChange={e=>setFilterOn(e.target.checked)} disabled={filterLocked} />
+            <span>Filter</span>
           </label>
+          <FilterControls settings={filterSettings} onChange={setFilterSettings} disabled={!filterOn || filterLocked} />
           <label style={{display:'flex',alignItems:'center',gap:6}} title="Try to ensure all 6 leads appear on the printed report (derive missing leads from I & II)">
             <input type="checkbox" checked={advancedReport} onChange={e=>setAdvancedReport(e.target.checked)} />
             <span>Advanced Report (force 6 leads)</span>
           </label>
+          <label title="Poor signal or a lead off can be flagged on the report, or also hold back the capture until it clears">Signal quality:
+            <select value={qualityGate} onChange={e=>setQualityGate(e.target.value)}>
+              {QUALITY_GATES.map(g => <option key={g.id} value={g.id}>{g.label}</option>)}
+            </select>
+          </label>
+          <label title="R-R intervals longer than this are reported as pauses">Pause (s): <input type="number" min="1" max="10" step="0.1" value={pauseSeconds} onChange={e=>setPauseSeconds(parseFloat(e.target.value)||DEFAULT_PAUSE_SECONDS)} /></label>
           <button className="btn" onClick={exportPNG}>📷 Export Live PNG</button>
           {recordedData && (
             <button className="btn" onClick={() => {
@@ -879,6 +1661,17 @@ export default function ECGVisualizer(){
               a.click()
             }}>⬇ Export Report PNG</button>
           )}
+          {recordedData && (
+            <button className="btn" onClick={()=>exportPdf()}>⬇ Export Report PDF</button>
+          )}
+          {recordedData && recordedData.__raw && (
+            <button className="btn" onClick={()=>exportEdf()}>⬇ Export EDF+</button>
+          )}
+          {recordedData && recordedData.__raw && (
+            <button className="btn" onClick={()=>exportWfdb()}>⬇ Export WFDB</button>
+          )}
+          <button className="btn" onClick={()=>setShowLibrary(v => !v)} title="Saved captures in this browser">📚 Library</button>
+          <button className="btn" onClick={()=>setShowHolter(v => !v)} title="Trends and full disclosure of Holter recordings">🫀 Holter review</button>
           {recordedData && !isWaiting && (
             <button className="btn" onClick={() => setShowReport(true)} title="View the red-grid report" style={{background:'#dc2626',color:'#fff'}}>
               🩺 View Report
@@ -891,27 +1684,73 @@ export default function ECGVisualizer(){
                isWaiting ? `⏳ Processing... ${(WAIT_SECONDS - waitProgress).toFixed(1)}s` :
                (connected ? '✓ Ready' : '⚠ Disconnected')}
             </strong>
+            {deviceMeta && (
+              <div style={{fontSize:11,fontWeight:400,color:'#9ca3af'}} title="Declared by the device at connect">
+                {[deviceMeta.device, deviceMeta.firmware && `fw ${deviceMeta.firmware}`, deviceMeta.mode === 'sim' && 'simulated signal', deviceMeta.sampleRate && `${deviceMeta.sampleRate} Hz`,
+                  deviceMeta.units && (deviceMeta.units === 'adc' ? `ADC${deviceMeta.adcBits ? ` ${deviceMeta.adcBits}-bit` : ''}${deviceMeta.vref ? ` ${deviceMeta.vref} V` : ''}` : deviceMeta.units === 'uv' ? 'µV' : 'mV'),
+                  deviceMeta.channels && deviceMeta.channels.join(', ')].filter(Boolean).join(' · ')}
+              </div>
+            )}
+            {measuredRate != null && Math.abs(measuredRate - (deviceMeta && deviceMeta.sampleRate || sampleRate)) > 0.03 * (deviceMeta && deviceMeta.sampleRate || sampleRate) && (
+              <div style={{fontSize:11,fontWeight:600,color:'#f59e0b'}}>
+                ⚠ {measuredRate.toFixed(1)} samples/s arriving, {deviceMeta && deviceMeta.sampleRate ? 'device declares' : 'set to'} {deviceMeta && deviceMeta.sampleRate || sampleRate} Hz
+              </div>
+            )}
+            {connected && qualityBlocked && !isRecording && !isCalibrating && (
+              <div style={{fontSize:11,fontWeight:600,color:'#f59e0b'}}>
+                ⏸ Capture waiting for usable signal{quality ? ` — ${formatQualityFlags(qualityFlags(quality, 'poor'))}` : ' (checking…)'}
+              </div>
+            )}
+            {linkStats && linkStats.format === 'binary' && (
+              <div style={{fontSize:11,fontWeight:400,fontVariantNumeric:'tabular-nums',color: linkStats.crcErrors || linkStats.gaps ? '#f59e0b' : '#9ca3af'}}
+                title="Binary frames: CRC failures are frames dropped as corrupt, gaps are jumps in the sequence number">
+                Binary {linkStats.bytesPerSample === 3 ? 'int24' : 'int16'} × {linkStats.channels} · {linkStats.frames} frames · {linkStats.crcErrors} CRC errors · {linkStats.gaps} gaps ({linkStats.lost} frames lost)
+              </div>
+            )}
           </div>
         </div>
+        <details style={{marginTop:8}}>
+          <summary style={{cursor:'pointer'}}>
+            Patient / session {hasSessionDetails(session) ? `— ${[session.name, session.patientId].filter(Boolean).join(', ') || 'details entered'}` : '(attached to the next capture)'}
+          </summary>
+          <div style={{display:'flex',gap:10,alignItems:'center',flexWrap:'wrap',marginTop:8}}>
+            <SessionForm session={session} onChange={setSession} />
+          </div>
+        </details>
       </div>
 
-      {/* Paired Leads Display */}
-      <div>
-        {leadPairs.map((pair, rowIdx)=> {
-          const [leftIdx, rightIdx] = pair
-          return (
-            <div key={rowIdx} className="grid-card" style={{marginBottom:8}}>
-              <div className="lead-row">
-                <div className="lead-title">{leads[leftIdx]} • {leads[rightIdx]}</div>
-                <div style={{fontSize:12,color:'#6b7280'}}>10 mm/mV • 25 mm/s</div>
-              </div>
-              <canvas
-                ref={el=>{ pairCanvasRefs.current[rowIdx]=el; if(el) sizeAllCanvases() }}
-                style={{width:'100%',height:100,marginTop:8}}
-              />
-            </div>
-          )
-        })}
+      {showLibrary && (
+        <LibraryPanel version={libraryVersion} openId={recordedData && recordedData.__meta && recordedData.__meta.libraryId}
+          onOpen={openFromLibrary} onClose={()=>setShowLibrary(false)} />
+      )}
+
+      {showHolter && (
+        <HolterReview version={holterVersion} initialId={holterReviewId} activeId={holterStatus && holterStatus.id}
+          onReport={reportFromHolter} onClose={()=>setShowHolter(false)} />
+      )}
+
+      {/* Live leads, in the chosen layout */}
+      <div className="grid-card" style={{marginBottom:8}}>
+        <div className="lead-row">
+          <div className="lead-title">
+            {layoutBoxes(layout, { width: 1, height: 1 }).cells.map((cell, i) => (
+              <React.Fragment key={i}>
+                {i > 0 && ' • '}
+                {cell.label}{connected && <QualityBadge lead={cell.label} result={quality && quality[cell.key]} />}
+              </React.Fragment>
+            ))}
+          </div>
+          {liveFrozen && <CaliperControls mode={liveCaliperMode} onMode={setLiveCaliperMode} count={liveCalipers.length} onClear={clearLiveCalipers} />}
+          <div style={{fontSize:12,color:'#6b7280'}}>{describeScale(scale, gain)}</div>
+        </div>
+        <div style={{position:'relative',marginTop:8}}>
+          <div ref={liveContainerRef} />
+          {liveFrozen && (() => {
+            const geometry = liveStrips({ sampleRate, secondsWindow, pixelsPerMm, gain, displayMode, layout, scale }, liveFrozen)
+            return <CaliperOverlay width={geometry.width} height={geometry.height} strips={geometry.strips}
+              calipers={liveCalipers} mode={liveCaliperMode} source="live" onAdd={addLiveCaliper} />
+          })()}
+        </div>
       </div>
 
       <div className="footer-note">
@@ -0,0 +1,49 @@
+import React from 'react'
+import { FILTER_PRESETS, HIGH_PASS_OPTIONS, LOW_PASS_OPTIONS, NOTCH_OPTIONS } from '../dsp/filters'
+
+// Preset, high-pass, low-pass and mains notch selectors for a filter chain.
+// Used by the live controls bar and by report re-processing.
+export default function FilterControls({ settings, onChange, disabled }){
+  function update(key, value){
+    onChange({ ...settings, [key]: value, preset: 'custom' })
+  }
+
+  function applyPreset(preset){
+    if (FILTER_PRESETS[preset]) onChange({ preset, ...FILTER_PRESETS[preset] })
+    else onChange({ ...settings, preset })
+  }
+
+  return (
+    <>
+      <label>Preset:
+        <select value={settings.preset} onChange={e=>applyPreset(e.target.value)} disabled={disabled}>
+          <option value="monitor">Monitor (0.5–40 Hz)</option>
+          <option value="diagnostic">Diagnostic (0.05–150 Hz)</option>
+          <option value="custom">Custom</option>
+        </select>
+      </label>
+      <label>HP:
+        <select value={settings.highPass || 0} onChange={e=>update('highPass', parseFloat(e.target.value) || null)} disabled={disabled}>
+          <option value={0}>Off</option>
+          {HIGH_PASS_OPTIONS.map(f => <option key={f} value={f}>{f} Hz</option>)}
+        </select>
+      </label>
+      <label>LP:
+        <select value={settings.lowPass || 0} onChange={e=>update('lowPass', parseFloat(e.target.value) || null)} disabled={disabled}>
+          <option value={0}>Off</option>
+          {LOW_PASS_OPTIONS.map(f => <option key={f} value={f}>{f} Hz</option>)}
+        </select>
+      </label>
+      <label>Notch:
+        <select value={settings.notch || 0} onChange={e=>update('notch', parseFloat(e.target.value) || null)} disabled={disabled}>
+          <option value={0}>Off</option>
+          {NOTCH_OPTIONS.map(f => <option key={f} value={f}>{f} Hz</option>)}
+        </select>
+      </label>
+      <label style={{display:'flex',alignItems:'center',gap:6}} title="Also notch the 2nd and 3rd mains harmonics (where below Nyquist)">
+        <input type="checkbox" checked={settings.harmonics} onChange={e=>update('harmonics', e.target.checked)} disabled={disabled || !settings.notch} />
+        <span>Harmonics</span>
+      </label>
+    </>
+  )
+}
@@ -0,0 +1,356 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { listHolterSessions, loadHolterSession, readHolterRange, deleteHolterSession, formatDuration } from '../io/holter'
+import { LEAD_KEYS } from '../io/leads'
+
+const MINUTES_PER_PAGE = [5, 10, 15, 30]
+const STRIP_SECONDS = 10
+const DISCLOSURE_WIDTH = 1200 // px for one minute per row
+const ROW_HEIGHT = 34
+const LABEL_WIDTH = 64
+const TREND_WIDTH = 1200
+const TREND_HEIGHT = 170
+const NOISE_HEIGHT = 40
+const STRIP_PPM = 3 // px per mm at 25 mm/s, 10 mm/mV
+
+const clock = (record, seconds) => new Date(record.startTime + seconds * 1000).toLocaleTimeString()
+
+function sessionLabel(r, activeId){
+  const who = r.session && (r.session.name || r.session.patientId)
+  const status = r.id === activeId ? 'recording' : r.status === 'recording' ? 'interrupted' : null
+  return [new Date(r.startTime).toLocaleString(), who, formatDuration(r.sampleCount / r.sampleRate), status]
+    .filter(Boolean).join(' · ')
+}
+
+function minuteText(record, t){
+  if (!t) return ''
+  const hr = t.hr != null ? `HR ${Math.round(t.hr)} bpm${t.hrMin != null ? ` (${Math.round(t.hrMin)}–${Math.round(t.hrMax)})` : ''}` : 'no rate'
+  return [`${clock(record, t.minute * 60)}`, hr, `${t.beats} beats`, t.noise != null && `noise ${(t.noise * 1000).toFixed(0)} µV`,
+    t.min != null && `Lead II ${t.min.toFixed(2)} … ${t.max.toFixed(2)} mV`].filter(Boolean).join(' · ')
+}
+
+// HR per minute (mean line, min–max band) above the per-minute noise level
+function drawTrend(canvas, record, selectedMinute){
+  const ctx = canvas.getContext('2d')
+  const w = canvas.width, h = canvas.height
+  ctx.fillStyle = '#0b0f14'; ctx.fillRect(0, 0, w, h)
+  const trend = record.trend || []
+  const minutes = Math.max(1, trend.length, Math.ceil((record.durationHours || 0) * 60))
+  const x = m => LABEL_WIDTH + (m / minutes) * (w - LABEL_WIDTH - 8)
+  const hrs = trend.flatMap(t => [t.hrMin, t.hrMax]).filter(v => v != null)
+  const lo = Math.max(20, Math.floor(((hrs.length ? Math.min(...hrs) : 60) - 10) / 10) * 10)
+  const hi = Math.min(250, Math.ceil(((hrs.length ? Math.max(...hrs) : 100) + 10) / 10) * 10)
+  const top = 8, bottom = h - NOISE_HEIGHT - 16
+  const y = hr => bottom - (hr - lo) / (hi - lo) * (bottom - top)
+
+  ctx.font = '11px monospace'; ctx.textAlign = 'right'; ctx.textBaseline = 'middle'
+  ctx.strokeStyle = '#1f2937'; ctx.fillStyle = '#9ca3af'; ctx.lineWidth = 1
+  for (let v = lo; v <= hi; v += hi - lo > 80 ? 20 : 10){
+    ctx.beginPath(); ctx.moveTo(LABEL_WIDTH, y(v)); ctx.lineTo(w - 8, y(v)); ctx.stroke()
+    ctx.fillText(String(v), LABEL_WIDTH - 6, y(v))
+  }
+  ctx.textAlign = 'left'
+  ctx.fillText('bpm', 4, top + 2)
+  // hour ticks
+  ctx.textAlign = 'center'; ctx.textBaseline = 'top'
+  const step = minutes > 6 * 60 ? 120 : minutes > 120 ? 60 : minutes > 30 ? 10 : 5
+  for (let m = 0; m <= minutes; m += step){
+    ctx.fillText(new Date(record.startTime + m * 60000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }), x(m), h - 14)
+  }
+
+  ctx.fillStyle = 'rgba(0,217,255,0.2)'
+  for (const t of trend){
+    if (t.hrMin == null) continue
+    ctx.fillRect(x(t.minute), y(t.hrMax), Math.max(1, x(t.minute + 1) - x(t.minute)), y(t.hrMin) - y(t.hrMax))
+  }
+  ctx.strokeStyle = '#00d9ff'; ctx.lineWidth = 1.5; ctx.beginPath()
+  let pen = false
+  for (const t of trend){
+    if (t.hr == null){ pen = false; continue }
+    const px = x(t.minute + 0.5), py = y(t.hr)
+    if (pen) ctx.lineTo(px, py); else ctx.moveTo(px, py)
+    pen = true
+  }
+  ctx.stroke()
+
+  // noise bars, µV
+  const noiseTop = h - NOISE_HEIGHT - 14, noiseBottom = h - 18
+  const maxNoise = Math.max(50, ...trend.map(t => (t.noise || 0) * 1000))
+  for (const t of trend){
+    if (t.noise == null) continue
+    const uv = t.noise * 1000
+    ctx.fillStyle = uv > 50 ? '#ef4444' : '#f59e0b'
+    const bh = uv / maxNoise * (noiseBottom - noiseTop)
+    ctx.fillRect(x(t.minute), noiseBottom - bh, Math.max(1, x(t.minute + 1) - x(t.minute) - 0.5), bh)
+  }
+  ctx.fillStyle = '#9ca3af'; ctx.textAlign = 'right'; ctx.textBaseline = 'middle'
+  ctx.fillText('noise', LABEL_WIDTH - 6, (noiseTop + noiseBottom) / 2)
+
+  if (selectedMinute != null){
+    ctx.strokeStyle = '#ff2e97'; ctx.lineWidth = 1.5
+    ctx.beginPath(); ctx.moveTo(x(selectedMinute + 0.5), top); ctx.lineTo(x(selectedMinute + 0.5), noiseBottom); ctx.stroke()
+  }
+  return { minuteAt: px => Math.floor((px - LABEL_WIDTH) / (w - LABEL_WIDTH - 8) * minutes) }
+}
+
+// Full disclosure: one minute per row, min/max envelope per pixel column, beat ticks
+function drawDisclosure(canvas, record, page, lead, firstMinute, selected){
+  const ctx = canvas.getContext('2d')
+  const w = canvas.width, h = canvas.height
+  ctx.fillStyle = '#0b0f14'; ctx.fillRect(0, 0, w, h)
+  if (!page) return
+  const fs = record.sampleRate
+  const rowSamples = 60 * fs
+  const samples = page.leads[lead]
+  const plotWidth = w - LABEL_WIDTH
+  const perPx = rowSamples / plotWidth
+  const mvToPx = ROW_HEIGHT / 3 // 3 mV per row
+  const rows = Math.ceil(page.available / rowSamples)
+  ctx.font = '11px monospace'; ctx.textBaseline = 'middle'; ctx.textAlign = 'left'
+  for (let row = 0; row < rows; row++){
+    const y0 = row * ROW_HEIGHT + ROW_HEIGHT / 2
+    const minute = firstMinute + row
+    if (selected && selected.minute === minute){
+      ctx.fillStyle = 'rgba(255,46,151,0.12)'; ctx.fillRect(0, row * ROW_HEIGHT, w, ROW_HEIGHT)
+    }
+    ctx.fillStyle = '#9ca3af'
+    ctx.fillText(new Date(record.startTime + minute * 60000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }), 4, y0)
+    ctx.strokeStyle = '#41ff8b'; ctx.lineWidth = 1
+    ctx.beginPath()
+    const base = row * rowSamples
+    const end = Math.min(page.available, base + rowSamples)
+    for (let px = 0; px < plotWidth; px++){
+      const a = base + Math.floor(px * perPx), b = Math.min(end, base + Math.floor((px + 1) * perPx))
+      if (a >= end) break
+      let lo = Infinity, hi = -Infinity
+      for (let i = a; i < Math.max(b, a + 1); i++){ const v = samples[i]; if (v < lo) lo = v; if (v > hi) hi = v }
+      ctx.moveTo(LABEL_WIDTH + px + 0.5, y0 - hi * mvToPx)
+      ctx.lineTo(LABEL_WIDTH + px + 0.5, y0 - lo * mvToPx + 1)
+    }
+    ctx.stroke()
+  }
+  ctx.fillStyle = '#ff2e97'
+  for (const b of page.beats){
+    const rel = b - page.start
+    const row = Math.floor(rel / rowSamples)
+    ctx.fillRect(Math.round(LABEL_WIDTH + (rel - row * rowSamples) / perPx), row * ROW_HEIGHT + 1, 1, 5)
+  }
+  if (selected && selected.second != null){
+    const rel = selected.second * fs - page.start
+    const row = Math.floor(rel / rowSamples)
+    if (row >= 0 && row < rows){
+      const x0 = LABEL_WIDTH + (rel - row * rowSamples) / perPx
+      ctx.strokeStyle = '#ff2e97'; ctx.lineWidth = 1.5
+      ctx.strokeRect(x0, row * ROW_HEIGHT + 1, STRIP_SECONDS * fs / perPx, ROW_HEIGHT - 2)
+    }
+  }
+}
+
+// Selected strip at 25 mm/s and 10 mm/mV on the red grid
+function drawStrip(canvas, record, strip, lead){
+  const ctx = canvas.getContext('2d')
+  const w = canvas.width, h = canvas.height
+  ctx.fillStyle = '#fff'; ctx.fillRect(0, 0, w, h)
+  for (let mm = 0; mm * STRIP_PPM <= w; mm++){
+    ctx.strokeStyle = mm % 5 ? '#fbd5d5' : '#f19999'; ctx.lineWidth = mm % 5 ? 0.5 : 1
+    ctx.beginPath(); ctx.moveTo(mm * STRIP_PPM, 0); ctx.lineTo(mm * STRIP_PPM, h); ctx.stroke()
+  }
+  for (let mm = 0; mm * STRIP_PPM <= h; mm++){
+    ctx.strokeStyle = mm % 5 ? '#fbd5d5' : '#f19999'; ctx.lineWidth = mm % 5 ? 0.5 : 1
+    ctx.beginPath(); ctx.moveTo(0, mm * STRIP_PPM); ctx.lineTo(w, mm * STRIP_PPM); ctx.stroke()
+  }
+  if (!strip) return
+  const fs = record.sampleRate
+  const samples = strip.leads[lead]
+  const xStep = 25 * STRIP_PPM / fs
+  const y0 = h / 2
+  ctx.strokeStyle = '#111'; ctx.lineWidth = 1.2; ctx.beginPath()
+  for (let i = 0; i < strip.available; i++){
+    const px = i * xStep, py = y0 - samples[i] * 10 * STRIP_PPM
+    if (i) ctx.lineTo(px, py); else ctx.moveTo(px, py)
+  }
+  ctx.stroke()
+  ctx.fillStyle = '#dc2626'
+  for (const b of strip.beats) ctx.fillRect((b - strip.start) * xStep - 1, 2, 2, 6)
+  ctx.fillStyle = '#111'; ctx.font = '12px sans-serif'; ctx.textBaseline = 'top'
+  ctx.fillText(`${lead} · ${clock(record, strip.start / fs)} · 25 mm/s · 10 mm/mV`, 6, h - 18)
+}
+
+// Review of Holter recordings: trend over the whole recording, full-disclosure pages
+// of many minutes, and the exact strip at any point. `version` changes as the
+// active recording adds minutes; `onReport(record, startSample)` opens a report there.
+export default function HolterReview({ version, initialId, activeId, onReport, onClose }){
+  const [sessions, setSessions] = useState([])
+  const [selectedId, setSelectedId] = useState(initialId || null)
+  const [record, setRecord] = useState(null)
+  const [minutesPerPage, setMinutesPerPage] = useState(10)
+  const [pageIndex, setPageIndex] = useState(0)
+  const [lead, setLead] = useState('II')
+  const [page, setPage] = useState(null)
+  const [selected, setSelected] = useState(null) // { minute, second }
+  const [strip, setStrip] = useState(null)
+  const [error, setError] = useState(null)
+  const trendRef = useRef(null)
+  const trendMapRef = useRef(null)
+  const disclosureRef = useRef(null)
+  const stripRef = useRef(null)
+
+  useEffect(() => { if (initialId) setSelectedId(initialId) }, [initialId])
+
+  useEffect(() => {
+    let cancelled = false
+    listHolterSessions()
+      .then(list => {
+        if (cancelled) return
+        setSessions(list)
+        setSelectedId(id => id && list.some(r => r.id === id) ? id : (list[0] ? list[0].id : null))
+      })
+      .catch(e => { if (!cancelled) setError(e.message) })
+    return () => { cancelled = true }
+  }, [version])
+
+  useEffect(() => {
+    if (!selectedId){ setRecord(null); return }
+    let cancelled = false
+    loadHolterSession(selectedId).then(r => { if (!cancelled) setRecord(r) }).catch(e => { if (!cancelled) setError(e.message) })
+    return () => { cancelled = true }
+  }, [selectedId, version])
+
+  // a different recording starts at its first page, with nothing selected
+  useEffect(() => { setPageIndex(0); setSelected(null); setStrip(null) }, [selectedId])
+
+  const firstMinute = pageIndex * minutesPerPage
+  const totalMinutes = record ? Math.ceil(record.sampleCount / record.sampleRate / 60) : 0
+  const pageCount = Math.max(1, Math.ceil(totalMinutes / minutesPerPage))
+
+  useEffect(() => {
+    if (!record){ setPage(null); return }
+    let cancelled = false
+    const fs = record.sampleRate
+    const end = Math.min(record.sampleCount, (firstMinute + minutesPerPage) * 60 * fs)
+    readHolterRange(record, firstMinute * 60 * fs, Math.max(end, firstMinute * 60 * fs + 1))
+      .then(p => { if (!cancelled) setPage(p) })
+      .catch(e => { if (!cancelled) setError(e.message) })
+    return () => { cancelled = true }
+  }, [record, firstMinute, minutesPerPage])
+
+  useEffect(() => {
+    if (!record || !selected || selected.second == null){ setStrip(null); return }
+    let cancelled = false
+    const fs = record.sampleRate
+    const start = Math.round(selected.second * fs)
+    readHolterRange(record, start, start + STRIP_SECONDS * fs)
+      .then(s => { if (!cancelled) setStrip(s) })
+      .catch(e => { if (!cancelled) setError(e.message) })
+    return () => { cancelled = true }
+  }, [record, selected])
+
+  useEffect(() => {
+    if (record && trendRef.current) trendMapRef.current = drawTrend(trendRef.current, record, selected && selected.minute)
+  }, [record, selected])
+
+  useEffect(() => {
+    if (record && disclosureRef.current) drawDisclosure(disclosureRef.current, record, page, lead, firstMinute, selected)
+  }, [record, page, lead, firstMinute, selected])
+
+  useEffect(() => {
+    if (record && stripRef.current) drawStrip(stripRef.current, record, strip, lead)
+  }, [record, strip, lead])
+
+  // Select the strip starting at `second` and show the page that holds it
+  function jumpTo(second){
+    if (!record) return
+    const duration = record.sampleCount / record.sampleRate
+    const s = Math.max(0, Math.min(second, duration - STRIP_SECONDS))
+    const minute = Math.floor(s / 60)
+    setPageIndex(Math.floor(minute / minutesPerPage))
+    setSelected({ minute, second: s })
+  }
+
+  const canvasPoint = (e, canvas) => {
+    const rect = canvas.getBoundingClientRect()
+    return { x: (e.clientX - rect.left) * canvas.width / rect.width, y: (e.clientY - rect.top) * canvas.height / rect.height }
+  }
+
+  function onTrendClick(e){
+    if (!record || !trendMapRef.current) return
+    const minute = trendMapRef.current.minuteAt(canvasPoint(e, trendRef.current).x)
+    if (minute < 0 || minute >= totalMinutes) return
+    // the strip around the middle of that minute
+    jumpTo(minute * 60 + 30 - STRIP_SECONDS / 2)
+  }
+
+  function onDisclosureClick(e){
+    if (!record || !page) return
+    const { x, y } = canvasPoint(e, disclosureRef.current)
+    if (x < LABEL_WIDTH) return
+    const row = Math.floor(y / ROW_HEIGHT)
+    const second = (firstMinute + row) * 60 + (x - LABEL_WIDTH) / (DISCLOSURE_WIDTH - LABEL_WIDTH) * 60
+    jumpTo(second - STRIP_SECONDS / 2)
+  }
+
+  async function remove(){
+    if (!record || record.id === activeId) return
+    if (!window.confirm(`Delete the Holter recording of ${sessionLabel(record)}? This cannot be undone.`)) return
+    try {
+      await deleteHolterSession(record.id)
+      setSessions(list => list.filter(r => r.id !== record.id))
+      setSelectedId(null)
+    } catch (e) { setError(e.message) }
+  }
+
+  const selectedTrend = record && selected && (record.trend || []).find(t => t.minute === selected.minute)
+  const summary = record && (() => {
+    const rates = record.trend.filter(t => t.hr != null)
+    const mean = rates.length ? rates.reduce((s, t) => s + t.hr * t.seconds, 0) / rates.reduce((s, t) => s + t.seconds, 0) : null
+    const lo = rates.length ? Math.min(...rates.map(t => t.hr)) : null
+    const hi = rates.length ? Math.max(...rates.map(t => t.hr)) : null
+    return [formatDuration(record.sampleCount / record.sampleRate), `${record.beatCount} beats`,
+      mean != null && `mean HR ${Math.round(mean)} bpm (minute means ${Math.round(lo)}–${Math.round(hi)})`,
+      record.filter, record.id === activeId ? 'recording…' : record.status === 'recording' ? 'interrupted' : null].filter(Boolean).join(' · ')
+  })()
+
+  return (
+    <div className="controls grid-card" style={{marginTop:8,display:'block'}}>
+      <div style={{display:'flex',gap:10,alignItems:'center',flexWrap:'wrap'}}>
+        <strong>🫀 Holter review</strong>
+        <select value={selectedId || ''} onChange={e=>setSelectedId(e.target.value || null)} style={{maxWidth:420}}>
+          {!sessions.length && <option value="">No Holter recordings</option>}
+          {sessions.map(r => <option key={r.id} value={r.id}>{sessionLabel(r, activeId)}</option>)}
+        </select>
+        <button className="btn" onClick={remove} disabled={!record || record.id === activeId}>🗑 Delete</button>
+        <button className="btn" onClick={onClose} style={{marginLeft:'auto'}}>✕ Close</button>
+      </div>
+      {error && <div style={{color:'#ffb4b4',marginTop:8}}>{error}</div>}
+      {record && (
+        <>
+          <div style={{fontSize:12,color:'#9ca3af',marginTop:6}}>{summary}</div>
+          <canvas ref={trendRef} width={TREND_WIDTH} height={TREND_HEIGHT} onClick={onTrendClick}
+            style={{width:'100%',marginTop:8,cursor:'crosshair',borderRadius:4}} title="Click a minute to open its strip" />
+          <div style={{fontSize:12,color:'#e5e7eb',minHeight:16}}>{minuteText(record, selectedTrend)}</div>
+          <div style={{display:'flex',gap:10,alignItems:'center',flexWrap:'wrap',marginTop:8}}>
+            <label>Lead: <select value={lead} onChange={e=>setLead(e.target.value)}>{LEAD_KEYS.map(k => <option key={k} value={k}>{k}</option>)}</select></label>
+            <label>Minutes per page: <select value={minutesPerPage} onChange={e=>{ const n = parseInt(e.target.value, 10); setPageIndex(Math.floor(firstMinute / n)); setMinutesPerPage(n) }}>
+              {MINUTES_PER_PAGE.map(n => <option key={n} value={n}>{n}</option>)}
+            </select></label>
+            <button className="btn" onClick={()=>setPageIndex(p => Math.max(0, p - 1))} disabled={pageIndex === 0}>◀ Previous</button>
+            <span style={{fontSize:12,fontVariantNumeric:'tabular-nums'}}>Page {pageIndex + 1} of {pageCount}</span>
+            <button className="btn" onClick={()=>setPageIndex(p => Math.min(pageCount - 1, p + 1))} disabled={pageIndex >= pageCount - 1}>Next ▶</button>
+          </div>
+          <canvas ref={disclosureRef} width={DISCLOSURE_WIDTH} height={Math.max(1, Math.min(minutesPerPage, totalMinutes - firstMinute)) * ROW_HEIGHT}
+            onClick={onDisclosureClick} style={{width:'100%',marginTop:8,cursor:'crosshair',borderRadius:4}} title="Click to open that strip" />
+          {selected && (
+            <div style={{marginTop:8}}>
+              <div style={{display:'flex',gap:10,alignItems:'center',flexWrap:'wrap'}}>
+                <button className="btn" onClick={()=>jumpTo(selected.second - STRIP_SECONDS)}>◀ {STRIP_SECONDS} s</button>
+                <button className="btn" onClick={()=>jumpTo(selected.second + STRIP_SECONDS)}>{STRIP_SECONDS} s ▶</button>
+                <button className="btn" onClick={()=>onReport(record, Math.round(selected.second * record.sampleRate))}
+                  style={{background:'#dc2626',color:'#fff'}} title="Build the red-grid report starting at this strip">🩺 Report from here</button>
+              </div>
+              <canvas ref={stripRef} width={STRIP_SECONDS * 25 * STRIP_PPM} height={40 * STRIP_PPM} style={{marginTop:8,maxWidth:'100%'}} />
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
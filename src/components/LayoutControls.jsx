@@ -0,0 +1,56 @@
+import React from 'react'
+import { LEAD_LAYOUTS, LAYOUT_LEADS, MAX_LAYOUT_ROWS, MAX_LAYOUT_COLS, applyLayoutPreset, normalizeLayout, layoutLeadLabel } from '../report/layout'
+
+// Lead layout selectors: a preset, or rows × columns with a lead per cell, and the
+// rhythm strip lead. Used by the live controls bar and by the report.
+export default function LayoutControls({ layout, onChange }){
+  const l = normalizeLayout(layout)
+
+  function update(changes){
+    onChange(normalizeLayout({ ...l, ...changes, id: 'custom' }))
+  }
+
+  function setCell(i, id){
+    const cells = l.cells.slice()
+    cells[i] = id
+    update({ cells })
+  }
+
+  return (
+    <>
+      <label>Layout:
+        <select value={l.id} onChange={e=>onChange(applyLayoutPreset(l, e.target.value))}>
+          {LEAD_LAYOUTS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+        </select>
+      </label>
+      {l.id === 'custom' && (
+        <>
+          <label>Rows:
+            <select value={l.rows} onChange={e=>update({ rows: parseInt(e.target.value) })}>
+              {Array.from({ length: MAX_LAYOUT_ROWS }, (_, i) => <option key={i} value={i + 1}>{i + 1}</option>)}
+            </select>
+          </label>
+          <label>Columns:
+            <select value={l.cols} onChange={e=>update({ cols: parseInt(e.target.value) })}>
+              {Array.from({ length: MAX_LAYOUT_COLS }, (_, i) => <option key={i} value={i + 1}>{i + 1}</option>)}
+            </select>
+          </label>
+          <span style={{display:'inline-grid',gridTemplateColumns:`repeat(${l.cols}, auto)`,gap:4}} title="Leads, row by row">
+            {l.cells.map((id, i) => (
+              <select key={i} value={id} onChange={e=>setCell(i, e.target.value)}>
+                <option value="">—</option>
+                {LAYOUT_LEADS.map(lead => <option key={lead} value={lead}>{layoutLeadLabel(lead)}</option>)}
+              </select>
+            ))}
+          </span>
+        </>
+      )}
+      <label title="Full-width strip of one lead under the grid">Rhythm:
+        <select value={l.rhythmLead || ''} onChange={e=>onChange(normalizeLayout({ ...l, rhythmLead: e.target.value || null }))}>
+          <option value="">None</option>
+          {LAYOUT_LEADS.map(lead => <option key={lead} value={lead}>{layoutLeadLabel(lead)}</option>)}
+        </select>
+      </label>
+    </>
+  )
+}
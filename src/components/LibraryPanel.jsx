@@ -0,0 +1,133 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { listRecordings, updateRecording, deleteRecording, storageUsage, matchesSearch, exportLibrary, importLibrary } from '../io/library'
+
+function formatBytes(n){
+  if (n == null) return '?'
+  if (n < 1024) return `${n} B`
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`
+  if (n < 1024 ** 3) return `${(n / 1024 / 1024).toFixed(1)} MB`
+  return `${(n / 1024 ** 3).toFixed(2)} GB`
+}
+
+const parseTags = text => [...new Set(text.split(',').map(t => t.trim()).filter(Boolean))]
+
+// Saved captures: search, rename, tag, delete, reopen, and archive export/import.
+// `version` changes whenever the app saves a new recording.
+export default function LibraryPanel({ version, openId, onOpen, onClose }){
+  const [entries, setEntries] = useState([])
+  const [usage, setUsage] = useState(null)
+  const [query, setQuery] = useState('')
+  const [error, setError] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [editing, setEditing] = useState(null) // { id, title, tags }
+  const [reload, setReload] = useState(0)
+  const importInputRef = useRef(null)
+
+  useEffect(() => {
+    let cancelled = false
+    Promise.all([listRecordings(), storageUsage().catch(() => null)])
+      .then(([list, use]) => { if (!cancelled){ setEntries(list); setUsage(use); setError(null) } })
+      .catch(e => { if (!cancelled) setError(e.message) })
+    return () => { cancelled = true }
+  }, [version, reload])
+
+  async function run(action){
+    setBusy(true)
+    try { await action(); setReload(n => n + 1) }
+    catch (e) { setError(e && e.message ? e.message : String(e)) }
+    finally { setBusy(false) }
+  }
+
+  const saveEdit = () => run(async () => {
+    await updateRecording(editing.id, { title: editing.title.trim() || 'Untitled recording', tags: parseTags(editing.tags) })
+    setEditing(null)
+  })
+
+  const remove = entry => {
+    if (!window.confirm(`Delete "${entry.title}" from the library? This cannot be undone.`)) return
+    run(() => deleteRecording(entry.id))
+  }
+
+  const exportAll = () => run(async () => {
+    const { blob, fileName } = await exportLibrary()
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a'); a.href = url; a.download = fileName; a.click()
+    setTimeout(() => URL.revokeObjectURL(url), 1000)
+  })
+
+  const importAll = file => run(async () => {
+    const count = await importLibrary(file)
+    alert(`Imported ${count} recording${count === 1 ? '' : 's'}.`)
+  })
+
+  const shown = entries.filter(e => matchesSearch(e, query))
+  const librarySize = entries.reduce((sum, e) => sum + (e.size || 0), 0)
+  return (
+    <div className="controls grid-card" style={{marginTop:8}}>
+      <div style={{display:'flex',gap:10,alignItems:'center',flexWrap:'wrap'}}>
+        <strong>📚 Recording library</strong>
+        <input type="search" placeholder="Search title, tag, patient, finding…" value={query} onChange={e=>setQuery(e.target.value)} style={{width:260}} />
+        <span style={{fontSize:12,color:'#9ca3af'}}>
+          {entries.length} recording{entries.length === 1 ? '' : 's'}, {formatBytes(librarySize)} of samples
+          {usage && ` · browser storage ${formatBytes(usage.usage)} of ${formatBytes(usage.quota)}`}
+        </span>
+        <button className="btn" onClick={exportAll} disabled={busy || !entries.length}>⬇ Export archive</button>
+        <input ref={importInputRef} type="file" accept=".gz,.json" style={{display:'none'}}
+          onChange={e=>{ const f = e.target.files[0]; e.target.value = ''; if (f) importAll(f) }} />
+        <button className="btn" onClick={()=>importInputRef.current && importInputRef.current.click()} disabled={busy}>⬆ Import archive</button>
+        <button className="btn" onClick={onClose} style={{marginLeft:'auto'}}>✕ Close</button>
+      </div>
+      {error && <div style={{color:'#ffb4b4',marginTop:8}}>{error}</div>}
+      <div style={{marginTop:8,maxHeight:320,overflowY:'auto'}}>
+        {!shown.length && <div style={{color:'#9ca3af',padding:8}}>{entries.length ? 'No recordings match the search.' : 'No saved recordings yet. Every capture is saved here automatically.'}</div>}
+        {shown.map(entry => {
+          const s = entry.session || {}
+          const isEditing = editing && editing.id === entry.id
+          return (
+            <div key={entry.id} style={{display:'flex',gap:10,alignItems:'center',flexWrap:'wrap',padding:'6px 8px',borderTop:'1px solid #1f2937',
+              background: entry.id === openId ? 'rgba(0,217,255,0.08)' : 'transparent'}}>
+              <div style={{flex:'1 1 320px',minWidth:0}}>
+                {isEditing ? (
+                  <div style={{display:'flex',gap:6,flexWrap:'wrap'}}>
+                    <input type="text" value={editing.title} onChange={e=>setEditing({ ...editing, title: e.target.value })} style={{width:260}} autoFocus
+                      onKeyDown={e=>{ if (e.key === 'Enter') saveEdit(); if (e.key === 'Escape') setEditing(null) }} />
+                    <input type="text" value={editing.tags} placeholder="tags, comma separated" onChange={e=>setEditing({ ...editing, tags: e.target.value })} style={{width:200}}
+                      onKeyDown={e=>{ if (e.key === 'Enter') saveEdit(); if (e.key === 'Escape') setEditing(null) }} />
+                  </div>
+                ) : (
+                  <>
+                    <div style={{fontWeight:600}}>{entry.title}</div>
+                    <div style={{fontSize:12,color:'#9ca3af'}}>
+                      {[entry.startTime && new Date(entry.startTime).toLocaleString(), entry.duration && `${entry.duration.toFixed(1)} s`,
+                        entry.heartRate && `${Math.round(entry.heartRate)} bpm`, s.patientId && `ID ${s.patientId}`, entry.findings && entry.findings[0]]
+                        .filter(Boolean).join(' · ')}
+                    </div>
+                    {entry.tags && entry.tags.length > 0 && (
+                      <div style={{display:'flex',gap:4,marginTop:2,flexWrap:'wrap'}}>
+                        {entry.tags.map(t => (
+                          <span key={t} onClick={()=>setQuery(t)} style={{fontSize:11,padding:'1px 6px',borderRadius:8,background:'#1f2937',cursor:'pointer'}}>{t}</span>
+                        ))}
+                      </div>
+                    )}
+                  </>
+                )}
+              </div>
+              {isEditing ? (
+                <>
+                  <button className="btn" onClick={saveEdit} disabled={busy}>Save</button>
+                  <button className="btn" onClick={()=>setEditing(null)}>Cancel</button>
+                </>
+              ) : (
+                <>
+                  <button className="btn" onClick={()=>onOpen(entry.id)} title="Rebuild and open the report from the saved samples">🩺 Open</button>
+                  <button className="btn" onClick={()=>setEditing({ id: entry.id, title: entry.title, tags: (entry.tags || []).join(', ') })}>✎ Rename / tag</button>
+                  <button className="btn" onClick={()=>remove(entry)} disabled={busy}>🗑 Delete</button>
+                </>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
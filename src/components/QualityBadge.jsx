@@ -0,0 +1,16 @@
+import React from 'react'
+import { qualityLabel } from '../dsp/quality'
+
+const COLORS = { good: '#10b981', fair: '#f59e0b', poor: '#ef4444', off: '#9ca3af' }
+
+// Signal quality of one lead, from assessLeadQuality; the problems are in the tooltip
+export default function QualityBadge({ lead, result }){
+  if (!result) return <span className="quality-badge" style={{color:'#6b7280',borderColor:'#374151'}} title={`${lead}: checking signal quality…`}>…</span>
+  const color = COLORS[result.level]
+  const title = `${lead}: ${qualityLabel(result.level)}` + (result.issues.length ? ` — ${result.issues.map(i => i.label).join(', ')}` : '')
+  return (
+    <span className="quality-badge" style={{color,borderColor:color}} title={title}>
+      {result.level === 'off' ? '⚠ ' : ''}{qualityLabel(result.level)}
+    </span>
+  )
+}
@@ -0,0 +1,44 @@
+import React from 'react'
+import { PAPER_SPEEDS, AMPLITUDES, normalizeScale } from '../report/scale'
+import { LEAD_KEYS } from '../io/leads'
+
+// Paper speed and amplitude selectors, with per-lead amplitudes behind a disclosure.
+// Used by the live controls bar and by the report.
+export default function ScaleControls({ scale, onChange }){
+  const s = normalizeScale(scale)
+
+  function setLead(key, value){
+    const leads = { ...s.leads }
+    if (value) leads[key] = value
+    else delete leads[key]
+    onChange(normalizeScale({ ...s, leads }))
+  }
+
+  return (
+    <>
+      <label>Speed:
+        <select value={s.speed} onChange={e=>onChange(normalizeScale({ ...s, speed: parseFloat(e.target.value) }))}>
+          {PAPER_SPEEDS.map(v => <option key={v} value={v}>{v} mm/s</option>)}
+        </select>
+      </label>
+      <label>Amplitude:
+        <select value={s.mmPerMv} onChange={e=>onChange(normalizeScale({ ...s, mmPerMv: parseFloat(e.target.value) }))}>
+          {AMPLITUDES.map(v => <option key={v} value={v}>{v} mm/mV</option>)}
+        </select>
+      </label>
+      <details style={{display:'inline-block'}}>
+        <summary style={{cursor:'pointer'}} title="Amplitude of single leads, e.g. a tall aVR at half size">
+          Per lead{Object.keys(s.leads).length ? ` (${Object.keys(s.leads).length})` : ''}
+        </summary>
+        {LEAD_KEYS.map(key => (
+          <label key={key} style={{marginRight:6}}>{key}:
+            <select value={s.leads[key] || 0} onChange={e=>setLead(key, parseFloat(e.target.value))}>
+              <option value={0}>Same</option>
+              {AMPLITUDES.map(v => <option key={v} value={v}>{v} mm/mV</option>)}
+            </select>
+          </label>
+        ))}
+      </details>
+    </>
+  )
+}
@@ -0,0 +1,36 @@
+import React from 'react'
+import { SEX_OPTIONS, ELECTRODE_PLACEMENTS } from '../io/session'
+
+// Patient and session details; attached to a capture when recording starts
+export default function SessionForm({ session, onChange }){
+  function update(key, value){
+    onChange({ ...session, [key]: value })
+  }
+
+  const text = (key, label, width, title) => (
+    <label title={title}>{label}: <input type="text" value={session[key]} onChange={e=>update(key, e.target.value)} style={{width}} /></label>
+  )
+  return (
+    <>
+      {text('patientId', 'Patient ID', 90)}
+      {text('name', 'Name', 140)}
+      <label>DOB: <input type="date" value={session.dob} onChange={e=>update('dob', e.target.value)} /></label>
+      <label title="Used when no date of birth is given">Age: <input type="number" min="0" max="130" value={session.age}
+        onChange={e=>update('age', e.target.value)} style={{width:56}} /></label>
+      <label>Sex:
+        <select value={session.sex} onChange={e=>update('sex', e.target.value)}>
+          {SEX_OPTIONS.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+        </select>
+      </label>
+      {text('referrer', 'Referring clinician', 140)}
+      {text('operator', 'Operator', 110)}
+      <label>Electrodes:
+        <select value={session.placement} onChange={e=>update('placement', e.target.value)}>
+          {ELECTRODE_PLACEMENTS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+        </select>
+      </label>
+      {text('deviceSerial', 'Device S/N', 100)}
+      {text('notes', 'Notes', 260)}
+    </>
+  )
+}
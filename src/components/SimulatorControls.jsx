@@ -0,0 +1,47 @@
+import React from 'react'
+import { SIM_MODES, LEAD_OFF_OPTIONS } from '../io/simulator'
+
+// Settings for the virtual device. Changes apply to the running stream.
+export default function SimulatorControls({ config, onChange }){
+  function update(key, value){
+    onChange({ ...config, [key]: value })
+  }
+
+  const ecg = config.mode === 'ecg'
+  return (
+    <>
+      <label>Signal:
+        <select value={config.mode} onChange={e=>update('mode', e.target.value)}>
+          {SIM_MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+        </select>
+      </label>
+      <label>HR (bpm): <input type="number" min="20" max="250" value={config.heartRate} disabled={!ecg}
+        onChange={e=>update('heartRate', parseInt(e.target.value) || 72)} style={{width:56}} /></label>
+      <label title="Standard deviation of the RR interval">HRV (ms): <input type="number" min="0" max="200" value={config.hrv} disabled={!ecg}
+        onChange={e=>update('hrv', Math.max(0, parseInt(e.target.value) || 0))} style={{width:56}} /></label>
+      <label>Noise (mV): <input type="number" min="0" max="0.5" step="0.01" value={config.noise}
+        onChange={e=>update('noise', Math.max(0, parseFloat(e.target.value) || 0))} style={{width:56}} /></label>
+      <label title="Respiratory baseline wander">Wander (mV): <input type="number" min="0" max="2" step="0.05" value={config.wander} disabled={!ecg}
+        onChange={e=>update('wander', Math.max(0, parseFloat(e.target.value) || 0))} style={{width:56}} /></label>
+      <label>Mains:
+        <select value={config.mainsFreq} onChange={e=>update('mainsFreq', parseInt(e.target.value))}>
+          <option value={50}>50 Hz</option>
+          <option value={60}>60 Hz</option>
+        </select>
+        <input type="number" min="0" max="2" step="0.05" value={config.mainsAmp} title="Mains interference amplitude (mV)"
+          onChange={e=>update('mainsAmp', Math.max(0, parseFloat(e.target.value) || 0))} style={{width:56}} />
+      </label>
+      <label title="Simulate an electrode coming off">Lead-off:
+        <select value={config.leadOff} onChange={e=>update('leadOff', e.target.value)}>
+          {LEAD_OFF_OPTIONS.map(o => <option key={o} value={o}>{o === 'none' ? 'None' : o}</option>)}
+        </select>
+      </label>
+      {[['pvc', 'PVCs'], ['af', 'AF'], ['pauses', 'Pauses']].map(([key, label]) => (
+        <label key={key} style={{display:'flex',alignItems:'center',gap:4}}>
+          <input type="checkbox" checked={config[key]} disabled={!ecg} onChange={e=>update(key, e.target.checked)} />
+          <span>{label}</span>
+        </label>
+      ))}
+    </>
+  )
+}
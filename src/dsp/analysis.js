@@ -0,0 +1,39 @@
+// Whole-recording analysis shared by live captures and re-processed reports:
+// R-peaks, intervals, axis and rhythm, all indexed on the full recording.
+
+import { createQrsDetector, heartRateFromPeaks } from './qrsDetector'
+import { measureIntervals } from './delineation'
+import { computeAxes } from './axis'
+import { analyzeRhythm } from './rhythm'
+
+// Offline R-peak detection. The detector learns its thresholds from the start of
+// the signal first, so beats in the first two seconds are found too.
+export function detectRPeaks(signal, sampleRate){
+  if (!signal || !signal.length) return []
+  const detector = createQrsDetector(sampleRate)
+  detector.train(signal)
+  const peaks = []
+  for (let i = 0; i < signal.length; i++){
+    const beat = detector.process(signal[i])
+    if (!beat) continue
+    const idx = i - beat.delay
+    if (idx >= 0 && (!peaks.length || idx > peaks[peaks.length - 1])) peaks.push(idx)
+  }
+  return peaks
+}
+
+// leads: { I, II, III, aVR, aVL, aVF } sample arrays (mV)
+export function analyzeRecording(leads, sampleRate, options = {}){
+  const rPeaks = options.rPeaks || detectRPeaks(leads.II || leads.I, sampleRate)
+  const signals = ['I', 'II', 'III', 'aVR', 'aVL', 'aVF'].map(k => leads[k]).filter(Boolean)
+  const { beats: fiducials, ...measurements } = measureIntervals(signals, rPeaks, sampleRate)
+  return {
+    rPeaks,
+    heartRate: heartRateFromPeaks(rPeaks, sampleRate),
+    beatCount: rPeaks.length,
+    measurements,
+    fiducials,
+    axis: computeAxes(leads, fiducials, sampleRate),
+    rhythm: analyzeRhythm(rPeaks, fiducials, sampleRate, { pauseSeconds: options.pauseSeconds })
+  }
+}
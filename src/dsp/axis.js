@@ -0,0 +1,84 @@
+// Frontal-plane electrical axis (QRS, P, T) from the six limb leads.
+// Each lead sees the cardiac vector projected onto its hexaxial direction, so
+// net wave amplitudes are fitted with A = k·M·cos(θ − φ) by least squares.
+
+import { median } from './stats'
+
+// Hexaxial angle (deg, +90 = aVF, y pointing down) and gain of each limb lead
+export const HEXAXIAL = {
+  I: { angle: 0, gain: 1 },
+  II: { angle: 60, gain: 1 },
+  III: { angle: 120, gain: 1 },
+  aVR: { angle: -150, gain: Math.sqrt(3) / 2 },
+  aVL: { angle: -30, gain: Math.sqrt(3) / 2 },
+  aVF: { angle: 90, gain: Math.sqrt(3) / 2 }
+}
+
+function baselineAt(x, qrsOnset, fs){
+  const from = Math.max(0, qrsOnset - Math.round(0.03 * fs))
+  const vals = []
+  for (let i = from; i <= qrsOnset && i < x.length; i++) vals.push(x[i])
+  return median(vals) ?? 0
+}
+
+// QRS: R minus |S| (peak-to-peak sum); P and T: mean deviation (area / duration)
+function netAmplitudes(x, f, fs){
+  if (f.qrsOnset == null || f.qrsOffset == null) return null
+  const base = baselineAt(x, f.qrsOnset, fs)
+  let hi = -Infinity, lo = Infinity
+  for (let i = f.qrsOnset; i <= f.qrsOffset && i < x.length; i++){ hi = Math.max(hi, x[i]); lo = Math.min(lo, x[i]) }
+  const qrs = isFinite(hi) ? (hi - base) + (lo - base) : null
+  const area = (from, to) => {
+    if (from == null || to == null || to <= from) return null
+    let s = 0, c = 0
+    for (let i = from; i < to && i < x.length; i++){ s += x[i] - base; c++ }
+    return c ? s / c : null
+  }
+  return { qrs, p: area(f.pOnset, f.qrsOnset), t: area(f.qrsOffset, f.tEnd) }
+}
+
+function fitAngle(amplitudes){
+  // normal equations for A_l = k_l (a cos φ_l + b sin φ_l)
+  let caa = 0, cab = 0, cbb = 0, ya = 0, yb = 0, used = 0
+  for (const [lead, amp] of Object.entries(amplitudes)){
+    if (amp == null || !HEXAXIAL[lead]) continue
+    const { angle, gain } = HEXAXIAL[lead]
+    const c = gain * Math.cos(angle * Math.PI / 180)
+    const s = gain * Math.sin(angle * Math.PI / 180)
+    caa += c * c; cab += c * s; cbb += s * s
+    ya += c * amp; yb += s * amp
+    used++
+  }
+  if (used < 2) return null
+  const det = caa * cbb - cab * cab
+  if (Math.abs(det) < 1e-9) return null
+  const a = (ya * cbb - yb * cab) / det
+  const b = (yb * caa - ya * cab) / det
+  if (Math.hypot(a, b) < 1e-6) return null
+  return Math.round(Math.atan2(b, a) * 180 / Math.PI)
+}
+
+// Standard adult QRS axis ranges
+export function classifyAxis(deg){
+  if (deg == null) return 'indeterminate'
+  if (deg >= -30 && deg <= 90) return 'normal'
+  if (deg < -30 && deg >= -90) return 'left axis deviation'
+  if (deg > 90 && deg <= 180) return 'right axis deviation'
+  return 'extreme axis deviation'
+}
+
+// leadSignals: { I, II, III, aVR, aVL, aVF } sample arrays; fiducials from measureIntervals
+export function computeAxes(leadSignals, fiducials, sampleRate){
+  const fs = Math.max(1, sampleRate)
+  const empty = { qrs: null, p: null, t: null, classification: classifyAxis(null) }
+  if (!leadSignals || !fiducials || !fiducials.length) return empty
+  const perWave = { qrs: {}, p: {}, t: {} }
+  for (const lead of Object.keys(HEXAXIAL)){
+    const x = leadSignals[lead]
+    if (!x || !x.length) continue
+    const beats = fiducials.map(f => netAmplitudes(x, f, fs)).filter(Boolean)
+    for (const wave of ['qrs', 'p', 't']) perWave[wave][lead] = median(beats.map(b => b[wave]))
+  }
+  const qrs = fitAngle(perWave.qrs)
+  return { qrs, p: fitAngle(perWave.p), t: fitAngle(perWave.t), classification: classifyAxis(qrs) }
+}
@@ -0,0 +1,107 @@
+// Offline (non-causal) baseline-wander removal for recorded strips.
+// Unlike the live filter chain these have no phase distortion, so ST segments
+// are preserved. Each function returns a new corrected array.
+
+import { designFilterChain, filtfilt } from './filters'
+
+export const BASELINE_MODES = [
+  { id: 'off', label: 'Off' },
+  { id: 'zero-phase', label: 'Zero-phase high-pass 0.67 Hz' },
+  { id: 'median', label: 'Two-stage median (200/600 ms)' },
+  { id: 'spline', label: 'Cubic spline through PR knots' }
+]
+
+// Forward-backward high-pass with odd reflection padding at both ends
+export function zeroPhaseHighPass(samples, sampleRate, cutoff = 0.67){
+  const { stages } = designFilterChain({ highPass: cutoff }, sampleRate)
+  return filtfilt(samples, stages, Math.round(3 * sampleRate))
+}
+
+function medianFilter(x, width){
+  const half = Math.max(1, Math.floor(width / 2))
+  const n = x.length
+  const out = new Float64Array(n)
+  const win = []
+  const insert = v => {
+    let lo = 0, hi = win.length
+    while (lo < hi){ const mid = (lo + hi) >> 1; if (win[mid] < v) lo = mid + 1; else hi = mid }
+    win.splice(lo, 0, v)
+  }
+  const remove = v => {
+    let lo = 0, hi = win.length
+    while (lo < hi){ const mid = (lo + hi) >> 1; if (win[mid] < v) lo = mid + 1; else hi = mid }
+    win.splice(lo, 1)
+  }
+  // edges are handled by shrinking the window
+  for (let i = 0; i < Math.min(n, half); i++) insert(x[i])
+  for (let i = 0; i < n; i++){
+    if (i + half < n) insert(x[i + half])
+    if (i - half - 1 >= 0) remove(x[i - half - 1])
+    out[i] = win[win.length >> 1]
+  }
+  return out
+}
+
+// 200 ms median removes QRS/P, 600 ms median removes T; what remains is the baseline
+export function medianBaseline(samples, sampleRate){
+  if (!samples.length) return []
+  const stage1 = medianFilter(samples, Math.round(0.2 * sampleRate))
+  const base = medianFilter(stage1, Math.round(0.6 * sampleRate))
+  return Array.from(samples, (v, i) => v - base[i])
+}
+
+// Natural cubic spline through isoelectric knots in the PR segment of each beat
+export function splineBaseline(samples, sampleRate, fiducials){
+  const n = samples.length
+  const half = Math.max(1, Math.round(0.01 * sampleRate))
+  const knots = []
+  for (const f of fiducials || []){
+    if (f.qrsOnset == null) continue
+    const t = f.qrsOnset - Math.round(0.02 * sampleRate)
+    if (t - half < 0 || t + half >= n) continue
+    let s = 0
+    for (let i = t - half; i <= t + half; i++) s += samples[i]
+    knots.push([t, s / (2 * half + 1)])
+  }
+  if (!knots.length) return Array.from(samples)
+  if (knots.length === 1) return Array.from(samples, v => v - knots[0][1])
+
+  const k = knots.length
+  const xs = knots.map(p => p[0]), ys = knots.map(p => p[1])
+  // second derivatives via the tridiagonal system (natural boundary)
+  const m = new Float64Array(k)
+  const c = new Float64Array(k), d = new Float64Array(k)
+  for (let i = 1; i < k - 1; i++){
+    const h0 = xs[i] - xs[i - 1], h1 = xs[i + 1] - xs[i]
+    const a = h0 / 6, b = (h0 + h1) / 3, cc = h1 / 6
+    const r = (ys[i + 1] - ys[i]) / h1 - (ys[i] - ys[i - 1]) / h0
+    const denom = b - a * c[i - 1]
+    c[i] = cc / denom
+    d[i] = (r - a * d[i - 1]) / denom
+  }
+  for (let i = k - 2; i >= 1; i--) m[i] = d[i] - c[i] * m[i + 1]
+
+  const out = new Array(n)
+  let seg = 0
+  for (let i = 0; i < n; i++){
+    let base
+    if (i <= xs[0]) base = ys[0]
+    else if (i >= xs[k - 1]) base = ys[k - 1]
+    else {
+      while (seg < k - 2 && i > xs[seg + 1]) seg++
+      const h = xs[seg + 1] - xs[seg]
+      const A = (xs[seg + 1] - i) / h, B = (i - xs[seg]) / h
+      base = A * ys[seg] + B * ys[seg + 1] + ((A ** 3 - A) * m[seg] + (B ** 3 - B) * m[seg + 1]) * h * h / 6
+    }
+    out[i] = samples[i] - base
+  }
+  return out
+}
+
+export function removeBaseline(samples, sampleRate, mode, fiducials){
+  if (!samples || !samples.length || mode === 'off') return samples
+  if (mode === 'zero-phase') return zeroPhaseHighPass(samples, sampleRate)
+  if (mode === 'median') return medianBaseline(samples, sampleRate)
+  if (mode === 'spline') return splineBaseline(samples, sampleRate, fiducials)
+  return samples
+}
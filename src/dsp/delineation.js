@@ -0,0 +1,142 @@
+// Beat delineation: P onset, QRS onset/offset and T end around known R-peaks.
+// Slope thresholds locate the QRS boundaries, the tangent method finds the end
+// of the T-wave, and P onset is where the wave returns to the PR baseline.
+// All positions are sample indices into the input signal.
+
+import { median } from './stats'
+
+function smooth(x, fs){
+  const half = Math.max(1, Math.round(0.01 * fs))
+  const out = new Float32Array(x.length)
+  let sum = 0, count = 0
+  for (let i = 0; i < x.length + half; i++){
+    if (i < x.length){ sum += x[i]; count++ }
+    if (i - 2 * half - 1 >= 0){ sum -= x[i - 2 * half - 1]; count-- }
+    const c = i - half
+    if (c >= 0 && c < x.length) out[c] = sum / count
+  }
+  return out
+}
+
+// central difference in mV/s
+function derivative(x, fs){
+  const d = new Float32Array(x.length)
+  for (let i = 1; i < x.length - 1; i++) d[i] = (x[i + 1] - x[i - 1]) * fs / 2
+  return d
+}
+
+function delineateOne(x, d, r, rrSamples, fs){
+  const n = x.length
+  const ms = v => Math.round(v * fs / 1000)
+  const lo = Math.max(1, r - ms(120))
+  const hi = Math.min(n - 2, r + ms(120))
+  if (hi - lo < 4) return null
+
+  let maxSlope = 0
+  for (let i = lo; i <= hi; i++) maxSlope = Math.max(maxSlope, Math.abs(d[i]))
+  if (maxSlope <= 0) return null
+  const strong = 0.3 * maxSlope
+  const flat = 0.1 * maxSlope
+
+  // QRS onset: earliest strong slope before R, then back to where it flattens
+  let first = r
+  for (let i = lo; i <= r; i++){ if (Math.abs(d[i]) > strong){ first = i; break } }
+  let qrsOnset = first
+  while (qrsOnset > lo && Math.abs(d[qrsOnset]) > flat) qrsOnset--
+
+  // QRS offset (J point): latest strong slope after R, then forward until flat
+  let last = r
+  for (let i = hi; i >= r; i--){ if (Math.abs(d[i]) > strong){ last = i; break } }
+  let qrsOffset = last
+  while (qrsOffset < hi && Math.abs(d[qrsOffset]) > flat) qrsOffset++
+
+  // isoelectric level from the PR segment just before QRS onset
+  const pr = []
+  for (let i = Math.max(0, qrsOnset - ms(30)); i <= qrsOnset; i++) pr.push(x[i])
+  const baseline = median(pr) ?? 0
+
+  // T-wave: largest deflection between J + 80 ms and ~70% of the RR interval
+  let tEnd = null
+  const tLo = qrsOffset + ms(80)
+  const tHi = Math.min(n - 2, r + Math.min(Math.round(0.7 * rrSamples), ms(600)))
+  if (tHi > tLo){
+    let tPeak = tLo, tAmp = 0
+    for (let i = tLo; i <= tHi; i++){
+      const a = x[i] - baseline
+      if (Math.abs(a) > Math.abs(tAmp)){ tAmp = a; tPeak = i }
+    }
+    if (Math.abs(tAmp) > 0.05){
+      // tangent at the steepest point of the descending limb, intersected with baseline
+      const sign = Math.sign(tAmp)
+      let best = -1, bestSlope = 0
+      for (let i = tPeak + 1; i <= Math.min(n - 2, tPeak + ms(150)); i++){
+        const s = -sign * d[i]
+        if (s > bestSlope){ bestSlope = s; best = i }
+      }
+      if (best > 0 && d[best] !== 0){
+        const cross = best + ((baseline - x[best]) / d[best]) * fs
+        if (cross > tPeak && cross < tPeak + ms(250)) tEnd = Math.round(cross)
+      }
+    }
+  }
+
+  // P-wave: largest deflection 40..300 ms before QRS onset, onset where it fades to 10%.
+  // Never look inside the previous beat's T-wave window (matters at short RR).
+  let pOnset = null
+  const pLo = Math.max(1, qrsOnset - ms(300), r - rrSamples + Math.min(Math.round(0.7 * rrSamples), ms(600)))
+  const pHi = qrsOnset - ms(40)
+  if (pHi > pLo){
+    let pPeak = pHi, pAmp = 0
+    for (let i = pLo; i <= pHi; i++){
+      const a = x[i] - baseline
+      if (Math.abs(a) > Math.abs(pAmp)){ pAmp = a; pPeak = i }
+    }
+    if (Math.abs(pAmp) > 0.04){
+      let i = pPeak
+      while (i > pLo && Math.abs(x[i] - baseline) > 0.1 * Math.abs(pAmp)) i--
+      pOnset = i
+    }
+  }
+
+  return { r, pOnset, qrsOnset, qrsOffset, tEnd }
+}
+
+// Delineate every beat using all supplied leads; per-beat fiducials are the
+// median across leads, intervals are the median across beats (ms).
+export function measureIntervals(leadSignals, rPeaks, sampleRate){
+  const fs = Math.max(1, sampleRate)
+  const empty = { beats: [], pr: null, qrs: null, qt: null, qtcBazett: null, qtcFridericia: null, rr: null }
+  const signals = (leadSignals || []).filter(s => s && s.length)
+  if (!signals.length || !rPeaks || rPeaks.length < 2) return empty
+
+  const prepared = signals.map(s => { const x = smooth(s, fs); return { x, d: derivative(x, fs) } })
+  const rrList = []
+  for (let i = 1; i < rPeaks.length; i++) rrList.push(rPeaks[i] - rPeaks[i - 1])
+  const rrMedian = median(rrList)
+
+  const beats = []
+  for (let b = 0; b < rPeaks.length; b++){
+    const r = rPeaks[b]
+    const rr = b > 0 ? rPeaks[b] - rPeaks[b - 1] : rrMedian
+    const perLead = prepared.map(p => delineateOne(p.x, p.d, r, rr, fs)).filter(Boolean)
+    if (!perLead.length) continue
+    const pick = key => { const m = median(perLead.map(f => f[key])); return m == null ? null : Math.round(m) }
+    beats.push({ r, pOnset: pick('pOnset'), qrsOnset: pick('qrsOnset'), qrsOffset: pick('qrsOffset'), tEnd: pick('tEnd') })
+  }
+
+  const toMs = samples => samples == null ? null : samples * 1000 / fs
+  const pr = toMs(median(beats.map(f => f.pOnset == null ? null : f.qrsOnset - f.pOnset)))
+  const qrs = toMs(median(beats.map(f => f.qrsOffset - f.qrsOnset)))
+  const qt = toMs(median(beats.map(f => f.tEnd == null ? null : f.tEnd - f.qrsOnset)))
+  const rr = toMs(rrMedian)
+  const rrSec = rr ? rr / 1000 : null
+  return {
+    beats,
+    pr,
+    qrs,
+    qt,
+    qtcBazett: qt && rrSec ? qt / Math.sqrt(rrSec) : null,
+    qtcFridericia: qt && rrSec ? qt / Math.cbrt(rrSec) : null,
+    rr
+  }
+}
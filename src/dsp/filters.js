@@ -0,0 +1,123 @@
+// Configurable per-lead filter chain built from RBJ biquads:
+// 2nd-order Butterworth high-pass and low-pass plus mains notches (with harmonics).
+// Stages whose frequency is at or above Nyquist are skipped and reported by describe().
+
+export const HIGH_PASS_OPTIONS = [0.05, 0.5, 0.67]
+export const LOW_PASS_OPTIONS = [40, 100, 150]
+export const NOTCH_OPTIONS = [50, 60]
+
+export const FILTER_PRESETS = {
+  monitor: { highPass: 0.5, lowPass: 40, notch: 50, harmonics: true },
+  diagnostic: { highPass: 0.05, lowPass: 150, notch: 50, harmonics: true }
+}
+
+export const DEFAULT_FILTER_SETTINGS = { preset: 'monitor', ...FILTER_PRESETS.monitor }
+
+const BUTTERWORTH_Q = Math.SQRT1_2
+const NOTCH_Q = 30
+
+function biquad(type, f0, fs, q){
+  const w0 = 2 * Math.PI * f0 / fs
+  const cos = Math.cos(w0)
+  const alpha = Math.sin(w0) / (2 * q)
+  let b0, b1, b2
+  if (type === 'highpass'){ b0 = (1 + cos) / 2; b1 = -(1 + cos); b2 = (1 + cos) / 2 }
+  else if (type === 'lowpass'){ b0 = (1 - cos) / 2; b1 = 1 - cos; b2 = (1 - cos) / 2 }
+  else { b0 = 1; b1 = -2 * cos; b2 = 1 } // notch
+  const a0 = 1 + alpha
+  return { b0: b0 / a0, b1: b1 / a0, b2: b2 / a0, a1: -2 * cos / a0, a2: (1 - alpha) / a0 }
+}
+
+// Coefficient list for the settings at this sample rate, plus what was actually applied
+export function designFilterChain(settings, sampleRate){
+  const fs = Math.max(1, sampleRate)
+  const nyquist = fs / 2
+  const stages = []
+  const applied = { highPass: null, lowPass: null, notch: [] }
+  const skipped = []
+  if (settings.highPass){
+    if (settings.highPass < nyquist){ stages.push(biquad('highpass', settings.highPass, fs, BUTTERWORTH_Q)); applied.highPass = settings.highPass }
+    else skipped.push(`HP ${settings.highPass} Hz`)
+  }
+  if (settings.lowPass){
+    if (settings.lowPass < nyquist){ stages.push(biquad('lowpass', settings.lowPass, fs, BUTTERWORTH_Q)); applied.lowPass = settings.lowPass }
+    else skipped.push(`LP ${settings.lowPass} Hz`)
+  }
+  if (settings.notch){
+    const harmonics = settings.harmonics ? [1, 2, 3] : [1]
+    for (const h of harmonics){
+      const f = settings.notch * h
+      if (f < nyquist * 0.98){ stages.push(biquad('notch', f, fs, NOTCH_Q)); applied.notch.push(f) }
+      else if (h === 1) skipped.push(`Notch ${f} Hz`)
+    }
+  }
+  return { stages, applied, skipped }
+}
+
+// Human-readable summary of what a design actually does, for headers and labels
+export function describeFilter(design){
+  if (!design) return 'Off'
+  const { applied, skipped } = design
+  const parts = []
+  if (applied.highPass && applied.lowPass) parts.push(`Bandpass ${applied.highPass}–${applied.lowPass} Hz`)
+  else if (applied.highPass) parts.push(`High-pass ${applied.highPass} Hz`)
+  else if (applied.lowPass) parts.push(`Low-pass ${applied.lowPass} Hz`)
+  if (applied.notch.length) parts.push(`Notch ${applied.notch.join('/')} Hz`)
+  if (skipped.length) parts.push(`(${skipped.join(', ')} above Nyquist, skipped)`)
+  return parts.length ? parts.join(' + ') : 'Off'
+}
+
+// Stateful filter for `channels` independent leads (direct form II transposed)
+export function createFilterChain(settings, sampleRate, channels){
+  const design = designFilterChain(settings, sampleRate)
+  const state = Array.from({ length: channels }, () => design.stages.map(() => ({ z1: 0, z2: 0 })))
+
+  function process(ch, x){
+    const st = state[ch]
+    if (!st) return x
+    let y = x
+    for (let k = 0; k < design.stages.length; k++){
+      const c = design.stages[k]
+      const s = st[k]
+      const out = c.b0 * y + s.z1
+      s.z1 = c.b1 * y - c.a1 * out + s.z2
+      s.z2 = c.b2 * y - c.a2 * out
+      y = out
+    }
+    return y
+  }
+
+  return { process, design, describe: () => describeFilter(design) }
+}
+
+function runStages(x, stages){
+  const y = new Float64Array(x.length)
+  const st = stages.map(() => ({ z1: 0, z2: 0 }))
+  for (let i = 0; i < x.length; i++){
+    let v = x[i]
+    for (let k = 0; k < stages.length; k++){
+      const c = stages[k], s = st[k]
+      const out = c.b0 * v + s.z1
+      s.z1 = c.b1 * v - c.a1 * out + s.z2
+      s.z2 = c.b2 * v - c.a2 * out
+      v = out
+    }
+    y[i] = v
+  }
+  return y
+}
+
+// Zero-phase (forward-backward) run of `stages` over a whole array, with `pad`
+// samples of odd reflection at both ends against edge transients
+export function filtfilt(samples, stages, pad){
+  const n = samples.length
+  if (n < 3) return Array.from(samples)
+  pad = Math.min(n - 1, pad)
+  const ext = new Float64Array(n + 2 * pad)
+  for (let i = 0; i < pad; i++) ext[i] = 2 * samples[0] - samples[pad - i]
+  for (let i = 0; i < n; i++) ext[pad + i] = samples[i]
+  for (let i = 0; i < pad; i++) ext[pad + n + i] = 2 * samples[n - 1] - samples[n - 2 - i]
+  const fwd = runStages(ext, stages).reverse()
+  const back = runStages(fwd, stages).reverse()
+  return Array.from(back.subarray(pad, pad + n))
+}
@@ -0,0 +1,171 @@
+// Real-time QRS detector after Pan & Tompkins (1985).
+// Feed one (already band-limited) sample at a time; process() returns a beat
+// when an R-peak has been confirmed. Because the integrator lags the QRS, the
+// beat is reported a little late: `delay` is how many samples before the
+// current one the R-peak sits. For a whole recording, train() learns the
+// thresholds from its start first so beats there are not missed.
+export function createQrsDetector(sampleRate){
+  const fs = Math.max(1, sampleRate)
+  const mwiLen = Math.max(2, Math.round(0.15 * fs)) // 150 ms integration window
+  const refractory = Math.round(0.2 * fs) // 200 ms: no two beats closer than this
+  const tWaveWindow = Math.round(0.36 * fs) // beats this close are checked for T-waves
+  const learnSamples = Math.round(2 * fs) // threshold training period
+  const histLen = Math.max(mwiLen + 8, Math.round(3 * fs)) // long enough for search-back
+
+  const hist = new Float32Array(histLen) // input samples (for R-peak location)
+  const slopeBuf = new Float32Array(mwiLen) // |derivative| over the integration window
+  const mwiBuf = new Float32Array(mwiLen) // squared derivative, integrated
+  let n = 0
+  let mwiSum = 0
+  let mwiPrev = 0, mwiPrev2 = 0
+
+  let spki = 0, npki = 0, threshold = 0
+  let learnMax = 0, learnSum = 0
+  let learned = false
+  let lastBeat = -Infinity
+  let lastSlope = 0
+  const rrHistory = []
+  // best sub-threshold candidate since the last beat, used for search-back
+  let candidate = null
+
+  function at(buf, len, back){ return buf[((n - back) % len + len) % len] }
+
+  // filter state settled on level x0, so the first samples do not look like a step
+  function resetFilter(x0 = 0){
+    hist.fill(x0)
+    slopeBuf.fill(0)
+    mwiBuf.fill(0)
+    mwiSum = 0
+    mwiPrev = 0
+    mwiPrev2 = 0
+  }
+
+  function updateThreshold(){ threshold = npki + 0.25 * (spki - npki) }
+
+  function locateR(peakIdx){
+    // R-peak lies within the integration window preceding the MWI maximum
+    let best = peakIdx, bestVal = -1
+    const span = Math.min(histLen - 1, mwiLen + 4)
+    for (let k = 0; k <= span; k++){
+      const idx = peakIdx - k
+      if (idx < 0 || n - idx >= histLen) break
+      const v = Math.abs(hist[idx % histLen])
+      if (v > bestVal){ bestVal = v; best = idx }
+    }
+    return best
+  }
+
+  function rrMean(){
+    if (!rrHistory.length) return 0
+    let s = 0
+    for (const rr of rrHistory) s += rr
+    return s / rrHistory.length
+  }
+
+  function acceptBeat(peakIdx, value, slope, searchBack){
+    spki = searchBack ? 0.25 * value + 0.75 * spki : 0.125 * value + 0.875 * spki
+    updateThreshold()
+    const rIdx = locateR(peakIdx)
+    let rr = null
+    if (isFinite(lastBeat)){
+      rr = (rIdx - lastBeat) / fs
+      rrHistory.push(rr)
+      if (rrHistory.length > 8) rrHistory.shift()
+    }
+    lastBeat = rIdx
+    lastSlope = slope
+    candidate = null
+    return { delay: n - rIdx, rr }
+  }
+
+  // derivative, squaring and moving-window integration; returns the integrated value
+  function filter(x){
+    n += 1
+    hist[n % histLen] = x
+    // five-point derivative: (2x[n] + x[n-1] - x[n-3] - 2x[n-4]) * fs/8
+    const d = (2 * x + at(hist, histLen, 1) - at(hist, histLen, 3) - 2 * at(hist, histLen, 4)) * fs / 8
+    slopeBuf[n % mwiLen] = Math.abs(d)
+    const sq = d * d
+    mwiSum += sq - mwiBuf[n % mwiLen]
+    mwiBuf[n % mwiLen] = sq
+    return mwiSum / mwiLen
+  }
+
+  function learn(mwi){
+    learnMax = Math.max(learnMax, mwi)
+    learnSum += mwi
+  }
+
+  function endLearning(count){
+    spki = learnMax / 3
+    npki = (learnSum / count) / 2
+    updateThreshold()
+    learned = true
+  }
+
+  // Offline start: the learning phase on the first two seconds of samples (or all of
+  // them when shorter), then a clean filter state for process() to detect from
+  // samples[0] on, so nothing but the thresholds carries over
+  function train(samples){
+    const len = Math.min(samples.length, learnSamples)
+    if (!len) return
+    resetFilter(samples[0])
+    for (let i = 0; i < len; i++) learn(filter(samples[i]))
+    endLearning(len)
+    n = 0
+    resetFilter(samples[0])
+  }
+
+  function process(x){
+    const mwi = filter(x)
+
+    let beat = null
+    if (!learned){
+      learn(mwi)
+      if (n === learnSamples) endLearning(n)
+    } else if (mwiPrev > mwiPrev2 && mwiPrev >= mwi){
+      // local maximum of the integrated signal at n-1
+      const peakIdx = n - 1
+      const value = mwiPrev
+      let slope = 0
+      for (let k = 0; k < mwiLen; k++) slope = Math.max(slope, slopeBuf[k])
+      const sinceLast = peakIdx - lastBeat
+      if (value > threshold && sinceLast > refractory){
+        const isTWave = sinceLast < tWaveWindow && slope < 0.5 * lastSlope
+        if (!isTWave) beat = acceptBeat(peakIdx, value, slope, false)
+        else { npki = 0.125 * value + 0.875 * npki; updateThreshold() }
+      } else {
+        npki = 0.125 * value + 0.875 * npki
+        updateThreshold()
+        if (sinceLast > refractory && (!candidate || value > candidate.value)){
+          candidate = { peakIdx, value, slope }
+        }
+      }
+    }
+
+    // search-back: no beat for 166% of the mean RR, take the best candidate at half threshold
+    const meanRR = rrMean()
+    if (!beat && meanRR > 0 && candidate && (n - lastBeat) > 1.66 * meanRR * fs && candidate.value > 0.5 * threshold){
+      if (n - candidate.peakIdx + mwiLen + 4 < histLen) beat = acceptBeat(candidate.peakIdx, candidate.value, candidate.slope, true)
+      else candidate = null
+    }
+
+    mwiPrev2 = mwiPrev
+    mwiPrev = mwi
+    return beat
+  }
+
+  function heartRate(){
+    const meanRR = rrMean()
+    return meanRR > 0 ? 60 / meanRR : null
+  }
+
+  return { process, train, heartRate }
+}
+
+// Mean heart rate (bpm) from R-peak sample indices
+export function heartRateFromPeaks(peaks, sampleRate){
+  if (!peaks || peaks.length < 2) return null
+  const meanRR = (peaks[peaks.length - 1] - peaks[0]) / (peaks.length - 1) / sampleRate
+  return meanRR > 0 ? 60 / meanRR : null
+}
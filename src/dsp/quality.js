@@ -0,0 +1,220 @@
+// Per-lead signal quality. Electrode contact problems (flat line, ADC rail, clipping,
+// DC offset) are judged on the input signal; noise, mains interference, baseline
+// wander and QRS detectability on the processed signal that is displayed and
+// recorded, so a mains notch or high-pass that cleans the trace also clears the flag.
+// Levels, best first: good, fair, poor, off (electrode probably disconnected).
+
+import { median } from './stats'
+
+export const QUALITY_LEVELS = [
+  { id: 'good', label: 'Good' },
+  { id: 'fair', label: 'Fair' },
+  { id: 'poor', label: 'Poor' },
+  { id: 'off', label: 'Lead off' }
+]
+
+export const QUALITY_GATES = [
+  { id: 'off', label: 'Ignore' },
+  { id: 'flag', label: 'Flag poor signal' },
+  { id: 'block', label: 'Block capture on poor signal' }
+]
+
+export const QUALITY_WINDOW_SECONDS = 4
+
+const FLAT_MV = 0.02 // peak-to-peak below this: no signal
+const FLAT_STEPS = 0.95 // or this share of samples repeating the previous one (a quantised flat line)
+const RAIL_SHARE = 0.2 // share of samples within 1% of either end of the input range
+const CLIP_SHARE = 0.05 // share of samples pinned at the window's max or min
+const OFFSET_MV = 300 // electrode offset an ECG input stage must tolerate (IEC 60601-2-25)
+const NOISE_MV = [0.05, 0.15] // high-frequency noise RMS: fair, poor
+const MAINS_SHARE = [0.1, 0.3] // share of signal power at 50/60 Hz: fair, poor
+const WANDER_MV = [0.5, 1.5] // baseline excursion: fair, poor
+const QRS_SNR = 3 // QRS peak-to-peak over noise below this: fair
+const QRS_HALF_WIDTH_S = 0.06
+const NOISE_BLOCK_S = 0.2
+const WANDER_BLOCK_S = 0.5
+const MAINS_HZ = [50, 60]
+
+const rank = id => QUALITY_LEVELS.findIndex(l => l.id === id)
+const worse = (a, b) => rank(b) > rank(a) ? b : a
+
+// White-noise RMS from the second difference, taken as the lower quartile over
+// short blocks so the QRS complexes do not count as noise
+function noiseRms(x, fs){
+  const block = Math.max(3, Math.round(NOISE_BLOCK_S * fs))
+  const values = []
+  for (let start = 2; start + block <= x.length; start += block){
+    let sum = 0
+    for (let i = start; i < start + block; i++){ const d = x[i] - 2 * x[i - 1] + x[i - 2]; sum += d * d }
+    values.push(Math.sqrt(sum / block / 6))
+  }
+  if (!values.length) return null
+  const sorted = Float64Array.from(values).sort()
+  return sorted[Math.floor(0.25 * (sorted.length - 1))]
+}
+
+// Power of a sinusoid at f (Goertzel), as a share of the signal's variance
+function mainsShare(x, fs, mean, variance){
+  if (!variance) return 0
+  let best = 0
+  for (const f of MAINS_HZ){
+    if (f >= fs / 2) continue
+    const w = 2 * Math.PI * f / fs, c = 2 * Math.cos(w)
+    let s1 = 0, s2 = 0
+    for (let i = 0; i < x.length; i++){ const s = x[i] - mean + c * s1 - s2; s2 = s1; s1 = s }
+    const power = 2 * (s1 * s1 + s2 * s2 - c * s1 * s2) / (x.length * x.length)
+    best = Math.max(best, power / variance)
+  }
+  return Math.min(1, best)
+}
+
+// Peak-to-peak of the median of half-second blocks
+function wander(x, fs){
+  const block = Math.max(2, Math.round(WANDER_BLOCK_S * fs))
+  const levels = []
+  for (let start = 0; start + block <= x.length; start += block) levels.push(median(Array.prototype.slice.call(x, start, start + block)))
+  return levels.length > 1 ? Math.max(...levels) - Math.min(...levels) : 0
+}
+
+// Median QRS peak-to-peak around the given beats
+function qrsAmplitude(x, fs, beats){
+  const half = Math.max(1, Math.round(QRS_HALF_WIDTH_S * fs))
+  const amps = []
+  for (const b of beats){
+    if (b - half < 0 || b + half >= x.length) continue
+    let lo = Infinity, hi = -Infinity
+    for (let i = b - half; i <= b + half; i++){ if (x[i] < lo) lo = x[i]; if (x[i] > hi) hi = x[i] }
+    amps.push(hi - lo)
+  }
+  return median(amps)
+}
+
+// signal: processed samples (mV). Options:
+//   input: the same stretch before filtering (mV), defaults to signal
+//   beats: R-peak indices into the stretch (null = not checked, [] = none detected)
+//   rails: [low, high] mV ends of the input range, for rail detection
+//   checkOffset: flag a DC offset beyond ±300 mV (inputs already in mV)
+// Returns { level, issues: [{ id, label, level }], metrics }.
+export function assessLeadQuality(signal, sampleRate, { input = signal, beats = null, rails = null, checkOffset = false } = {}){
+  const n = signal.length
+  const issues = []
+  const flag = (id, label, level) => issues.push({ id, label, level })
+  const metrics = { peakToPeak: 0, noise: null, mains: null, wander: null, qrsSnr: null }
+  if (n < 8) return { level: 'good', issues, metrics }
+
+  let min = Infinity, max = -Infinity, repeats = 0
+  for (let i = 0; i < n; i++){
+    const v = input[i]
+    if (v < min) min = v
+    if (v > max) max = v
+    if (i && v === input[i - 1]) repeats++
+  }
+  const ptp = max - min
+  metrics.peakToPeak = ptp
+  if (rails){
+    const margin = 0.01 * (rails[1] - rails[0])
+    let railed = 0
+    for (let i = 0; i < n; i++) if (input[i] <= rails[0] + margin || input[i] >= rails[1] - margin) railed++
+    if (railed >= RAIL_SHARE * n) flag('rail', 'At input rail', 'off')
+  }
+  if (!issues.length && (ptp < FLAT_MV || repeats >= FLAT_STEPS * (n - 1))) flag('flat', 'Flat line', 'off')
+  if (issues.length) return { level: 'off', issues, metrics }
+
+  const tolerance = 0.002 * ptp
+  let pinned = 0
+  for (let i = 0; i < n; i++) if (input[i] >= max - tolerance || input[i] <= min + tolerance) pinned++
+  if (pinned >= CLIP_SHARE * n) flag('clip', 'Clipping', 'poor')
+  if (checkOffset){
+    const offset = median(Array.prototype.slice.call(input))
+    if (Math.abs(offset) > OFFSET_MV) flag('offset', `DC offset ${Math.round(offset)} mV`, 'poor')
+  }
+
+  let mean = 0
+  for (let i = 0; i < n; i++) mean += signal[i]
+  mean /= n
+  let variance = 0
+  for (let i = 0; i < n; i++) variance += (signal[i] - mean) ** 2
+  variance /= n
+
+  const grade = (value, [fair, poor]) => value >= poor ? 'poor' : value >= fair ? 'fair' : null
+  metrics.noise = noiseRms(signal, sampleRate)
+  metrics.mains = mainsShare(signal, sampleRate, mean, variance)
+  const mainsLevel = grade(metrics.mains, MAINS_SHARE)
+  if (mainsLevel) flag('mains', `Mains ${Math.round(metrics.mains * 100)}%`, mainsLevel)
+  // mains hum dominates the noise estimate too; it is reported once, as mains
+  const noiseLevel = !mainsLevel && metrics.noise != null && grade(metrics.noise, NOISE_MV)
+  if (noiseLevel) flag('noise', `Noise ${Math.round(metrics.noise * 1000)} µV`, noiseLevel)
+  metrics.wander = wander(signal, sampleRate)
+  const wanderLevel = grade(metrics.wander, WANDER_MV)
+  if (wanderLevel) flag('wander', `Baseline wander ${metrics.wander.toFixed(1)} mV`, wanderLevel)
+
+  if (beats){
+    const amplitude = qrsAmplitude(signal, sampleRate, beats)
+    if (amplitude == null) flag('qrs', 'No QRS detected', 'fair')
+    else {
+      metrics.qrsSnr = amplitude / Math.max(metrics.noise || 0, 0.005)
+      if (metrics.qrsSnr < QRS_SNR) flag('qrs', 'Weak QRS', 'fair')
+    }
+  }
+  return { level: issues.reduce((level, i) => worse(level, i.level), 'good'), issues, metrics }
+}
+
+// leads: { name: samples }, beats shared by all leads (R-peaks of the detection lead)
+export function assessQuality(leads, sampleRate, options = {}){
+  const out = {}
+  for (const [name, signal] of Object.entries(leads)) if (signal) out[name] = assessLeadQuality(signal, sampleRate, options)
+  return out
+}
+
+// Leads at `level` or worse, as [{ lead, level, issues }]
+export function qualityFlags(byLead, level = 'poor'){
+  if (!byLead) return []
+  return Object.entries(byLead)
+    .filter(([, q]) => rank(q.level) >= rank(level))
+    .map(([lead, q]) => ({ lead, level: q.level, issues: q.issues.filter(i => rank(i.level) >= rank(level)) }))
+}
+
+// "I: Flat line; aVL: Clipping, Noise 180 µV"
+export function formatQualityFlags(flags){
+  return flags.map(f => `${f.lead}: ${f.issues.map(i => i.label).join(', ')}`).join('; ')
+}
+
+export const qualityLabel = level => (QUALITY_LEVELS.find(l => l.id === level) || QUALITY_LEVELS[0]).label
+
+// Rolling window of the live stream. push() takes one input and one processed value
+// per lead, beat() an R-peak at an absolute sample index (sampleCount() minus the
+// detector delay). assess(options) grades each lead over the last
+// QUALITY_WINDOW_SECONDS, or returns null until the window has filled.
+export function createQualityMonitor(sampleRate, leadCount){
+  const length = Math.max(8, Math.round(QUALITY_WINDOW_SECONDS * sampleRate))
+  const input = Array.from({ length: leadCount }, () => new Float32Array(length))
+  const signal = Array.from({ length: leadCount }, () => new Float32Array(length))
+  let count = 0
+  let beats = []
+
+  // ring buffer oldest-first
+  function unwrap(ring){
+    const at = count % length
+    const out = new Float32Array(length)
+    out.set(ring.subarray(at))
+    out.set(ring.subarray(0, at), length - at)
+    return out
+  }
+
+  return {
+    push(inputValues, signalValues){
+      const at = count % length
+      for (let k = 0; k < leadCount; k++){ input[k][at] = inputValues[k] || 0; signal[k][at] = signalValues[k] || 0 }
+      count++
+    },
+    beat(index){ beats.push(index) },
+    sampleCount: () => count,
+    assess(options = {}){
+      if (count < length) return null
+      const first = count - length
+      beats = beats.filter(b => b >= first)
+      const windowBeats = beats.map(b => b - first)
+      return input.map((ring, k) => assessLeadQuality(unwrap(signal[k]), sampleRate, { ...options, input: unwrap(ring), beats: windowBeats }))
+    }
+  }
+}
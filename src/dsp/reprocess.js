@@ -0,0 +1,33 @@
+// Rebuild calibrated, filtered lead data from the raw samples kept with a recording,
+// using a different input unit, filter chain or lead derivation than at capture time.
+
+import { valueToMv, deriveLimbLeads } from './units'
+import { createFilterChain } from './filters'
+
+export const LEAD_DERIVATIONS = [
+  { id: 'recorded', label: 'As recorded (6 leads from device)' },
+  { id: 'einthoven', label: 'Derive III, aVR, aVL, aVF from I & II' }
+]
+
+// raw: { [leadName]: number[] } keyed by the long labels in `leads`.
+// Returns the processed leads and a description of the filter applied.
+export function reprocessRaw(raw, leads, settings, sampleRate){
+  const mv = leads.map(ln => (raw[ln] || []).map(v => valueToMv(v, settings.inputUnits, settings.adc)))
+  if (settings.derivation === 'einthoven' && mv[0].length && mv[1].length){
+    const d = deriveLimbLeads(mv[0], mv[1])
+    mv[2] = d.III; mv[3] = d.aVR; mv[4] = d.aVL; mv[5] = d.aVF
+  }
+  let filter = 'Off'
+  if (settings.filterOn){
+    // same causal chain as the live view, started from rest
+    const chain = createFilterChain(settings.filterSettings, sampleRate, leads.length)
+    filter = chain.describe()
+    for (let i = 0; i < mv.length; i++){
+      const arr = mv[i]
+      for (let k = 0; k < arr.length; k++) arr[k] = chain.process(i, arr[k])
+    }
+  }
+  const out = {}
+  leads.forEach((ln, i) => { out[ln] = mv[i] })
+  return { data: out, filter }
+}
@@ -0,0 +1,26 @@
+// Sample-rate conversion for imported recordings. Decimation is preceded by a
+// zero-phase anti-alias low-pass (two Butterworth stages, forward and back);
+// samples are then interpolated with a Catmull-Rom cubic.
+
+import { designFilterChain, filtfilt } from './filters'
+
+export function resample(samples, fromRate, toRate){
+  const n = samples.length
+  if (!n || !(fromRate > 0) || !(toRate > 0) || Math.abs(fromRate - toRate) < 1e-9) return Array.from(samples)
+  let x = samples
+  if (toRate < fromRate){
+    const { stages } = designFilterChain({ lowPass: 0.45 * toRate }, fromRate)
+    x = filtfilt(samples, [...stages, ...stages], Math.round(0.1 * fromRate))
+  }
+  const length = Math.max(1, Math.floor((n - 1) * toRate / fromRate) + 1)
+  const out = new Array(length)
+  const at = i => x[Math.max(0, Math.min(n - 1, i))]
+  for (let k = 0; k < length; k++){
+    const pos = k * fromRate / toRate
+    const i = Math.floor(pos)
+    const t = pos - i
+    const p0 = at(i - 1), p1 = at(i), p2 = at(i + 1), p3 = at(i + 2)
+    out[k] = p1 + 0.5 * t * (p2 - p0 + t * (2 * p0 - 5 * p1 + 4 * p2 - p3 + t * (3 * (p1 - p2) + p3 - p0)))
+  }
+  return out
+}
@@ -0,0 +1,116 @@
+// Rhythm classification from beat timing (R-peaks) and morphology (fiducials).
+// Produces plain-language findings with a confidence in 0..1. These are
+// screening hints for the operator, never a diagnosis.
+
+import { median } from './stats'
+
+export const DEFAULT_PAUSE_SECONDS = 2.0
+
+const clamp01 = v => Math.max(0, Math.min(1, v))
+
+// Premature beats: RR shorter than 80% of the local median, followed by a longer RR.
+// Wide QRS (≥120 ms or 30% wider than usual) without a P-wave → PVC, otherwise PAC.
+function findPrematureBeats(rr, beats, fs, qrsMedian){
+  const out = []
+  for (let i = 1; i < rr.length; i++){
+    // beat i ends rr[i-1]; compare against the surrounding intervals
+    const neighbours = []
+    for (let k = Math.max(0, i - 5); k < Math.min(rr.length, i + 4); k++) if (k !== i - 1 && k !== i) neighbours.push(rr[k])
+    const local = median(neighbours)
+    if (!local) continue
+    const prematurity = rr[i - 1] / local
+    if (prematurity >= 0.8 || rr[i] <= rr[i - 1]) continue
+    const beat = beats[i]
+    const width = beat && beat.qrsOffset != null && beat.qrsOnset != null ? (beat.qrsOffset - beat.qrsOnset) * 1000 / fs : null
+    const wide = width != null && (width >= 120 || (qrsMedian && width > 1.3 * qrsMedian))
+    const hasP = !!(beat && beat.pOnset != null)
+    const type = wide ? 'PVC' : 'PAC'
+    // morphology agreeing with the type (PVC without P, PAC with P) raises confidence
+    const agrees = type === 'PVC' ? !hasP : hasP
+    out.push({ index: i, type, prematurity, width, confidence: clamp01((0.8 - prematurity) / 0.3 + (agrees ? 0.3 : 0)) })
+  }
+  return out
+}
+
+// rPeaks: sample indices; beats: fiducials aligned with rPeaks (from measureIntervals)
+export function analyzeRhythm(rPeaks, beats, sampleRate, options = {}){
+  const fs = Math.max(1, sampleRate)
+  const pauseSeconds = options.pauseSeconds ?? DEFAULT_PAUSE_SECONDS
+  const findings = []
+  if (!rPeaks || rPeaks.length < 3){
+    findings.push({ code: 'insufficient', label: 'Too few beats detected for rhythm analysis', confidence: 1 })
+    return { findings, heartRate: null }
+  }
+
+  const rr = []
+  for (let i = 1; i < rPeaks.length; i++) rr.push((rPeaks[i] - rPeaks[i - 1]) / fs)
+  const byR = new Map((beats || []).map(b => [b.r, b]))
+  const aligned = rPeaks.map(r => byR.get(r) || null)
+  const qrsMedian = median(aligned.map(b => b && b.qrsOffset != null ? (b.qrsOffset - b.qrsOnset) * 1000 / fs : null))
+
+  // Pauses
+  const skip = new Set()
+  for (let i = 0; i < rr.length; i++){
+    if (rr[i] > pauseSeconds){
+      skip.add(i)
+      findings.push({
+        code: 'pause',
+        label: `Pause of ${rr[i].toFixed(2)} s at ${(rPeaks[i] / fs).toFixed(1)} s`,
+        confidence: clamp01(0.6 + (rr[i] - pauseSeconds) / pauseSeconds)
+      })
+    }
+  }
+
+  // Premature beats and pauses are excluded from the regularity estimate below
+  const premature = findPrematureBeats(rr, aligned, fs, qrsMedian)
+  premature.forEach(p => { skip.add(p.index - 1); skip.add(p.index) })
+  const clean = rr.filter((_, i) => !skip.has(i))
+  const base = clean.length >= 2 ? clean : rr
+  const meanRR = base.reduce((s, v) => s + v, 0) / base.length
+  const sd = Math.sqrt(base.reduce((s, v) => s + (v - meanRR) ** 2, 0) / base.length)
+  const cv = sd / meanRR
+  let bigSteps = 0
+  for (let i = 1; i < rr.length; i++) if (Math.abs(rr[i] - rr[i - 1]) > 0.05) bigSteps++
+  const irregularity = rr.length > 1 ? bigSteps / (rr.length - 1) : 0
+  const pPresence = aligned.filter(b => b && b.pOnset != null).length / aligned.length
+  const heartRate = 60 / (median(base) || meanRR)
+
+  const isAF = rr.length >= 6 && cv > 0.1 && irregularity > 0.5 && pPresence < 0.6
+  // early beats are expected in AF and are not reported separately
+  for (const type of isAF ? ['PVC'] : ['PVC', 'PAC']){
+    const list = premature.filter(p => p.type === type)
+    if (!list.length) continue
+    const name = type === 'PVC' ? 'premature ventricular complex' : 'premature atrial complex'
+    findings.push({
+      code: type.toLowerCase(),
+      label: `${list.length} ${name}${list.length > 1 ? 'es' : ''} (${type})`,
+      confidence: clamp01(list.reduce((s, p) => s + p.confidence, 0) / list.length)
+    })
+  }
+
+  if (isAF){
+    findings.unshift({
+      code: 'af',
+      label: 'Irregularly irregular rhythm without consistent P-waves, suggestive of atrial fibrillation',
+      confidence: clamp01(0.4 + (cv - 0.1) * 2 + (0.6 - pPresence) * 0.5)
+    })
+  } else if (cv <= 0.12 && pPresence >= 0.6){
+    let label = 'Sinus rhythm'
+    let code = 'sinus'
+    if (heartRate < 60){ label = 'Sinus bradycardia'; code = 'sinus-brady' }
+    else if (heartRate > 100){ label = 'Sinus tachycardia'; code = 'sinus-tachy' }
+    findings.unshift({
+      code,
+      label: `${label}, ${Math.round(heartRate)} bpm`,
+      confidence: clamp01(0.5 + (pPresence - 0.6) + (0.12 - cv) * 2)
+    })
+  } else {
+    findings.unshift({
+      code: 'undetermined',
+      label: `Rhythm not classified (${Math.round(heartRate)} bpm, RR variability ${(cv * 100).toFixed(0)}%, P-waves in ${Math.round(pPresence * 100)}% of beats)`,
+      confidence: 0.3
+    })
+  }
+
+  return { findings, heartRate }
+}
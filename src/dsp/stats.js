@@ -0,0 +1,9 @@
+// Small statistics helpers shared by the analysis modules.
+
+// Median of the finite values (null and NaN are skipped), or null when there are none
+export function median(values){
+  const v = Array.from(values).filter(n => n != null && isFinite(n)).sort((a, b) => a - b)
+  if (!v.length) return null
+  const m = v.length >> 1
+  return v.length % 2 ? v[m] : (v[m - 1] + v[m]) / 2
+}
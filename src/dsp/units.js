@@ -0,0 +1,47 @@
+// Input unit conversion and Einthoven/Goldberger lead derivation shared by the
+// live pipeline and offline re-processing.
+
+export const ADC_MAX = 1023
+export const VREF = 5.0
+
+export const INPUT_UNITS = [
+  { id: 'mv', label: 'mV' },
+  { id: 'adc', label: 'ADC (0-1023)' }
+]
+
+// Convert incoming value to mV (heuristic). `adc` is the converter a device declared
+// in its metadata ({ bits, vref }); without it a 10-bit, 5 V ADC is assumed.
+export function valueToMv(v, units, adc = null){
+  if (typeof v !== 'number' || isNaN(v)) return 0
+  if (units === 'adc'){
+    // Treat v as raw ADC counts (0..ADC max) and convert to mV using the reference voltage
+    const max = adc && adc.bits ? 2 ** adc.bits - 1 : ADC_MAX
+    const volts = (v * (adc && adc.vref ? adc.vref : VREF)) / max
+    return volts * 1000
+  }
+  // units === 'mv': already in millivolts
+  return v
+}
+
+// Ends of the input range in mV: the ADC's 0 and full scale, or ±VREF for inputs
+// already in mV (where a floating electrode drives the amplifier)
+export function inputRailsMv(units, adc = null){
+  if (units === 'adc') return [0, (adc && adc.vref ? adc.vref : VREF) * 1000]
+  return [-VREF * 1000, VREF * 1000]
+}
+
+// Lead III, aVR, aVL and aVF of one sample from Lead I (LA-RA) and Lead II (LL-RA), RA as reference
+export function limbLeadsAt(lead1, lead2){
+  const ra = 0.0, la = lead1, ll = lead2
+  return [ll - la, ra - (la + ll) / 2, la - (ra + ll) / 2, ll - (ra + la) / 2]
+}
+
+// Lead III and augmented leads of whole traces
+export function deriveLimbLeads(I, II){
+  const len = Math.min(I.length, II.length)
+  const out = { III: new Array(len), aVR: new Array(len), aVL: new Array(len), aVF: new Array(len) }
+  for (let k = 0; k < len; k++){
+    [out.III[k], out.aVR[k], out.aVL[k], out.aVF[k]] = limbLeadsAt(I[k], II[k])
+  }
+  return out
+}
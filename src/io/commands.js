@@ -0,0 +1,83 @@
+// Line-based control channel to the device. The app writes one command per line,
+//   <id> <VERB> [argument]\n
+// and the device answers each one with an acknowledgement line carrying the same id:
+//   {"type":"ack","id":12,"ok":true}
+//   {"type":"ack","id":12,"ok":false,"error":"unsupported"}
+// State changes are reported with the metadata line (see parseDeviceMeta), sent
+// before the ack for INFO and RATE, and after it when calibration starts and ends.
+
+export const DEVICE_COMMANDS = {
+  INFO: 'INFO', // resend the metadata line
+  STREAM: 'STREAM', // ON | OFF
+  CALIBRATE: 'CALIBRATE', // restart auto-calibration
+  MODE: 'MODE', // SIM | ANALOG
+  RATE: 'RATE' // samples per second
+}
+
+// MODE arguments; the metadata reports the current one in lower case
+export const DEVICE_MODES = [
+  { id: 'sim', label: 'Simulated' },
+  { id: 'analog', label: 'Analog front-end' }
+]
+
+export const COMMAND_TIMEOUT_MS = 2000
+
+export function formatCommand(id, verb, arg = null){
+  return arg == null || arg === '' ? `${id} ${verb}\n` : `${id} ${verb} ${String(arg).toUpperCase()}\n`
+}
+
+// { id, verb, arg } from a command line, or null
+export function parseCommand(line){
+  const m = String(line).trim().match(/^(\d+)\s+([A-Za-z]+)(?:\s+(\S+))?$/)
+  return m ? { id: Number(m[1]), verb: m[2].toUpperCase(), arg: m[3] == null ? null : m[3].toUpperCase() } : null
+}
+
+export function formatAck(id, ok = true, error = null){
+  return JSON.stringify(ok ? { type: 'ack', id, ok: true } : { type: 'ack', id, ok: false, error: error || 'failed' }) + '\n'
+}
+
+// send(verb, arg, { timeout }) writes a command and resolves with the ack, or rejects
+// with a user-facing message when the device refuses it or does not answer in time.
+// handleAck(ack) is fed the ack items the stream decoder returns; cancel() rejects
+// whatever is still waiting (on disconnect).
+export function createCommandChannel(write){
+  const waiting = new Map()
+  let nextId = 1
+
+  async function send(verb, arg = null, { timeout = COMMAND_TIMEOUT_MS } = {}){
+    const id = nextId
+    nextId = nextId % 65535 + 1
+    let timer
+    const reply = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        waiting.delete(id)
+        reject(new Error(`No reply to ${verb} from the device.`))
+      }, timeout)
+      waiting.set(id, { verb, resolve, reject, timer })
+    })
+    // awaited together, so a timeout during a slow write is never unhandled
+    const sent = Promise.resolve().then(() => write(formatCommand(id, verb, arg))).catch(e => {
+      clearTimeout(timer)
+      waiting.delete(id)
+      throw new Error(`Could not send ${verb}: ${e.message || e}`)
+    })
+    const [, ack] = await Promise.all([sent, reply])
+    return ack
+  }
+
+  function handleAck(ack){
+    const w = waiting.get(ack.id)
+    if (!w) return
+    clearTimeout(w.timer)
+    waiting.delete(ack.id)
+    if (ack.ok) w.resolve(ack)
+    else w.reject(new Error(`${w.verb} refused by the device: ${ack.error || 'failed'}`))
+  }
+
+  function cancel(){
+    for (const w of waiting.values()){ clearTimeout(w.timer); w.reject(new Error('Disconnected.')) }
+    waiting.clear()
+  }
+
+  return { send, handleAck, cancel }
+}
@@ -0,0 +1,64 @@
+// The app's IndexedDB database, shared by the recording library and Holter storage.
+//   v1 recordings, samples          (library entries and their lead data)
+//   v2 holterSessions, holterChunks (long recordings, fixed-size sample chunks)
+
+const DB_NAME = 'ecg-visualizer'
+const DB_VERSION = 2
+
+let dbPromise = null
+
+export function openDb(){
+  if (!dbPromise){
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined'){ reject(new Error('IndexedDB is not available in this browser, so recordings cannot be saved.')); return }
+      const req = indexedDB.open(DB_NAME, DB_VERSION)
+      req.onupgradeneeded = () => {
+        const db = req.result
+        if (!db.objectStoreNames.contains('recordings')) db.createObjectStore('recordings', { keyPath: 'id' })
+        if (!db.objectStoreNames.contains('samples')) db.createObjectStore('samples', { keyPath: 'id' })
+        if (!db.objectStoreNames.contains('holterSessions')) db.createObjectStore('holterSessions', { keyPath: 'id' })
+        if (!db.objectStoreNames.contains('holterChunks')) db.createObjectStore('holterChunks', { keyPath: ['sessionId', 'index'] })
+      }
+      req.onsuccess = () => {
+        const db = req.result
+        // another tab upgrading the database: let it, and reopen on next use
+        db.onversionchange = () => { db.close(); dbPromise = null }
+        resolve(db)
+      }
+      req.onerror = () => reject(new Error(`Could not open the recording library: ${req.error && req.error.message}`))
+      req.onblocked = () => reject(new Error('The recording library is open in an older tab. Close other tabs of this app and retry.'))
+    })
+    dbPromise.catch(() => { dbPromise = null })
+  }
+  return dbPromise
+}
+
+export const done = req => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result)
+  req.onerror = () => reject(req.error)
+})
+
+// Runs fn(stores...) in one transaction and resolves with its result once committed
+export async function transaction(names, mode, fn){
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(names, mode)
+    let result
+    t.oncomplete = () => resolve(result)
+    t.onerror = () => reject(t.error)
+    t.onabort = () => reject(t.error || new Error('Library transaction aborted.'))
+    Promise.resolve(fn(...names.map(n => t.objectStore(n)))).then(r => { result = r }, e => { t.abort(); reject(e) })
+  })
+}
+
+export function newRecordingId(){
+  if (globalThis.crypto && crypto.randomUUID) return crypto.randomUUID()
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+}
+
+// { usage, quota } in bytes for the whole origin, or null if the browser does not say
+export async function storageUsage(){
+  if (!navigator.storage || !navigator.storage.estimate) return null
+  const { usage, quota } = await navigator.storage.estimate()
+  return { usage, quota }
+}
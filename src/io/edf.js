@@ -0,0 +1,282 @@
+// EDF / EDF+ writer and reader (https://www.edfplus.info/specs/).
+// Each lead is a 16-bit signal with its own physical (mV) and digital range;
+// events and beat marks go in an "EDF Annotations" signal as time-stamped
+// annotation lists (TALs). Data records are 1 s long where the rate allows.
+
+import { mapSignalsToLeads } from './leads'
+import { sessionFromEdf } from './session'
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC']
+const DIGITAL_MIN = -32768
+const DIGITAL_MAX = 32767
+const ANNOTATION_LABEL = 'EDF Annotations'
+// annotation text used for detected beats (R-peaks)
+export const EDF_BEAT_ANNOTATION = 'Beat'
+
+// Header fields are fixed-width, space-padded, printable ASCII
+function field(value, width){
+  const s = String(value ?? '').replace(/[^\x20-\x7e]/g, '?')
+  return s.length > width ? s.slice(0, width) : s.padEnd(width, ' ')
+}
+
+// Numbers must fit in 8 characters; drop decimals until they do
+function num(v, width = 8){
+  let s = String(v)
+  for (let d = 6; s.length > width && d >= 0; d--) s = String(Number(v.toFixed(d)))
+  return field(s, width)
+}
+
+// EDF+ subfields are space-separated, so spaces inside them become underscores
+function subfield(v){
+  const s = String(v ?? '').trim()
+  return s ? s.replace(/\s+/g, '_') : 'X'
+}
+
+function edfDate(d){
+  if (!d) return 'X'
+  // plain yyyy-mm-dd is a calendar date, not UTC midnight
+  const ymd = typeof d === 'string' && d.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+  const date = ymd ? new Date(+ymd[1], ymd[2] - 1, +ymd[3]) : d instanceof Date ? d : new Date(d)
+  if (isNaN(date)) return 'X'
+  return `${String(date.getDate()).padStart(2, '0')}-${MONTHS[date.getMonth()]}-${date.getFullYear()}`
+}
+
+function timeText(t){
+  return '+' + Number(t.toFixed(4)).toString()
+}
+
+// EDF convention for the prefiltering field, from designFilterChain(...).applied
+export function formatPrefiltering(applied){
+  if (!applied) return ''
+  const parts = []
+  if (applied.highPass) parts.push(`HP:${applied.highPass}Hz`)
+  if (applied.lowPass) parts.push(`LP:${applied.lowPass}Hz`)
+  if (applied.notch && applied.notch.length) parts.push(`N:${applied.notch.join('/')}Hz`)
+  return parts.join(' ')
+}
+
+// Physical range covering the data, rounded outwards so nothing clips
+function physicalRange(samples){
+  let lo = Infinity, hi = -Infinity
+  for (const v of samples){ if (v < lo) lo = v; if (v > hi) hi = v }
+  if (!isFinite(lo)) { lo = -1; hi = 1 }
+  lo = Math.floor(lo * 1000) / 1000
+  hi = Math.ceil(hi * 1000) / 1000
+  if (hi - lo < 0.01){ lo -= 0.5; hi += 0.5 }
+  return [lo, hi]
+}
+
+// Shortest record length (s) that holds a whole number of samples
+function recordDuration(sampleRate){
+  for (const d of [1, 2, 4, 5, 10]){
+    if (Math.abs(sampleRate * d - Math.round(sampleRate * d)) < 1e-6) return d
+  }
+  return 1
+}
+
+// recording: {
+//   sampleRate, startTime (Date),
+//   signals: [{ label, samples (mV), transducer?, prefiltering? }],
+//   annotations: [{ onset (s), duration? (s), text }],
+//   patient: { code, sex, birthdate, name, additional? }, session: { admin, technician, equipment, additional? }
+// }
+// Returns an ArrayBuffer holding an EDF+C file.
+export function writeEdf(recording){
+  const { sampleRate, signals } = recording
+  if (!signals || !signals.length) throw new Error('Nothing to export: the recording has no signals.')
+  const start = recording.startTime ? new Date(recording.startTime) : new Date()
+  const duration = recordDuration(sampleRate)
+  const perRecord = Math.round(sampleRate * duration)
+  const length = Math.max(...signals.map(s => s.samples.length))
+  const records = Math.max(1, Math.ceil(length / perRecord))
+
+  // annotation bytes per record: timekeeping TAL first, then the annotations starting in it
+  const encoder = new TextEncoder()
+  const perRecordTals = Array.from({ length: records }, (_, r) => [timeText(r * duration) + '\x14\x14\x00'])
+  for (const a of recording.annotations || []){
+    const r = Math.min(records - 1, Math.max(0, Math.floor(a.onset / duration)))
+    // TAL separators cannot appear inside the text
+    const text = ['\x00', '\x14', '\x15'].reduce((t, c) => t.split(c).join(' '), String(a.text))
+    const dur = a.duration ? '\x15' + Number(a.duration.toFixed(4)).toString() : ''
+    perRecordTals[r].push(timeText(a.onset) + dur + '\x14' + text + '\x14\x00')
+  }
+  const talBytes = perRecordTals.map(list => encoder.encode(list.join('')))
+  const annotationSamples = Math.max(30, Math.ceil(Math.max(...talBytes.map(b => b.length)) / 2))
+
+  const p = recording.patient || {}
+  const s = recording.session || {}
+  const channels = signals.map(sig => {
+    const [physMin, physMax] = physicalRange(sig.samples)
+    return { ...sig, physMin, physMax, spr: perRecord }
+  })
+  channels.push({ label: ANNOTATION_LABEL, transducer: '', unit: '', physMin: -1, physMax: 1, prefiltering: '', spr: annotationSamples, annotation: true })
+
+  const ns = channels.length
+  const headerBytes = 256 * (ns + 1)
+  let header = ''
+  header += field('0', 8)
+  const additional = list => (list || []).map(subfield)
+  header += field([subfield(p.code), subfield(p.sex), edfDate(p.birthdate), subfield(p.name), ...additional(p.additional)].join(' '), 80)
+  header += field(['Startdate', edfDate(start), subfield(s.admin), subfield(s.technician), subfield(s.equipment), ...additional(s.additional)].join(' '), 80)
+  const two = v => String(v).padStart(2, '0')
+  header += field(`${two(start.getDate())}.${two(start.getMonth() + 1)}.${two(start.getFullYear() % 100)}`, 8)
+  header += field(`${two(start.getHours())}.${two(start.getMinutes())}.${two(start.getSeconds())}`, 8)
+  header += num(headerBytes)
+  header += field('EDF+C', 44)
+  header += num(records)
+  header += num(duration)
+  header += field(ns, 4)
+  const each = (fn, width) => channels.map(c => field(fn(c), width)).join('')
+  header += each(c => c.label, 16)
+  header += each(c => c.transducer ?? 'AgAgCl electrode', 80)
+  header += each(c => c.annotation ? '' : 'mV', 8)
+  header += channels.map(c => num(c.physMin)).join('')
+  header += channels.map(c => num(c.physMax)).join('')
+  header += channels.map(() => num(DIGITAL_MIN)).join('')
+  header += channels.map(() => num(DIGITAL_MAX)).join('')
+  header += each(c => c.prefiltering || '', 80)
+  header += channels.map(c => num(c.spr)).join('')
+  header += each(() => '', 32)
+
+  const recordBytes = channels.reduce((sum, c) => sum + 2 * c.spr, 0)
+  const buffer = new ArrayBuffer(headerBytes + records * recordBytes)
+  const bytes = new Uint8Array(buffer)
+  for (let i = 0; i < header.length; i++) bytes[i] = header.charCodeAt(i)
+  const view = new DataView(buffer)
+
+  let offset = headerBytes
+  for (let r = 0; r < records; r++){
+    for (const c of channels){
+      if (c.annotation){
+        bytes.set(talBytes[r], offset) // remaining bytes stay 0
+        offset += 2 * c.spr
+        continue
+      }
+      const scale = (DIGITAL_MAX - DIGITAL_MIN) / (c.physMax - c.physMin)
+      const n = c.samples.length
+      for (let k = 0; k < c.spr; k++){
+        // the last record is padded with the final sample
+        const i = Math.min(n - 1, r * c.spr + k)
+        const v = n ? c.samples[i] : 0
+        const d = Math.round((v - c.physMin) * scale + DIGITAL_MIN)
+        view.setInt16(offset, Math.max(DIGITAL_MIN, Math.min(DIGITAL_MAX, d)), true)
+        offset += 2
+      }
+    }
+  }
+  return buffer
+}
+
+export function isEdfHeader(bytes){
+  if (!bytes || bytes.length < 8) return false
+  return String.fromCharCode(...bytes.subarray(0, 8)) === '0       '
+}
+
+function parseTals(bytes, annotations){
+  const text = new TextDecoder().decode(bytes)
+  for (const tal of text.split('\x00')){
+    if (!tal) continue
+    const parts = tal.split('\x14')
+    const [onsetText, durationText] = parts[0].split('\x15')
+    const onset = parseFloat(onsetText)
+    if (!isFinite(onset)) continue
+    const duration = durationText ? parseFloat(durationText) : 0
+    // an empty first text is the record's timekeeping stamp
+    for (const t of parts.slice(1)) if (t) annotations.push({ onset, duration, text: t })
+  }
+}
+
+const UNIT_TO_MV = { mv: 1, uv: 0.001, 'µv': 0.001, v: 1000 }
+
+// Parses an EDF or EDF+ file. Discontinuous (EDF+D) files are read as if continuous.
+// Returns { patient, recording, startTime, recordDuration, signals, annotations }.
+export function parseEdf(buffer){
+  const bytes = new Uint8Array(buffer)
+  if (!isEdfHeader(bytes)) throw new Error('Not an EDF file (unexpected header).')
+  let pos = 0
+  const read = width => { const s = String.fromCharCode(...bytes.subarray(pos, pos + width)).trim(); pos += width; return s }
+  const version = read(8)
+  const patient = read(80)
+  const recording = read(80)
+  const startDate = read(8)
+  const startTime = read(8)
+  const headerBytes = parseInt(read(8))
+  const reserved = read(44)
+  let records = parseInt(read(8))
+  const recordSeconds = parseFloat(read(8))
+  const ns = parseInt(read(4))
+  if (!(ns > 0) || !(headerBytes === 256 * (ns + 1))) throw new Error('Corrupt EDF header.')
+  const list = (width, fn = v => v) => Array.from({ length: ns }, () => fn(read(width)))
+  const labels = list(16)
+  const transducers = list(80)
+  const units = list(8)
+  const physMin = list(8, parseFloat)
+  const physMax = list(8, parseFloat)
+  const digMin = list(8, parseInt)
+  const digMax = list(8, parseInt)
+  const prefiltering = list(80)
+  const spr = list(8, v => parseInt(v))
+  const recordBytes = spr.reduce((sum, n) => sum + 2 * n, 0)
+  const available = Math.floor((bytes.length - headerBytes) / recordBytes)
+  if (!(records >= 0) || records > available) records = available
+
+  const signals = labels.map((label, i) => ({
+    label,
+    transducer: transducers[i],
+    unit: units[i],
+    prefiltering: prefiltering[i],
+    sampleRate: spr[i] / (recordSeconds || 1),
+    annotation: label === ANNOTATION_LABEL,
+    samples: label === ANNOTATION_LABEL ? null : new Array(records * spr[i])
+  }))
+  const annotations = []
+  const view = new DataView(buffer)
+  let offset = headerBytes
+  for (let r = 0; r < records; r++){
+    signals.forEach((sig, i) => {
+      if (sig.annotation){
+        parseTals(bytes.subarray(offset, offset + 2 * spr[i]), annotations)
+        offset += 2 * spr[i]
+        return
+      }
+      const gain = (physMax[i] - physMin[i]) / ((digMax[i] - digMin[i]) || 1)
+      const toMv = UNIT_TO_MV[sig.unit.toLowerCase()] ?? 1
+      for (let k = 0; k < spr[i]; k++){
+        const d = view.getInt16(offset, true)
+        sig.samples[r * spr[i] + k] = ((d - digMin[i]) * gain + physMin[i]) * toMv
+        offset += 2
+      }
+    })
+  }
+  signals.forEach(sig => { if (!sig.annotation) sig.unit = 'mV' })
+
+  // dd.mm.yy with the 1985 clipping year, hh.mm.ss
+  const [dd, mm, yy] = startDate.split('.').map(v => parseInt(v))
+  const [hh, mi, ss] = startTime.split('.').map(v => parseInt(v))
+  const start = new Date(yy >= 85 ? 1900 + yy : 2000 + yy, (mm || 1) - 1, dd || 1, hh || 0, mi || 0, ss || 0)
+  return {
+    version,
+    plus: reserved.startsWith('EDF+'),
+    patient,
+    recording,
+    startTime: isNaN(start) ? null : start,
+    recordDuration: recordSeconds,
+    signals: signals.filter(s => !s.annotation),
+    annotations
+  }
+}
+
+// Six-lead view of a parsed EDF file, in the shape shared by all importers:
+// { sampleRate, leads: { I..aVF }, beats (s), annotations, prefiltering, startTime, session }
+export function edfToLeads(edf){
+  const { sampleRate, leads } = mapSignalsToLeads(edf.signals)
+  return {
+    sampleRate,
+    leads,
+    beats: edf.annotations.filter(a => a.text === EDF_BEAT_ANNOTATION).map(a => a.onset),
+    annotations: edf.annotations,
+    prefiltering: edf.signals[0].prefiltering,
+    startTime: edf.startTime,
+    session: sessionFromEdf(edf.patient, edf.recording, edf.annotations)
+  }
+}
@@ -0,0 +1,143 @@
+// Compact binary sample frames, and the stream decoder that tells them apart from
+// the text formats so a device can send either (or print text logs between frames).
+//
+// Frame layout, multi-byte fields little-endian:
+//   0  2  sync 0xA5 0x5A
+//   2  2  sequence number, +1 per frame, wraps at 65536
+//   4  1  channel count n (1-8): 6 = lead1..avf, 2 = Lead I, Lead II
+//   5  1  format: low nibble bytes per sample (2 = int16, 3 = int24);
+//         bit 7 set = values are microvolts, otherwise ADC counts
+//   6  n × (2|3)  signed samples
+//   …  2  CRC-16/CCITT-FALSE (poly 0x1021, init 0xFFFF) of bytes 2 … end of samples
+// Text can contain 0xA5 0x5A (0xA5 is a UTF-8 continuation byte, as in 'ĥ' C4 A5), so
+// the sync alone proves nothing: a frame counts only when its header is plausible and
+// its CRC matches. Everything else, false sync matches included, is decoded as text.
+
+import { parseLine, createLineSplitter, toSixLeads, mapChannels } from './parser'
+
+export const FRAME_SYNC = [0xa5, 0x5a]
+const HEADER_BYTES = 6
+const CRC_BYTES = 2
+const MICROVOLTS = 0x80
+
+export function crc16(bytes, start = 0, end = bytes.length){
+  let crc = 0xffff
+  for (let i = start; i < end; i++){
+    crc ^= bytes[i] << 8
+    for (let b = 0; b < 8; b++) crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff
+  }
+  return crc
+}
+
+// One frame as bytes; values are rounded to integers (already in µV when microvolts is set)
+export function encodeFrame(seq, values, { bytesPerSample = 2, microvolts = false } = {}){
+  const n = values.length
+  const out = new Uint8Array(HEADER_BYTES + n * bytesPerSample + CRC_BYTES)
+  out[0] = FRAME_SYNC[0]; out[1] = FRAME_SYNC[1]
+  out[2] = seq & 0xff; out[3] = (seq >> 8) & 0xff
+  out[4] = n
+  out[5] = bytesPerSample | (microvolts ? MICROVOLTS : 0)
+  const limit = 2 ** (8 * bytesPerSample - 1) - 1
+  values.forEach((v, i) => {
+    const x = Math.max(-limit - 1, Math.min(limit, Math.round(v)))
+    for (let b = 0; b < bytesPerSample; b++) out[HEADER_BYTES + i * bytesPerSample + b] = (x >> (8 * b)) & 0xff
+  })
+  const crc = crc16(out, 2, out.length - CRC_BYTES)
+  out[out.length - 2] = crc & 0xff; out[out.length - 1] = crc >> 8
+  return out
+}
+
+function readSample(bytes, at, width){
+  const v = width === 3 ? bytes[at] | (bytes[at + 1] << 8) | (bytes[at + 2] << 16) : bytes[at] | (bytes[at + 1] << 8)
+  const sign = 1 << (8 * width - 1)
+  return v & sign ? v - 2 * sign : v
+}
+
+// push(chunk) takes text (string) or bytes (Uint8Array) and returns what parseLine
+// returns for each sample, metadata or calibration line found, in order. Samples in
+// microvolts (frame flag, or units 'uv' in the metadata) are returned in mV with
+// units: 'mv'; the metadata's channel list maps CSV values and frame channels to
+// leads. Once frames are seen, text lines only count for metadata and calibration
+// messages; a stray number on a line is not a sample.
+// stats(): { format: null | 'text' | 'binary', frames, crcErrors, gaps, lost, channels, bytesPerSample }
+export function createStreamDecoder(){
+  const splitLines = createLineSplitter()
+  const textDecoder = new TextDecoder()
+  let pending = new Uint8Array(0)
+  const stats = { format: null, frames: 0, crcErrors: 0, gaps: 0, lost: 0, channels: null, bytesPerSample: null }
+  let lastSeq = null
+  let meta = null // latest device metadata
+
+  const toMv = values => values.map(v => v / 1000)
+
+  function textItems(text, out){
+    for (const line of splitLines(text)){
+      const parsed = parseLine(line, meta && meta.leadIndex)
+      if (!parsed) continue
+      if (parsed.type === 'meta') meta = parsed.meta
+      if (parsed.type === 'sample'){
+        if (stats.format === 'binary') continue
+        stats.format = 'text'
+        if (meta && meta.units === 'uv'){ out.push({ ...parsed, values: toMv(parsed.values), units: 'mv' }); continue }
+      }
+      out.push(parsed)
+    }
+  }
+
+  function frameItem(bytes, at, n, format){
+    const width = format & 0x0f
+    const seq = bytes[at + 2] | (bytes[at + 3] << 8)
+    if (lastSeq != null && seq !== ((lastSeq + 1) & 0xffff)){
+      stats.gaps++
+      stats.lost += (seq - lastSeq - 1) & 0xffff
+    }
+    lastSeq = seq
+    stats.format = 'binary'
+    stats.frames++
+    stats.channels = n
+    stats.bytesPerSample = width
+    const nums = []
+    for (let c = 0; c < n; c++) nums.push(readSample(bytes, at + HEADER_BYTES + c * width, width))
+    const microvolts = (format & MICROVOLTS) !== 0 || (meta && meta.units === 'uv')
+    const mapped = meta && meta.leadIndex ? mapChannels(nums, meta.leadIndex) : toSixLeads(nums)
+    const values = mapped && microvolts ? toMv(mapped) : mapped
+    if (!values) return null
+    return microvolts ? { type: 'sample', values, seq, units: 'mv' } : { type: 'sample', values, seq }
+  }
+
+  function push(chunk){
+    const out = []
+    if (typeof chunk === 'string'){ textItems(chunk, out); return out }
+    const bytes = new Uint8Array(pending.length + chunk.length)
+    bytes.set(pending); bytes.set(chunk, pending.length)
+    let i = 0
+    let textStart = 0
+    while (i < bytes.length){
+      if (bytes[i] !== FRAME_SYNC[0]){ i++; continue }
+      if (i + HEADER_BYTES > bytes.length) break // wait for the rest of the header
+      if (bytes[i + 1] !== FRAME_SYNC[1]){ i++; continue }
+      const n = bytes[i + 4], format = bytes[i + 5], width = format & 0x0f
+      if (n < 1 || n > 8 || (width !== 2 && width !== 3) || (format & 0x70)){ i++; continue }
+      const length = HEADER_BYTES + n * width + CRC_BYTES
+      if (i + length > bytes.length) break // wait for the rest of the frame
+      const crc = bytes[i + length - 2] | (bytes[i + length - 1] << 8)
+      if (crc !== crc16(bytes, i + 2, i + length - CRC_BYTES)){
+        // not a frame: the bytes stay in the text run from textStart. Before the first
+        // good frame this is most likely text that happens to contain the sync bytes
+        if (stats.format === 'binary') stats.crcErrors++
+        i++
+        continue
+      }
+      if (i > textStart) textItems(textDecoder.decode(bytes.subarray(textStart, i), { stream: true }), out)
+      const item = frameItem(bytes, i, n, format)
+      if (item) out.push(item)
+      i += length
+      textStart = i
+    }
+    if (i > textStart) textItems(textDecoder.decode(bytes.subarray(textStart, i), { stream: true }), out)
+    pending = bytes.slice(i)
+    return out
+  }
+
+  return { push, stats: () => ({ ...stats }) }
+}
@@ -0,0 +1,223 @@
+// Long-duration (Holter-style) recording. Samples of all six leads are packed into
+// fixed-size chunks (CHUNK_SECONDS, Int16 microvolts) and written to IndexedDB as
+// each one fills, so memory stays bounded however long the recording runs. Every
+// minute is summarised (beats, mean/min/max heart rate, noise, Lead II min/max)
+// into a trend kept on the session record, which the review screen plots.
+
+import { transaction, done, newRecordingId } from './db'
+import { LEAD_KEYS } from './leads'
+
+export const CHUNK_SECONDS = 10
+
+// Planned recording lengths; 0 runs until stopped
+export const HOLTER_DURATIONS = [
+  { hours: 1, label: '1 h' },
+  { hours: 2, label: '2 h' },
+  { hours: 4, label: '4 h' },
+  { hours: 8, label: '8 h' },
+  { hours: 12, label: '12 h' },
+  { hours: 24, label: '24 h' },
+  { hours: 0, label: 'Until stopped' }
+]
+
+// h:mm:ss
+export function formatDuration(seconds){
+  const s = Math.floor(seconds)
+  const h = Math.floor(s / 3600), m = Math.floor(s / 60) % 60
+  return `${h}:${String(m).padStart(2, '0')}:${String(s % 60).padStart(2, '0')}`
+}
+
+// Int16 microvolts cover ±32.7 mV
+const toUv = mv => Math.max(-32767, Math.min(32767, Math.round(mv * 1000)))
+
+// Noise is measured on short blocks of Lead II: the RMS of the second difference
+// (scaled so white noise reads as its own RMS) in each block, and the lower quartile
+// of the blocks, which are mostly the quiet stretches between beats.
+const NOISE_BLOCK_SECONDS = 0.2
+const quantile = (values, q) => {
+  if (!values.length) return null
+  const sorted = Float64Array.from(values).sort()
+  return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))]
+}
+
+// Summary of one minute, built sample by sample
+function createMinuteStats(minute, sampleRate){
+  const blockLength = Math.max(3, Math.round(NOISE_BLOCK_SECONDS * sampleRate))
+  const blocks = []
+  let samples = 0, min = Infinity, max = -Infinity
+  let prev = null, prev2 = null, blockSum = 0, blockCount = 0
+  let beats = 0, rrSum = 0, rrCount = 0, hrMin = null, hrMax = null
+  return {
+    sample(mv){
+      samples++
+      if (mv < min) min = mv
+      if (mv > max) max = mv
+      if (prev2 != null){
+        const d = mv - 2 * prev + prev2
+        blockSum += d * d; blockCount++
+        if (blockCount === blockLength){ blocks.push(Math.sqrt(blockSum / blockCount / 6)); blockSum = 0; blockCount = 0 }
+      }
+      prev2 = prev; prev = mv
+    },
+    beat(rrSeconds){
+      beats++
+      if (rrSeconds == null) return
+      rrSum += rrSeconds; rrCount++
+      const hr = 60 / rrSeconds
+      hrMin = hrMin == null ? hr : Math.min(hrMin, hr)
+      hrMax = hrMax == null ? hr : Math.max(hrMax, hr)
+    },
+    samples: () => samples,
+    summary: () => ({
+      minute,
+      seconds: samples / sampleRate,
+      beats,
+      hr: rrCount ? 60 / (rrSum / rrCount) : null,
+      hrMin, hrMax,
+      noise: quantile(blocks, 0.25), // mV RMS
+      min: samples ? min : null,
+      max: samples ? max : null
+    })
+  }
+}
+
+// Records into a new Holter session. push() takes one sample per lead (mV, in
+// LEAD_KEYS order), beat() an R-peak at an absolute sample index. Writes happen in
+// the background; onMinute(summary) follows each trend entry. stop() flushes the
+// partial chunk and resolves with the session once everything is written.
+export function createHolterRecorder({ sampleRate, startTime = Date.now(), durationHours = 0, session = null, filter = '', processing = null, device = null, layout = null, scale = null, qualityGate = 'flag', onMinute, onError }){
+  const id = newRecordingId()
+  const chunkLength = Math.round(CHUNK_SECONDS * sampleRate)
+  const minuteLength = Math.round(60 * sampleRate)
+  const record = {
+    id, startTime, endTime: null, sampleRate, chunkLength, durationHours,
+    sampleCount: 0, beatCount: 0, trend: [], status: 'recording',
+    session, filter, processing, device, layout, scale, qualityGate
+  }
+  const newChunk = index => ({ index, data: LEAD_KEYS.map(() => new Int16Array(chunkLength)), beats: [] })
+  let chunk = newChunk(0)
+  let position = 0 // within the chunk
+  let count = 0
+  let minute = createMinuteStats(0, sampleRate)
+  let lastBeat = null
+  let writes = Promise.resolve()
+  let pending = 0
+  let error = null
+
+  function enqueue(write){
+    pending++
+    writes = writes.then(write).catch(e => {
+      if (!error){ error = e; if (onError) onError(e) }
+    }).finally(() => { pending-- })
+  }
+
+  function saveRecord(){
+    const snapshot = { ...record, trend: record.trend.slice() }
+    enqueue(() => transaction(['holterSessions'], 'readwrite', store => { store.put(snapshot) }))
+  }
+
+  function flushChunk(){
+    if (!position) return
+    const c = chunk
+    const length = position
+    const stored = {
+      sessionId: id, index: c.index, start: c.index * chunkLength, length,
+      data: Object.fromEntries(LEAD_KEYS.map((k, i) => [k, length === chunkLength ? c.data[i] : c.data[i].slice(0, length)])),
+      beats: c.beats
+    }
+    enqueue(() => transaction(['holterChunks'], 'readwrite', store => { store.put(stored) }))
+    chunk = newChunk(c.index + 1)
+    position = 0
+  }
+
+  function closeMinute(){
+    if (!minute.samples()) return
+    const summary = minute.summary()
+    record.trend.push(summary)
+    record.sampleCount = count
+    saveRecord()
+    if (onMinute) onMinute(summary)
+  }
+
+  saveRecord()
+
+  return {
+    id,
+    durationHours,
+    push(values){
+      for (let i = 0; i < LEAD_KEYS.length; i++) chunk.data[i][position] = toUv(values[i] || 0)
+      minute.sample(values[1] || 0)
+      position++
+      count++
+      if (position === chunkLength) flushChunk()
+      if (count % minuteLength === 0){
+        closeMinute()
+        minute = createMinuteStats(count / minuteLength, sampleRate)
+      }
+    },
+    beat(index){
+      if (index < 0) return
+      chunk.beats.push(index)
+      minute.beat(lastBeat != null && index > lastBeat ? (index - lastBeat) / sampleRate : null)
+      lastBeat = index
+      record.beatCount++
+    },
+    sampleCount: () => count,
+    elapsed: () => count / sampleRate,
+    pendingWrites: () => pending,
+    error: () => error,
+    async stop(endTime = startTime + count / sampleRate * 1000){
+      flushChunk()
+      closeMinute()
+      record.sampleCount = count
+      record.endTime = endTime
+      record.status = 'complete'
+      saveRecord()
+      await writes
+      if (error) throw error
+      return { ...record }
+    }
+  }
+}
+
+// Sessions, newest first. Ones still marked 'recording' that are not being
+// recorded were interrupted (tab closed); their saved chunks are still readable.
+export async function listHolterSessions(){
+  const all = await transaction(['holterSessions'], 'readonly', store => done(store.getAll()))
+  return all.sort((a, b) => b.startTime - a.startTime)
+}
+
+export async function loadHolterSession(id){
+  const record = await transaction(['holterSessions'], 'readonly', store => done(store.get(id)))
+  if (!record) throw new Error('That Holter recording is no longer stored.')
+  return record
+}
+
+// Samples [start, end) of every lead as Float32Array mV, with the beats in that range
+export async function readHolterRange(record, start, end){
+  const first = Math.floor(start / record.chunkLength)
+  const last = Math.floor((end - 1) / record.chunkLength)
+  // beats are kept with the chunk being recorded when they were detected, which can be the next one
+  const chunks = await transaction(['holterChunks'], 'readonly', store =>
+    done(store.getAll(IDBKeyRange.bound([record.id, first], [record.id, last + 1]))))
+  const length = Math.max(0, end - start)
+  const leads = Object.fromEntries(LEAD_KEYS.map(k => [k, new Float32Array(length)]))
+  const beats = []
+  for (const c of chunks){
+    for (const b of c.beats) if (b >= start && b < end) beats.push(b)
+    const from = Math.max(start, c.start), to = Math.min(end, c.start + c.length)
+    for (const k of LEAD_KEYS){
+      const src = c.data[k], dst = leads[k]
+      for (let i = from; i < to; i++) dst[i - start] = src[i - c.start] / 1000
+    }
+  }
+  const available = chunks.length ? Math.min(end, Math.max(...chunks.map(c => c.start + c.length))) - start : 0
+  return { start, end, available: Math.max(0, available), leads, beats: beats.sort((a, b) => a - b) }
+}
+
+export async function deleteHolterSession(id){
+  await transaction(['holterSessions', 'holterChunks'], 'readwrite', (sessions, chunks) => {
+    sessions.delete(id)
+    chunks.delete(IDBKeyRange.bound([id, 0], [id, Infinity]))
+  })
+}
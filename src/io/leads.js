@@ -0,0 +1,44 @@
+// Maps the signals of an imported recording (EDF, WFDB) onto the app's six
+// limb leads by label. Precordial and non-ECG channels are not shown.
+
+import { deriveLimbLeads } from '../dsp/units'
+
+export const LEAD_KEYS = ['I', 'II', 'III', 'aVR', 'aVL', 'aVF']
+
+// 'ECG II', 'Lead aVF', 'EKG I', and MIT-BIH's modified limb leads 'MLII' / 'MLIII'
+export function leadKeyFromLabel(label){
+  const l = String(label || '').trim()
+    .replace(/^(ecg|ekg)[\s_-]*/i, '')
+    .replace(/^lead[\s_-]*/i, '')
+    .replace(/^ml(?=i+$)/i, '')
+    .toLowerCase()
+  return LEAD_KEYS.find(k => k.toLowerCase() === l) || null
+}
+
+// signals: [{ label, samples, sampleRate }], all leads must share one rate.
+// III and the augmented leads are derived from I and II when missing, absent
+// leads are flat; if no label matches, the first signal is shown as Lead II.
+// Returns { sampleRate, leads: { I..aVF }, labels: { I..aVF: source label } }.
+export function mapSignalsToLeads(signals){
+  const byLead = {}
+  for (const sig of signals){
+    const key = leadKeyFromLabel(sig.label)
+    if (key && !byLead[key]) byLead[key] = sig
+  }
+  if (!Object.keys(byLead).length && signals.length) byLead.II = signals[0]
+  const found = Object.values(byLead)
+  if (!found.length) throw new Error(`No ECG signals found. Expected leads labelled ${LEAD_KEYS.join(', ')}.`)
+  const sampleRate = found[0].sampleRate
+  if (found.some(s => Math.abs(s.sampleRate - sampleRate) > 1e-6)) throw new Error('Leads with different sample rates are not supported.')
+
+  const leads = {}
+  const labels = {}
+  LEAD_KEYS.forEach(k => { leads[k] = byLead[k] ? byLead[k].samples : null; labels[k] = byLead[k] ? byLead[k].label : null })
+  if (leads.I && leads.II){
+    const derived = deriveLimbLeads(leads.I, leads.II)
+    for (const k of ['III', 'aVR', 'aVL', 'aVF']) if (!leads[k]){ leads[k] = derived[k]; labels[k] = 'derived' }
+  }
+  const length = Math.max(...found.map(s => s.samples.length))
+  for (const k of LEAD_KEYS) if (!leads[k]) leads[k] = new Array(length).fill(0)
+  return { sampleRate, leads, labels }
+}
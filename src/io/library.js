@@ -0,0 +1,126 @@
+// Recording library in IndexedDB. Each capture is split over two stores so the
+// list stays cheap to load: `recordings` holds the entry shown in the library
+// (title, tags, times, session, settings, summary) and `samples` the lead data
+// as Float32Arrays. The whole library can be exported to and imported from a
+// single archive (gzipped JSON with base64 sample blocks).
+
+import { transaction, done, newRecordingId } from './db'
+
+export { newRecordingId, storageUsage } from './db'
+
+const ARCHIVE_FORMAT = 'ecg-visualizer-library'
+
+const toFloat32 = leads => Object.fromEntries(Object.entries(leads || {}).map(([k, v]) => [k, v instanceof Float32Array ? v : Float32Array.from(v || [])]))
+
+// entry: { title, tags, createdAt?, ...anything to show or rebuild the report }
+// samples: { data: { lead: number[] }, raw: { lead: number[] }, rPeaks: number[] }
+// Returns the new entry (with id and size).
+export async function saveRecording(entry, samples){
+  const id = entry.id || newRecordingId()
+  const data = toFloat32(samples.data)
+  const raw = toFloat32(samples.raw)
+  const size = [...Object.values(data), ...Object.values(raw)].reduce((sum, a) => sum + a.byteLength, 0)
+  const stored = { tags: [], createdAt: Date.now(), ...entry, id, size }
+  await transaction(['recordings', 'samples'], 'readwrite', (recordings, store) => {
+    recordings.put(stored)
+    store.put({ id, data, raw, rPeaks: Array.from(samples.rPeaks || []) })
+  })
+  return stored
+}
+
+// Entries, newest first
+export async function listRecordings(){
+  const all = await transaction(['recordings'], 'readonly', recordings => done(recordings.getAll()))
+  return all.sort((a, b) => (b.startTime || b.createdAt) - (a.startTime || a.createdAt))
+}
+
+// { entry, data, raw, rPeaks } with plain number arrays
+export async function loadRecording(id){
+  const [entry, samples] = await transaction(['recordings', 'samples'], 'readonly', (recordings, store) =>
+    Promise.all([done(recordings.get(id)), done(store.get(id))]))
+  if (!entry || !samples) throw new Error('That recording is no longer in the library.')
+  const plain = leads => Object.fromEntries(Object.entries(leads).map(([k, v]) => [k, Array.from(v)]))
+  return { entry, data: plain(samples.data), raw: plain(samples.raw), rPeaks: samples.rPeaks }
+}
+
+// Rename, retag or otherwise patch an entry; returns the updated entry
+export async function updateRecording(id, changes){
+  return transaction(['recordings'], 'readwrite', async recordings => {
+    const entry = await done(recordings.get(id))
+    if (!entry) throw new Error('That recording is no longer in the library.')
+    const next = { ...entry, ...changes, id }
+    recordings.put(next)
+    return next
+  })
+}
+
+export async function deleteRecording(id){
+  await transaction(['recordings', 'samples'], 'readwrite', (recordings, store) => {
+    recordings.delete(id)
+    store.delete(id)
+  })
+}
+
+// Case-insensitive match on title, tags, patient details, notes and findings
+export function matchesSearch(entry, query){
+  const q = String(query || '').trim().toLowerCase()
+  if (!q) return true
+  const s = entry.session || {}
+  const haystack = [entry.title, ...(entry.tags || []), s.name, s.patientId, s.operator, s.notes, entry.device, ...(entry.findings || [])]
+    .filter(Boolean).join(' ').toLowerCase()
+  return q.split(/\s+/).every(word => haystack.includes(word))
+}
+
+// --- archive ------------------------------------------------------------------
+
+function toBase64(floats){
+  const bytes = new Uint8Array(floats.buffer, floats.byteOffset, floats.byteLength)
+  let bin = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  return btoa(bin)
+}
+
+function fromBase64(text){
+  const bin = atob(text)
+  const bytes = new Uint8Array(bin.length)
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i)
+  return new Float32Array(bytes.buffer)
+}
+
+const mapLeads = (leads, fn) => Object.fromEntries(Object.entries(leads || {}).map(([k, v]) => [k, fn(v)]))
+
+// The whole library as one Blob (gzip where the browser supports it)
+export async function exportLibrary(){
+  const entries = await listRecordings()
+  const recordings = []
+  for (const entry of entries){
+    const samples = await transaction(['samples'], 'readonly', store => done(store.get(entry.id)))
+    if (!samples) continue
+    recordings.push({ entry, data: mapLeads(samples.data, toBase64), raw: mapLeads(samples.raw, toBase64), rPeaks: samples.rPeaks })
+  }
+  const json = JSON.stringify({ format: ARCHIVE_FORMAT, version: 1, exportedAt: new Date().toISOString(), recordings })
+  const blob = new Blob([json], { type: 'application/json' })
+  if (typeof CompressionStream === 'undefined') return { blob, fileName: 'ecg-library.json' }
+  const gz = await new Response(blob.stream().pipeThrough(new CompressionStream('gzip'))).blob()
+  return { blob: gz, fileName: 'ecg-library.json.gz' }
+}
+
+// Adds the recordings of an archive; entries already in the library (same id) are replaced.
+// Returns the number of recordings imported.
+export async function importLibrary(file){
+  const head = new Uint8Array(await file.slice(0, 2).arrayBuffer())
+  let text
+  if (head[0] === 0x1f && head[1] === 0x8b){
+    if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot read compressed archives.')
+    text = await new Response(file.stream().pipeThrough(new DecompressionStream('gzip'))).text()
+  } else {
+    text = await file.text()
+  }
+  let archive
+  try { archive = JSON.parse(text) } catch { throw new Error(`${file.name} is not a recording library archive.`) }
+  if (!archive || archive.format !== ARCHIVE_FORMAT || !Array.isArray(archive.recordings)) throw new Error(`${file.name} is not a recording library archive.`)
+  for (const r of archive.recordings){
+    await saveRecording(r.entry, { data: mapLeads(r.data, fromBase64), raw: mapLeads(r.raw, fromBase64), rPeaks: r.rPeaks })
+  }
+  return archive.recordings.length
+}
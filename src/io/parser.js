@@ -0,0 +1,118 @@
+// Shared text-line parser for every transport.
+// Accepts JSON objects, 6-value CSV, or 2-value CSV (Lead I, Lead II) per line,
+// the device metadata line, plus the calibration log lines printed by the Arduino sketches.
+
+import { LEAD_KEYS, leadKeyFromLabel } from './leads'
+import { limbLeadsAt } from '../dsp/units'
+
+export const JSON_KEYS = ['lead1','lead2','lead3','avr','avl','avf']
+
+export const DEVICE_UNITS = ['mv', 'uv', 'adc']
+export const CALIBRATION_STATES = ['running', 'done', 'none']
+export const SIGNAL_SOURCES = ['sim', 'analog']
+
+// One JSON sample line in the ecg_sender.ino format
+export function formatSampleLine(values, digits = 3){
+  return '{' + JSON_KEYS.map((k, i) => `"${k}":${(values[i] || 0).toFixed(digits)}`).join(',') + '}'
+}
+
+// Returns { type:'calibration', state:'start'|'done' }, { type:'meta', meta },
+// { type:'ack', id, ok, error } (command replies, see commands.js),
+// { type:'sample', values:[6] } or null. `channels` (from the device metadata) maps
+// CSV values to leads; without it 6 or 2 values are expected.
+export function parseLine(line, channels = null){
+  // Detect calibration logs from Arduino (case-insensitive)
+  const lower = line.toLowerCase()
+  if (lower.includes('calibration complete') || lower.includes('calibrated') || lower.includes('calibration done')){
+    return { type: 'calibration', state: 'done' }
+  }
+  if (lower.includes('starting') && lower.includes('calibration')){
+    return { type: 'calibration', state: 'start' }
+  }
+
+  let parsedJson = null
+  if (line[0] === '{'){
+    try { parsedJson = JSON.parse(line) } catch { parsedJson = null }
+  }
+  if (parsedJson && typeof parsedJson === 'object'){
+    if (parsedJson.type === 'meta') return { type: 'meta', meta: parseDeviceMeta(parsedJson) }
+    if (parsedJson.type === 'ack'){
+      const id = Number(parsedJson.id)
+      if (!Number.isInteger(id)) return null
+      return { type: 'ack', id, ok: parsedJson.ok !== false, error: parsedJson.error == null ? null : String(parsedJson.error).slice(0, 120) }
+    }
+    if (JSON_KEYS.every(k => k in parsedJson)){
+      return { type: 'sample', values: JSON_KEYS.map(k => parseFloat(parsedJson[k])) }
+    }
+  }
+
+  const nums = (line.match(/-?\d+(?:\.\d+)?/g) || []).map(v => parseFloat(v))
+  const values = channels ? mapChannels(nums, channels) : toSixLeads(nums)
+  return values ? { type: 'sample', values } : null
+}
+
+// The metadata line a device sends when the connection opens (and again when
+// something changes, e.g. calibration finishing):
+//   {"type":"meta","sampleRate":125,"units":"adc","adcBits":10,"vref":5,
+//    "channels":["I","II"],"firmware":"1.2.0","device":"Nano ECG","calibration":"running",
+//    "mode":"analog","streaming":true}
+// Every field is optional; unknown or invalid values come back as null.
+export function parseDeviceMeta(obj){
+  const num = (v, min, max) => typeof v === 'number' && isFinite(v) && v >= min && v <= max ? v : null
+  const oneOf = (v, list) => list.includes(String(v).toLowerCase()) ? String(v).toLowerCase() : null
+  const channels = Array.isArray(obj.channels) ? obj.channels.map(String) : null
+  const str = v => v == null || v === '' ? null : String(v).slice(0, 64)
+  return {
+    sampleRate: num(obj.sampleRate, 1, 20000),
+    units: oneOf(obj.units, DEVICE_UNITS),
+    adcBits: num(obj.adcBits, 1, 32),
+    vref: num(obj.vref, 0.001, 1000),
+    channels,
+    leadIndex: channels ? channels.map(channelLeadIndex) : null,
+    firmware: str(obj.firmware),
+    device: str(obj.device),
+    calibration: oneOf(obj.calibration, CALIBRATION_STATES),
+    mode: oneOf(obj.mode, SIGNAL_SOURCES),
+    streaming: typeof obj.streaming === 'boolean' ? obj.streaming : null
+  }
+}
+
+// Index in LEAD_KEYS of a channel name ('I', 'Lead II', 'aVF', or the JSON keys 'lead1'…'avf'), or -1
+function channelLeadIndex(name){
+  const json = JSON_KEYS.indexOf(String(name).toLowerCase())
+  if (json >= 0) return json
+  const key = leadKeyFromLabel(name)
+  return key ? LEAD_KEYS.indexOf(key) : -1
+}
+
+// Six lead values from values in the device's channel order (leadIndex from
+// parseDeviceMeta). Missing III/aVR/aVL/aVF are derived when I and II are present,
+// other missing leads are 0. Null when no channel maps to a lead.
+export function mapChannels(nums, leadIndex){
+  const out = new Array(6).fill(null)
+  leadIndex.forEach((lead, i) => { if (lead >= 0 && i < nums.length) out[lead] = nums[i] })
+  if (out.every(v => v == null)) return null
+  const derived = out[0] != null && out[1] != null ? toSixLeads([out[0], out[1]]) : null
+  return out.map((v, i) => v != null ? v : derived ? derived[i] : 0)
+}
+
+// Six lead values from a sample's numbers: the first six, or Lead I and Lead II with
+// the other four derived. Other counts are not a sample (null).
+export function toSixLeads(nums){
+  if (nums.length >= 6) return nums.slice(0, 6)
+  if (nums.length === 2) return [nums[0], nums[1], ...limbLeadsAt(nums[0], nums[1])]
+  return null
+}
+
+// Splits a stream of text chunks into trimmed, non-empty lines. A partial line
+// longer than maxLine (binary noise without newlines) is dropped.
+export function createLineSplitter(maxLine = 4096){
+  let textBuffer = ''
+  return function push(chunk){
+    textBuffer += chunk
+    const lines = textBuffer.split('\n')
+    textBuffer = lines.pop() || ''
+    if (textBuffer.length > maxLine) textBuffer = ''
+    return lines.map(l => l.trim()).filter(Boolean)
+  }
+}
@@ -0,0 +1,174 @@
+// Minimal PDF 1.4 writer for vector reports. Pages are laid out in millimetres
+// with the origin at the top left (like the canvas code); paths are stroked or
+// filled in one content stream per page and text uses the standard Helvetica
+// fonts in WinAnsi encoding, so nothing is embedded and no library is needed.
+
+const PT_PER_MM = 72 / 25.4
+
+// landscape sizes in mm
+export const PAPER_SIZES = [
+  { id: 'a4', label: 'A4', width: 297, height: 210 },
+  { id: 'letter', label: 'US Letter', width: 279.4, height: 215.9 }
+]
+
+// Helvetica / Helvetica-Bold advance widths (1/1000 em) for ASCII 32..126
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+]
+const HELVETICA_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+]
+// characters outside Latin-1 that WinAnsi still has
+const WIN_ANSI = { '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '‑': 0x2d, '−': 0x2d }
+const WIDE = { 0x85: 1000, 0x95: 350, 0x96: 556, 0x97: 1000, 0xb0: 400, 0xb1: 584, 0xd7: 584 }
+
+function encodeChar(ch){
+  const c = ch.charCodeAt(0)
+  if ((c >= 0x20 && c <= 0x7e) || (c >= 0xa0 && c <= 0xff)) return c
+  return WIN_ANSI[ch] ?? 0x3f
+}
+
+function charWidth(code, bold){
+  if (code >= 0x20 && code <= 0x7e) return (bold ? HELVETICA_BOLD : HELVETICA)[code - 0x20]
+  return WIDE[code] ?? 556
+}
+
+// width of `text` in mm at `size` pt
+export function textWidth(text, size, bold = false){
+  let w = 0
+  for (const ch of String(text)) w += charWidth(encodeChar(ch), bold)
+  return w / 1000 * size / PT_PER_MM
+}
+
+// PDF literal string; everything outside printable ASCII is written as an octal escape
+function pdfString(text){
+  let out = '('
+  for (const ch of String(text)){
+    const c = encodeChar(ch)
+    if (c === 0x28 || c === 0x29 || c === 0x5c) out += '\\' + ch
+    else if (c < 0x20 || c > 0x7e) out += '\\' + c.toString(8).padStart(3, '0')
+    else out += ch
+  }
+  return out + ')'
+}
+
+const num = v => String(Math.round(v * 100) / 100)
+
+function rgb(color){
+  const hex = String(color || '#000').replace('#', '')
+  const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex
+  return [0, 2, 4].map(i => num(parseInt(full.slice(i, i + 2), 16) / 255)).join(' ')
+}
+
+// Page drawing API, all lengths in mm. style: { stroke, fill, width, dash }
+function createPage(width, height){
+  const ops = []
+  const X = x => num(x * PT_PER_MM)
+  const Y = y => num((height - y) * PT_PER_MM)
+
+  function paint(style, body){
+    const { stroke = null, fill = null, width: lw = 0.2, dash = null, close = false } = style
+    ops.push('q')
+    if (stroke) ops.push(`${rgb(stroke)} RG`, `${num(lw * PT_PER_MM)} w`, '1 J 1 j')
+    if (fill) ops.push(`${rgb(fill)} rg`)
+    if (dash && dash.length) ops.push(`[${dash.map(d => num(d * PT_PER_MM)).join(' ')}] 0 d`)
+    ops.push(body)
+    if (close) ops.push('h')
+    ops.push(fill && stroke ? 'B' : fill ? 'f' : 'S', 'Q')
+  }
+
+  return {
+    width,
+    height,
+    // separate straight segments in one path: [[x1, y1, x2, y2], ...]
+    segments(list, style){
+      if (!list.length) return
+      paint(style, list.map(([x1, y1, x2, y2]) => `${X(x1)} ${Y(y1)} m ${X(x2)} ${Y(y2)} l`).join('\n'))
+    },
+    // connected path through [[x, y], ...]
+    polyline(points, style){
+      if (points.length < 2) return
+      paint(style, points.map(([x, y], i) => `${X(x)} ${Y(y)} ${i ? 'l' : 'm'}`).join('\n'))
+    },
+    rect(x, y, w, h, style){
+      paint(style, `${X(x)} ${Y(y + h)} ${num(w * PT_PER_MM)} ${num(h * PT_PER_MM)} re`)
+    },
+    circle(cx, cy, r, style){
+      // four Bézier quarter arcs
+      const k = 0.5523 * r
+      paint({ ...style, close: true }, [
+        `${X(cx + r)} ${Y(cy)} m`,
+        `${X(cx + r)} ${Y(cy + k)} ${X(cx + k)} ${Y(cy + r)} ${X(cx)} ${Y(cy + r)} c`,
+        `${X(cx - k)} ${Y(cy + r)} ${X(cx - r)} ${Y(cy + k)} ${X(cx - r)} ${Y(cy)} c`,
+        `${X(cx - r)} ${Y(cy - k)} ${X(cx - k)} ${Y(cy - r)} ${X(cx)} ${Y(cy - r)} c`,
+        `${X(cx + k)} ${Y(cy - r)} ${X(cx + r)} ${Y(cy - k)} ${X(cx + r)} ${Y(cy)} c`
+      ].join('\n'))
+    },
+    // y is the baseline; align: 'left' | 'center' | 'right'
+    text(str, x, y, { size = 9, bold = false, color = '#000', align = 'left' } = {}){
+      const s = String(str)
+      const dx = align === 'right' ? textWidth(s, size, bold) : align === 'center' ? textWidth(s, size, bold) / 2 : 0
+      ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${rgb(color)} rg ${X(x - dx)} ${Y(y)} Td ${pdfString(s)} Tj ET`)
+    },
+    content: () => ops.join('\n')
+  }
+}
+
+// Returns { addPage(widthMm, heightMm) -> page, pages(), toArrayBuffer() }
+export function createPdfDocument({ title = '', subject = '' } = {}){
+  const pages = []
+
+  function toArrayBuffer(){
+    const objects = [] // bodies, object n is objects[n - 1]
+    const add = body => { objects.push(body); return objects.length }
+    const catalog = add(null)
+    const pagesObj = add(null)
+    const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>')
+    const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>')
+    const d = new Date()
+    const two = v => String(v).padStart(2, '0')
+    const stamp = `D:${d.getFullYear()}${two(d.getMonth() + 1)}${two(d.getDate())}${two(d.getHours())}${two(d.getMinutes())}${two(d.getSeconds())}`
+    const info = add(`<< /Title ${pdfString(title)} /Subject ${pdfString(subject)} /Producer (ECG Visualizer) /CreationDate (${stamp}) >>`)
+    const kids = pages.map(p => {
+      const content = p.content()
+      const stream = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`)
+      return add(`<< /Type /Page /Parent ${pagesObj} 0 R /MediaBox [0 0 ${num(p.width * PT_PER_MM)} ${num(p.height * PT_PER_MM)}] ` +
+        `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${stream} 0 R >>`)
+    })
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesObj} 0 R >>`
+    objects[pagesObj - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`
+
+    // everything is ASCII, so string offsets are byte offsets
+    let out = '%PDF-1.4\n'
+    const offsets = objects.map((body, i) => {
+      const at = out.length
+      out += `${i + 1} 0 obj\n${body}\nendobj\n`
+      return at
+    })
+    const xref = out.length
+    out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+    out += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')
+    out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`
+    return new TextEncoder().encode(out).buffer
+  }
+
+  return {
+    addPage(width, height){
+      const page = createPage(width, height)
+      pages.push(page)
+      return page
+    },
+    pages: () => pages.slice(),
+    toArrayBuffer
+  }
+}
@@ -0,0 +1,370 @@
+// Vector PDF of a report at true paper scale (the report's paper speed and lead
+// amplitudes from report/scale.js, times the report gain) on A4 or US Letter,
+// landscape. Pages: the leads in the report's layout (with its rhythm strip row, if
+// any), a full-length rhythm strip (Lead II unless the layout picks another,
+// continued over as many pages as needed, up to a cap) and measurements with the
+// unconfirmed interpretation. Calipers are drawn on the strips that show them.
+
+import { createPdfDocument, textWidth, PAPER_SIZES } from './pdf'
+import { HEXAXIAL } from '../dsp/axis'
+import { ageOf, sexLabel, placementLabel, formatTimeRange } from './session'
+import { layoutBoxes, normalizeLayout, layoutLead, cellSamples } from '../report/layout'
+import { normalizeScale, leadMmPerMv, calPulseMm, describeScale } from '../report/scale'
+import { caliperStrip, caliperShapes, describeCaliper } from '../report/calipers'
+
+const MARGIN = 10
+const CAL_MARGIN = 5 // around the 1 mV pulse at the start of a row
+const FOOTER = 8
+const MAX_RHYTHM_PAGES = 5
+const MINOR_GRID = '#f6c4c4'
+const MAJOR_GRID = '#e57373'
+const CALIPER_COLOR = '#7c3aed'
+const CALIPER_SIZE = 0.25 // mm for a screen pixel of the on-screen calipers
+
+const dash = '—'
+const fmtMs = v => v == null ? dash : `${Math.round(v)} ms`
+const fmtDeg = v => v == null ? dash : `${v}°`
+const fmtScale = r => describeScale(r.scale, r.gain)
+// room for the calibration pulse at the start of a row
+const calZone = scale => calPulseMm(scale) + CAL_MARGIN
+
+function fmtClock(seconds){
+  const s = Math.round(seconds)
+  const h = Math.floor(s / 3600), m = Math.floor(s / 60) % 60
+  const mmss = `${m}:${String(s % 60).padStart(2, '0')}`
+  return h ? `${h}:${String(m).padStart(2, '0')}:${String(s % 60).padStart(2, '0')}` : mmss
+}
+
+function wrap(text, maxWidth, size, bold){
+  const lines = []
+  let line = ''
+  for (const word of String(text).split(/\s+/)){
+    const next = line ? `${line} ${word}` : word
+    if (line && textWidth(next, size, bold) > maxWidth){ lines.push(line); line = word }
+    else line = next
+  }
+  if (line) lines.push(line)
+  return lines
+}
+
+// 1 mm / 5 mm paper grid; w and h are rounded down to whole millimetres
+function drawGrid(page, x, y, w, h){
+  const minor = [], major = []
+  for (let i = 0; i <= Math.floor(w); i++) (i % 5 ? minor : major).push([x + i, y, x + i, y + Math.floor(h)])
+  for (let j = 0; j <= Math.floor(h); j++) (j % 5 ? minor : major).push([x, y + j, x + Math.floor(w), y + j])
+  page.segments(minor, { stroke: MINOR_GRID, width: 0.08 })
+  page.segments(major, { stroke: MAJOR_GRID, width: 0.2 })
+}
+
+// 1 mV × 200 ms calibration pulse standing on the baseline, pulseMm wide
+function drawCalibration(page, x, yBase, mmPerMv, pulseMm){
+  page.polyline([[x, yBase], [x + 2, yBase], [x + 2, yBase - mmPerMv], [x + 2 + pulseMm, yBase - mmPerMv], [x + 2 + pulseMm, yBase], [x + 4 + pulseMm, yBase]],
+    { stroke: '#000', width: 0.3 })
+}
+
+// samples[start..] from x for at most `width` mm at `speed` mm/s; excursions are clipped to ±limit mm.
+// Returns the number of samples drawn.
+function drawTrace(page, samples, sampleRate, start, x, yBase, width, mmPerMv, limit, speed){
+  if (!samples || !samples.length) return 0
+  const count = Math.min(samples.length - start, Math.floor(width / speed * sampleRate) + 1)
+  const points = []
+  for (let i = 0; i < count; i++){
+    const dy = Math.max(-limit, Math.min(limit, (samples[start + i] || 0) * mmPerMv))
+    points.push([x + i / sampleRate * speed, yBase - dy])
+  }
+  page.polyline(points, { stroke: '#000', width: 0.25 })
+  return count
+}
+
+// Strip (report/calipers.js, in mm) of a trace drawn from x, its first sample t0 seconds
+// into the recording; null when nothing was drawn
+function traceStrip(lead, rhythm, x, count, t0, yBase, top, bottom, speed, mmPerMv, sampleRate){
+  if (count <= 0) return null
+  return { lead, rhythm, x0: x, x1: x + (count - 1) / sampleRate * speed, top, bottom, yBase, pxPerSec: speed, pxPerMv: mmPerMv, t0 }
+}
+
+// Calipers that one of the page's strips shows over their whole time range, recorded in `drawn`
+function drawCalipers(page, strips, calipers, drawn){
+  for (const c of calipers || []){
+    const strip = caliperStrip(strips, c)
+    if (!strip) continue
+    const { lines, label } = caliperShapes(strip, c, CALIPER_SIZE)
+    page.segments(lines, { stroke: CALIPER_COLOR, width: 0.3 })
+    page.text(label.text, label.x, label.y, { size: 7, bold: true, color: CALIPER_COLOR })
+    drawn.add(c)
+  }
+}
+
+function patientLine(r){
+  const s = r.session || {}
+  const age = ageOf(s, r.acquiredAt || undefined)
+  return [s.name || 'Unnamed patient', s.patientId ? `ID ${s.patientId}` : null, s.dob ? `DOB ${s.dob}` : null, age != null ? `${age} y` : null]
+    .filter(Boolean).join('  ·  ')
+}
+
+function deviceLabel(r){
+  const serial = r.session && r.session.deviceSerial
+  return [r.device, serial ? `S/N ${serial}` : null].filter(Boolean).join(', ')
+}
+
+function drawField(page, label, value, x, y){
+  page.text(label, x, y, { size: 7, color: '#555' })
+  page.text(value == null || value === '' ? dash : value, x, y + 4, { size: 9, bold: true })
+}
+
+function drawFullHeader(page, r){
+  const s = r.session || {}
+  const right = page.width - MARGIN
+  const age = ageOf(s, r.acquiredAt || undefined)
+  page.text('6-Lead ECG Report', MARGIN, MARGIN + 5, { size: 14, bold: true })
+  page.text(r.acquiredAt ? `Acquired ${formatTimeRange(r.acquiredAt, r.acquiredEnd)}` : 'Acquisition time not recorded', right, MARGIN + 5, { size: 9, align: 'right' })
+  const colW = (page.width - 2 * MARGIN) / 4
+  const rows = [
+    [['Patient', s.name], ['Patient ID', s.patientId], ['Date of birth / age', [s.dob, age != null ? `${age} y` : null].filter(Boolean).join('  ·  ')], ['Sex', sexLabel(s.sex)]],
+    [['Referring clinician', s.referrer], ['Operator', s.operator], ['Device', deviceLabel(r)], ['Electrode placement', placementLabel(s.placement)]],
+    [['Heart rate', r.heartRate ? `${Math.round(r.heartRate)} bpm` : null], ['Recording', r.durationLabel]]
+  ]
+  rows.forEach((row, ri) => row.forEach(([label, value], ci) => drawField(page, label, value, MARGIN + ci * colW, MARGIN + 12 + ri * 10)))
+  if (s.notes){
+    page.text('Notes', MARGIN + 2 * colW, MARGIN + 32, { size: 7, color: '#555' })
+    const lines = wrap(s.notes, 2 * colW, 8)
+    page.text(lines.length > 1 ? `${lines[0]} …` : lines[0], MARGIN + 2 * colW, MARGIN + 36, { size: 8 })
+  }
+  const scale = `${fmtScale(r)}   ${r.sampleRate} Hz   Filter: ${r.filter}   Baseline correction: ${r.baseline}`
+  page.text(scale, MARGIN, MARGIN + 47, { size: 8 })
+}
+
+function drawCompactHeader(page, r, title){
+  page.text(patientLine(r), MARGIN, MARGIN + 4, { size: 9, bold: true })
+  page.text(title, page.width - MARGIN, MARGIN + 4, { size: 9, bold: true, align: 'right' })
+  page.text(fmtScale(r), page.width - MARGIN, MARGIN + 9, { size: 7, color: '#555', align: 'right' })
+}
+
+function drawFooter(page, index, count, generatedAt){
+  const y = page.height - MARGIN + 2
+  page.segments([[MARGIN, y - 5, page.width - MARGIN, y - 5]], { stroke: '#999', width: 0.15 })
+  page.text(`Generated ${generatedAt}. Automated measurements and interpretation are unconfirmed and must be reviewed by a qualified clinician.`,
+    MARGIN, y, { size: 7, color: '#555' })
+  page.text(`Page ${index + 1} of ${count}`, page.width - MARGIN, y, { size: 7, color: '#555', align: 'right' })
+}
+
+function drawLeadLayout(page, r, drawn){
+  const layout = normalizeLayout(r.layout)
+  const scale = normalizeScale(r.scale)
+  const rowCount = layout.rows + (layout.rhythmLead ? 1 : 0)
+  const top = MARGIN + 52
+  const bottom = page.height - MARGIN - FOOTER - 16
+  const gridW = page.width - 2 * MARGIN
+  const rowH = Math.floor((bottom - top) / rowCount / 5) * 5
+  drawGrid(page, MARGIN, top, gridW, rowH * rowCount)
+  const boxes = layoutBoxes(layout, { x: MARGIN, y: top, width: gridW, height: rowH * rowCount, rhythmHeight: rowH })
+  const strips = []
+  // t0: seconds into the recording of samples[0]
+  const drawCell = (cell, samples, start, t0) => {
+    const yBase = cell.y + rowH * 0.6
+    const mmPerMv = leadMmPerMv(scale, cell.key) * r.gain
+    // rows start with a calibration pulse; later columns get their own when their amplitude differs
+    const pulse = !cell.col || leadMmPerMv(scale, cell.key) !== scale.mmPerMv
+    const x0 = cell.col ? cell.x + 1 : cell.x
+    const [x, width] = pulse ? [x0 + calZone(scale), cell.width - calZone(scale) - (cell.col ? 1 : 0)] : [x0, cell.width - 2]
+    if (pulse) drawCalibration(page, x0, yBase, mmPerMv, calPulseMm(scale))
+    if (cell.col) page.segments([[cell.x, yBase - 3, cell.x, yBase + 3]], { stroke: '#000', width: 0.3 }) // column boundary
+    const name = `${cell.invert ? `−${cell.key}` : cell.key}${scale.leads[cell.key] ? ` ${+mmPerMv.toFixed(2)} mm/mV` : ''}`
+    page.text(name, x + 1, cell.y + 5, { size: 9, bold: true })
+    const flag = r.qualityFlags && r.qualityFlags[cell.key]
+    if (flag) page.text(flag, x + 1 + textWidth(name, 9, true) + 2, cell.y + 5, { size: 7, bold: true, color: '#b91c1c' })
+    const count = drawTrace(page, samples, r.sampleRate, start, x, yBase, width, mmPerMv, rowH * 0.55, scale.speed)
+    const strip = traceStrip(cell.id, cell === boxes.rhythm, x, count, t0 + start / r.sampleRate, yBase, cell.y, cell.y + rowH, scale.speed, mmPerMv, r.sampleRate)
+    if (strip) strips.push(strip)
+    return width
+  }
+  const widths = boxes.cells.map(cell => drawCell(cell, cellSamples(r.leads[cell.key], cell), 0, r.excerptStart || 0))
+  if (boxes.rhythm){
+    // the strip from the excerpt's start, or as late as still fills the row
+    const strip = r.rhythmStrip || []
+    const fit = Math.floor((gridW - calZone(scale)) / scale.speed * r.sampleRate)
+    drawCell(boxes.rhythm, strip, Math.max(0, Math.min(r.rhythmExcerptStart || 0, strip.length - fit)), r.stripStart || 0)
+  }
+  drawCalipers(page, strips, r.calipers, drawn)
+  const m = r.measurements || {}
+  const summary = [
+    `HR ${r.heartRate ? Math.round(r.heartRate) + ' bpm' : dash}`,
+    `PR ${fmtMs(m.pr)}`, `QRS ${fmtMs(m.qrs)}`, `QT/QTc ${fmtMs(m.qt)} / ${fmtMs(m.qtcBazett)}`,
+    `QRS axis ${r.axis ? fmtDeg(r.axis.qrs) : dash}`
+  ].join('    ')
+  const y = top + rowH * rowCount + 6
+  page.text(summary, MARGIN, y, { size: 9, bold: true })
+  const first = r.rhythm && r.rhythm.findings && r.rhythm.findings[0]
+  if (first) page.text(`${first.label} (unconfirmed)`, MARGIN, y + 5, { size: 9 })
+  const excerptLength = Math.max(0, ...Object.values(r.leads).map(l => l ? l.length : 0))
+  const shown = Math.min(Math.min(...widths) / scale.speed, excerptLength / r.sampleRate)
+  page.text(`Leads show the first ${shown.toFixed(1)} s of the report excerpt.`, page.width - MARGIN, y, { size: 7, color: '#555', align: 'right' })
+}
+
+// The rhythm lead over the whole recording, wrapped into rows of whole seconds
+function addRhythmPages(doc, paper, r, drawn){
+  const samples = r.rhythmStrip || []
+  const fs = r.sampleRate
+  const scale = normalizeScale(r.scale)
+  const lead = layoutLead(r.rhythmLead || 'II')
+  const gridW = paper.width - 2 * MARGIN
+  const rowSeconds = Math.floor((gridW - calZone(scale)) / scale.speed)
+  const rowH = 25
+  const top = MARGIN + 14
+  const rowsPerPage = Math.floor((paper.height - MARGIN - FOOTER - top) / rowH)
+  const totalSeconds = samples.length / fs
+  const maxRows = rowsPerPage * MAX_RHYTHM_PAGES
+  const rows = Math.max(1, Math.min(maxRows, Math.ceil(totalSeconds / rowSeconds)))
+  const mmPerMv = leadMmPerMv(scale, lead.key) * r.gain
+  const pages = []
+  for (let first = 0; first < rows; first += rowsPerPage){
+    const page = doc.addPage(paper.width, paper.height)
+    pages.push(page)
+    drawCompactHeader(page, r, `Rhythm strip — ${lead.label} (${fmtClock(totalSeconds)})`)
+    const count = Math.min(rowsPerPage, rows - first)
+    drawGrid(page, MARGIN, top, gridW, count * rowH)
+    const strips = []
+    for (let k = 0; k < count; k++){
+      const row = first + k
+      const yBase = top + k * rowH + rowH * 0.6
+      const start = Math.round(row * rowSeconds * fs)
+      page.text(fmtClock(row * rowSeconds), MARGIN + calZone(scale) + 1, top + k * rowH + 4, { size: 7, color: '#555' })
+      drawCalibration(page, MARGIN, yBase, mmPerMv, calPulseMm(scale))
+      const drawnCount = drawTrace(page, samples, fs, start, MARGIN + calZone(scale), yBase, rowSeconds * scale.speed, mmPerMv, rowH * 0.55, scale.speed)
+      const strip = traceStrip(lead.id, true, MARGIN + calZone(scale), drawnCount, (r.stripStart || 0) + start / fs, yBase, top + k * rowH, top + (k + 1) * rowH, scale.speed, mmPerMv, fs)
+      if (strip) strips.push(strip)
+    }
+    drawCalipers(page, strips, r.calipers, drawn)
+  }
+  if (rows * rowSeconds < totalSeconds){
+    const last = pages[pages.length - 1]
+    last.text(`Strip truncated after ${fmtClock(rows * rowSeconds)} of ${fmtClock(totalSeconds)}.`, MARGIN, last.height - MARGIN - FOOTER, { size: 8, bold: true })
+  }
+}
+
+function drawHexaxial(page, axis, cx, cy, radius){
+  const at = (deg, rad) => [cx + rad * Math.cos(deg * Math.PI / 180), cy + rad * Math.sin(deg * Math.PI / 180)]
+  page.circle(cx, cy, radius, { stroke: '#999', width: 0.15 })
+  page.segments(Object.values(HEXAXIAL).map(({ angle }) => [...at(angle + 180, radius), ...at(angle, radius)]), { stroke: '#bbb', width: 0.15 })
+  for (const [lead, { angle }] of Object.entries(HEXAXIAL)){
+    const [x, y] = at(angle, radius + 4)
+    page.text(lead, x, y + 1, { size: 6, color: '#555', align: 'center' })
+  }
+  const vectors = [['qrs', '#000000', 0.6, null], ['p', '#1d4ed8', 0.3, [1.2, 0.8]], ['t', '#b45309', 0.3, [1.2, 0.8]]]
+  for (const [wave, color, width, pattern] of vectors){
+    if (axis[wave] == null) continue
+    const [x, y] = at(axis[wave], radius - 1.5)
+    page.polyline([[cx, cy], [x, y]], { stroke: color, width, dash: pattern })
+    page.circle(x, y, 0.8, { fill: color })
+  }
+}
+
+function drawSummaryPage(page, r, drawn){
+  drawCompactHeader(page, r, 'Measurements and interpretation')
+  const top = MARGIN + 20
+  const colW = (page.width - 2 * MARGIN) / 2
+  const m = r.measurements || {}
+  const a = r.axis || {}
+
+  const table = (title, rows, x, y) => {
+    page.text(title, x, y, { size: 10, bold: true })
+    rows.forEach(([label, value], i) => {
+      page.text(label, x, y + 7 + i * 5.5, { size: 9 })
+      page.text(value, x + 55, y + 7 + i * 5.5, { size: 9, bold: true })
+    })
+    return y + 7 + rows.length * 5.5
+  }
+  let y = table('Measurements (median of beats)', [
+    ['Heart rate', r.heartRate ? `${Math.round(r.heartRate)} bpm` : dash],
+    ['Beats analysed', r.beatCount != null ? String(r.beatCount) : dash],
+    ['RR', fmtMs(m.rr)],
+    ['PR', fmtMs(m.pr)],
+    ['QRS', fmtMs(m.qrs)],
+    ['QT', fmtMs(m.qt)],
+    ['QTc (Bazett)', fmtMs(m.qtcBazett)],
+    ['QTc (Fridericia)', fmtMs(m.qtcFridericia)]
+  ], MARGIN, top)
+  y = table('Frontal axis', [
+    ['QRS', a.qrs == null ? dash : `${a.qrs}°  (${a.classification})`],
+    ['P', fmtDeg(a.p)],
+    ['T', fmtDeg(a.t)]
+  ], MARGIN, y + 8)
+  if (r.axis) drawHexaxial(page, r.axis, MARGIN + colW - 30, y - 10, 18)
+
+  const x = MARGIN + colW + 5
+  const maxW = colW - 5
+  page.text('Interpretation', x, top, { size: 10, bold: true })
+  let ty = top + 6
+  for (const line of wrap('UNCONFIRMED — automated analysis, not a diagnosis. Review by a qualified clinician required.', maxW, 8, true)){
+    page.text(line, x, ty, { size: 8, bold: true, color: '#b91c1c' }); ty += 4
+  }
+  ty += 2
+  const findings = (r.rhythm && r.rhythm.findings) || []
+  if (!findings.length){ page.text('No findings.', x, ty, { size: 9 }); ty += 5 }
+  for (const f of findings){
+    wrap(`• ${f.label} (confidence ${Math.round(f.confidence * 100)}%)`, maxW, 9).forEach(line => { page.text(line, x, ty, { size: 9 }); ty += 4.5 })
+    ty += 1
+  }
+
+  if (r.calipers && r.calipers.length){
+    ty += 4
+    page.text('Caliper measurements', x, ty, { size: 10, bold: true })
+    ty += 6
+    for (const c of r.calipers){
+      wrap(`• ${describeCaliper(c, drawn.has(c))}`, maxW, 9).forEach(l => { page.text(l, x, ty, { size: 9 }); ty += 4.5 })
+    }
+  }
+
+  ty += 6
+  page.text('Acquisition', x, ty, { size: 10, bold: true })
+  ty += 6
+  const details = [
+    ['Device', deviceLabel(r) || dash],
+    ['Operator', (r.session && r.session.operator) || dash],
+    ['Electrode placement', placementLabel(r.session && r.session.placement) || dash],
+    ['Acquired', r.acquiredAt ? formatTimeRange(r.acquiredAt, r.acquiredEnd) : dash],
+    ['Recording', r.durationLabel || dash],
+    ['Sample rate', `${r.sampleRate} Hz`],
+    ['Filter', r.filter],
+    ['Baseline correction', r.baseline],
+    ['Paper', fmtScale(r)],
+    ['Notes', (r.session && r.session.notes) || dash]
+  ]
+  for (const [label, value] of details){
+    page.text(label, x, ty, { size: 8, color: '#555' })
+    wrap(value, maxW - 35, 8).forEach(line => { page.text(line, x + 35, ty, { size: 8 }); ty += 4 })
+    ty += 0.5
+  }
+
+  const sy = page.height - MARGIN - FOOTER - 6
+  page.segments([[MARGIN, sy, MARGIN + 80, sy], [MARGIN + 95, sy, MARGIN + 175, sy], [MARGIN + 190, sy, page.width - MARGIN, sy]], { stroke: '#000', width: 0.2 })
+  page.text('Reviewed by', MARGIN, sy + 4, { size: 7, color: '#555' })
+  page.text('Signature', MARGIN + 95, sy + 4, { size: 7, color: '#555' })
+  page.text('Date', MARGIN + 190, sy + 4, { size: 7, color: '#555' })
+}
+
+// r: { paper ('a4' | 'letter'), session (see session.js), device,
+//   acquiredAt, acquiredEnd (ms), durationLabel, sampleRate, gain, scale (see report/scale.js), filter, baseline,
+//   leads: { I..aVF } (mV, report excerpt), layout (see report/layout.js),
+//   rhythmStrip (mV, the whole recording of rhythmLead, already inverted for '-aVR'),
+//   rhythmLead ('II' by default), rhythmExcerptStart (sample of the strip where the excerpt starts),
+//   excerptStart, stripStart (s into the recording where leads and rhythmStrip start),
+//   heartRate, beatCount, measurements, axis, rhythm,
+//   qualityFlags: { I..aVF: text } for leads with poor signal,
+//   calipers: [caliper] measurements (see report/calipers.js) }
+// Returns the PDF as an ArrayBuffer.
+export function buildReportPdf(r){
+  const paper = PAPER_SIZES.find(p => p.id === r.paper) || PAPER_SIZES[0]
+  const doc = createPdfDocument({ title: `ECG report — ${patientLine(r)}`, subject: '6-lead ECG' })
+  const first = doc.addPage(paper.width, paper.height)
+  drawFullHeader(first, r)
+  const drawn = new Set() // calipers shown on a strip
+  drawLeadLayout(first, r, drawn)
+  addRhythmPages(doc, paper, r, drawn)
+  drawSummaryPage(doc.addPage(paper.width, paper.height), r, drawn)
+
+  const generatedAt = new Date().toLocaleString()
+  const pages = doc.pages()
+  pages.forEach((page, i) => drawFooter(page, i, pages.length, generatedAt))
+  return doc.toArrayBuffer()
+}
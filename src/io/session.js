@@ -0,0 +1,142 @@
+// Patient and session details attached to each capture. They are copied into the
+// report when recording starts and go out with every export: the report header
+// (canvas and PDF), the EDF+ patient/recording fields and the WFDB header comments.
+// Importers map the same fields back so a re-opened file keeps its details.
+
+export const EMPTY_SESSION = {
+  patientId: '', name: '', dob: '', age: '', sex: '', referrer: '',
+  operator: '', placement: '', deviceSerial: '', notes: ''
+}
+
+// EDF+ sex codes
+export const SEX_OPTIONS = [
+  { id: '', label: '—' },
+  { id: 'F', label: 'Female' },
+  { id: 'M', label: 'Male' },
+  { id: 'X', label: 'Other / not stated' }
+]
+
+export const ELECTRODE_PLACEMENTS = [
+  { id: '', label: '—' },
+  { id: 'limb', label: 'Standard limb (wrists/ankles)' },
+  { id: 'mason-likar', label: 'Mason-Likar (torso)' },
+  { id: 'other', label: 'Other (see notes)' }
+]
+
+export const sexLabel = id => (SEX_OPTIONS.find(s => s.id === id) || { label: id || '' }).label
+export const placementLabel = id => (ELECTRODE_PLACEMENTS.find(p => p.id === id) || { label: id || '' }).label
+
+// Age in whole years: the entered age, otherwise from the date of birth at `at`
+export function ageOf(session, at = Date.now()){
+  if (!session) return null
+  if (String(session.age).trim() !== '' && !isNaN(session.age)) return Math.round(Number(session.age))
+  const m = String(session.dob || '').match(/^(\d{4})-(\d{2})-(\d{2})$/)
+  if (!m) return null
+  const when = new Date(at)
+  let age = when.getFullYear() - +m[1]
+  if (when.getMonth() + 1 < +m[2] || (when.getMonth() + 1 === +m[2] && when.getDate() < +m[3])) age--
+  return age >= 0 ? age : null
+}
+
+export function hasSessionDetails(session){
+  return !!session && Object.keys(EMPTY_SESSION).some(k => String(session[k] || '').trim())
+}
+
+export function formatTimeRange(start, end){
+  if (!start) return ''
+  const a = new Date(start)
+  if (!end) return a.toLocaleString()
+  const b = new Date(end)
+  const sameDay = a.toDateString() === b.toDateString()
+  return `${a.toLocaleString()} – ${sameDay ? b.toLocaleTimeString() : b.toLocaleString()}`
+}
+
+// --- EDF+ -------------------------------------------------------------------
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC']
+
+// writeEdf's patient/session arguments plus annotations for what does not fit in 80 characters
+export function sessionToEdf(session = EMPTY_SESSION){
+  const s = session || EMPTY_SESSION
+  // the header field is 80 characters, so only short codes go there
+  const extra = [
+    s.placement ? `Electrodes:${s.placement}` : '',
+    !s.dob && ageOf(s) != null ? `Age:${ageOf(s)}` : ''
+  ].filter(Boolean)
+  return {
+    patient: { code: s.patientId, sex: s.sex, birthdate: s.dob, name: s.name },
+    session: { technician: s.operator, equipment: `ECG Visualizer${s.deviceSerial ? ` S/N ${s.deviceSerial}` : ''}`, additional: extra },
+    annotations: [['Referrer', s.referrer], ['Notes', s.notes]].filter(([, v]) => v).map(([k, v]) => ({ onset: 0, text: `${k}: ${v}` }))
+  }
+}
+
+const unsub = v => !v || v === 'X' ? '' : v.replace(/_/g, ' ')
+
+// EDF+ "code sex birthdate name ..." and "Startdate date admin technician equipment ..." fields
+export function sessionFromEdf(patientField, recordingField, annotations = []){
+  const s = { ...EMPTY_SESSION }
+  const p = String(patientField || '').trim().split(/\s+/)
+  const r = String(recordingField || '').trim().split(/\s+/)
+  if (r[0] !== 'Startdate'){
+    // plain EDF: free text
+    s.name = String(patientField || '').trim()
+  } else {
+    s.patientId = unsub(p[0])
+    s.sex = p[1] === 'F' || p[1] === 'M' ? p[1] : ''
+    const d = (p[2] || '').match(/^(\d{2})-([A-Z]{3})-(\d{4})$/i)
+    if (d && MONTHS.includes(d[2].toUpperCase())) s.dob = `${d[3]}-${String(MONTHS.indexOf(d[2].toUpperCase()) + 1).padStart(2, '0')}-${d[1]}`
+    s.name = unsub(p[3])
+    s.operator = unsub(r[3])
+    const sn = (r[4] || '').match(/S\/N_(.+)$/)
+    if (sn) s.deviceSerial = sn[1].replace(/_/g, ' ')
+    for (const sub of r.slice(5)){
+      const [key, ...rest] = sub.split(':')
+      const value = rest.join(':').replace(/_/g, ' ')
+      if (key === 'Electrodes') s.placement = ELECTRODE_PLACEMENTS.some(e => e.id === value) ? value : 'other'
+      if (key === 'Age') s.age = value
+    }
+  }
+  for (const [key, prefix] of [['referrer', 'Referrer: '], ['notes', 'Notes: ']]){
+    const a = annotations.find(a => String(a.text).startsWith(prefix))
+    if (a) s[key] = a.text.slice(prefix.length)
+  }
+  return s
+}
+
+// --- WFDB -------------------------------------------------------------------
+
+const COMMENT_KEYS = [
+  ['patientId', 'Patient ID'], ['name', 'Patient'], ['dob', 'DOB'], ['age', 'Age'], ['sex', 'Sex'],
+  ['referrer', 'Referrer'], ['operator', 'Operator'], ['placement', 'Electrodes'], ['deviceSerial', 'Device S/N'], ['notes', 'Notes']
+]
+
+// "Key: value" header comment lines, plus the acquisition period
+export function sessionToComments(session, startTime, endTime){
+  const s = session || EMPTY_SESSION
+  const lines = []
+  for (const [key, label] of COMMENT_KEYS){
+    let v = key === 'age' ? ageOf(s, startTime || undefined) : s[key]
+    if (key === 'placement') v = placementLabel(v)
+    if (v != null && String(v).trim()) lines.push(`${label}: ${String(v).replace(/\s*\n\s*/g, ' ')}`)
+  }
+  if (startTime) lines.push(`Acquired: ${new Date(startTime).toISOString()}${endTime ? ` to ${new Date(endTime).toISOString()}` : ''}`)
+  return lines
+}
+
+// Our own "Key: value" comments, or the MIT-BIH "<age> <sex> ..." first comment
+export function sessionFromComments(comments = []){
+  const s = { ...EMPTY_SESSION }
+  for (const c of comments){
+    const m = c.match(/^([A-Za-z/ ]+):\s*(.*)$/)
+    const entry = m && COMMENT_KEYS.find(([, label]) => label === m[1])
+    if (entry){
+      s[entry[0]] = entry[0] === 'placement' ? (ELECTRODE_PLACEMENTS.find(e => e.label === m[2]) || { id: 'other' }).id : m[2]
+    }
+  }
+  const mit = comments.length && comments[0].match(/^(\d{1,3}|\?)\s+([MF?])\b/)
+  if (mit && !s.age && !s.sex){
+    if (mit[1] !== '?') s.age = mit[1]
+    if (mit[2] !== '?') s.sex = mit[2]
+  }
+  return s
+}
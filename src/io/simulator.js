@@ -0,0 +1,276 @@
+// In-browser virtual device. Generates ECG with the McSharry et al. (2003)
+// dynamical model, or the 1 mV calibration square wave from
+// ecg_calibration_squarewave.ino, and emits the same JSON lines as
+// ecg_sender.ino so it runs through the normal parser and pipeline. It also answers
+// the device commands (commands.js) the way the firmware does.
+
+import { VREF } from '../dsp/units'
+import { formatSampleLine } from './parser'
+import { parseCommand, formatAck } from './commands'
+
+export const SIM_MODES = [
+  { id: 'ecg', label: 'Synthetic ECG' },
+  { id: 'calibration', label: '1 mV square wave' }
+]
+
+export const LEAD_OFF_OPTIONS = ['none', 'RA', 'LA', 'LL']
+
+export const DEFAULT_SIM_CONFIG = {
+  mode: 'ecg',
+  heartRate: 72, // bpm
+  hrv: 40, // RR standard deviation, ms
+  noise: 0.01, // white noise, mV rms
+  wander: 0.1, // respiratory baseline wander, mV
+  mainsFreq: 50, // Hz
+  mainsAmp: 0, // mV, 0 = no mains interference
+  leadOff: 'none', // electrode that has come off: 'RA' | 'LA' | 'LL'
+  pvc: false,
+  af: false,
+  pauses: false
+}
+
+// P, Q, R, S, T: angle on the limit cycle (rad), amplitude a, width b (after McSharry
+// table 1, with a narrower P and shallower Q). Each wave peaks at a * b^2 model units.
+const WAVES = {
+  P: { theta: -Math.PI / 3, a: 2.6, b: 0.12 },
+  Q: { theta: -Math.PI / 12, a: -2.0, b: 0.06 },
+  R: { theta: 0, a: 30.0, b: 0.1 },
+  S: { theta: Math.PI / 12, a: -7.5, b: 0.1 },
+  T: { theta: Math.PI / 2, a: 0.75, b: 0.4 }
+}
+// P-QRS and QRS-T run at a rate-adapted fixed speed (intervals scale with sqrt(RR),
+// as Bazett assumes); the rest of each half cycle absorbs the RR variation
+const NEAR_PRE = Math.PI / 2
+const NEAR_POST = 0.8 * Math.PI
+// Frontal-plane direction of each wave's dipole (deg); PVCs conduct abnormally
+const AXIS = { P: 50, QRS: 60, T: 45, PVC: -70 }
+const MV_SCALE = 4 // model units to mV (R ≈ 1.2 mV in Lead II)
+const RAIL_MV = VREF * 1000 // a floating electrode drives the amplifier to the rail
+const RESP_HZ = 0.25
+
+function gaussian(){
+  let u = 0, v = 0
+  while (u === 0) u = Math.random()
+  while (v === 0) v = Math.random()
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+}
+
+function wrap(a){
+  while (a > Math.PI) a -= 2 * Math.PI
+  while (a < -Math.PI) a += 2 * Math.PI
+  return a
+}
+
+// Returns next() -> [lead1, lead2, lead3, avr, avl, avf] in mV, one sample per call.
+// `getConfig` is read every sample so settings can change while running.
+export function createEcgSynthesizer(sampleRate, getConfig){
+  const fs = Math.max(1, sampleRate)
+  const substeps = Math.max(1, Math.ceil(500 / fs)) // integrate at >= 500 Hz
+  const dt = 1 / (fs * substeps)
+  let t = 0
+  let n = 0
+  let theta = -Math.PI
+  // per-wave z state: P, QRS and T integrate separately so each can be projected on its own axis
+  const z = { P: 0, QRS: 0, T: 0 }
+  // the beat whose R-peak has passed and the one the cycle is heading towards
+  let fired = { type: 'normal', rr: 60 / 72 }
+  let upcoming = { type: 'normal', rr: 60 / 72 }
+  let compensate = 0
+  let afPhase = Math.random() * 2 * Math.PI
+
+  const meanRR = cfg => 60 / Math.max(20, Math.min(250, cfg.heartRate))
+  const current = () => theta < 0 ? upcoming : fired
+
+  function plannedRR(cfg){
+    const mean = meanRR(cfg)
+    if (cfg.af) return mean * (0.6 + 0.8 * Math.random())
+    const rsa = 0.5 * (cfg.hrv / 1000) * Math.sin(2 * Math.PI * RESP_HZ * t)
+    return Math.max(0.25, mean + (cfg.hrv / 1000) * gaussian() * 0.7 + rsa)
+  }
+
+  // at each R-peak: choose the next beat's type and the RR interval until it
+  function nextBeat(cfg){
+    const mean = meanRR(cfg)
+    let rr = plannedRR(cfg)
+    let type = 'normal'
+    if (compensate){ rr = Math.max(rr, compensate); compensate = 0 }
+    else if (cfg.pvc && Math.random() < 0.12){ type = 'pvc'; rr = 0.6 * mean; compensate = 2 * mean - rr }
+    else if (cfg.pauses && !cfg.af && Math.random() < 0.05) rr = 2.2 * mean + Math.random() * mean
+    return { type, rr }
+  }
+
+  function omegaAt(cfg){
+    const near = 2 * Math.PI / Math.sqrt(meanRR(cfg)) // 2*pi rad/s at 60 bpm
+    const far = upcoming.rr - (NEAR_PRE + NEAR_POST) / near
+    // too fast to fit: compress the whole cycle
+    if (far < 0.04) return 2 * Math.PI / upcoming.rr
+    const inNear = theta >= -NEAR_PRE && theta < NEAR_POST
+    return inNear ? near : (2 * Math.PI - NEAR_PRE - NEAR_POST) / far
+  }
+
+  function step(cfg){
+    const omega = omegaAt(cfg)
+    const prev = theta
+    theta += omega * dt
+    if (theta >= Math.PI) theta -= 2 * Math.PI
+    if (prev < 0 && theta >= 0){ fired = upcoming; upcoming = nextBeat(cfg) }
+
+    const pvc = current().type === 'pvc'
+    const dz = { P: 0, QRS: 0, T: 0 }
+    for (const [name, w] of Object.entries(WAVES)){
+      if (name === 'P' && (pvc || cfg.af)) continue
+      let { a, b } = w
+      if (pvc && name !== 'T'){ b *= 2.5; a /= 2.5 * 2.5 / 1.4 } // wide, slightly taller QRS
+      if (pvc && name === 'T') a = -1.4 * a // discordant T-wave
+      const d = wrap(theta - w.theta)
+      const group = name === 'P' ? 'P' : name === 'T' ? 'T' : 'QRS'
+      dz[group] += -a * omega * d * Math.exp(-d * d / (2 * b * b))
+    }
+    // McSharry's decay term, weakened so waves don't leave a visible undershoot
+    for (const g of Object.keys(z)) z[g] += (dz[g] - 0.05 * z[g]) * dt
+  }
+
+  function project(angle, leadAngle){ return Math.cos((angle - leadAngle) * Math.PI / 180) }
+
+  function next(){
+    const cfg = getConfig()
+    n += 1
+    t = n / fs
+    if (cfg.mode === 'calibration'){
+      // same as ecg_calibration_squarewave.ino: Lead II toggles 0 / 1 mV every fs/4 samples
+      const high = (Math.floor(n / Math.max(1, Math.floor(fs / 4))) % 2) === 0
+      return [0, high ? 1 : 0, 0, 0, 0, 0]
+    }
+    for (let k = 0; k < substeps; k++) step(cfg)
+
+    const qrsAxis = current().type === 'pvc' ? AXIS.PVC : AXIS.QRS
+    const lead = leadAngle => MV_SCALE * (
+      z.P * project(AXIS.P, leadAngle) + z.QRS * project(qrsAxis, leadAngle) + z.T * project(AXIS.T, leadAngle))
+    let I = lead(0)
+    let II = lead(60)
+
+    if (cfg.af){
+      // fibrillatory waves, ~6 Hz with wandering phase
+      afPhase += 2 * Math.PI * (6 + 0.8 * Math.sin(t * 0.7)) / fs
+      const f = 0.015 * Math.sin(afPhase) + 0.008 * Math.sin(2.3 * afPhase)
+      I += 0.5 * f
+      II += f
+    }
+    const wander = cfg.wander * Math.sin(2 * Math.PI * RESP_HZ * t) + 0.3 * cfg.wander * Math.sin(2 * Math.PI * 0.05 * t)
+    const mains = cfg.mainsFreq && cfg.mainsAmp ? cfg.mainsAmp * Math.sin(2 * Math.PI * cfg.mainsFreq * t) : 0
+    I += 0.6 * wander + 0.7 * mains + cfg.noise * gaussian()
+    II += wander + mains + cfg.noise * gaussian()
+
+    // electrode potentials (RA reference) so a lead-off affects every lead it feeds
+    const pot = { RA: 0, LA: I, LL: II }
+    if (cfg.leadOff && cfg.leadOff !== 'none') pot[cfg.leadOff] = RAIL_MV
+    const { RA: ra, LA: la, LL: ll } = pot
+    return [la - ra, ll - ra, ll - la, ra - (la + ll)/2, la - (ra + ll)/2, ll - (ra + la)/2]
+  }
+
+  return { next }
+}
+
+// The virtual device calibrates for this long after a CALIBRATE command
+const SIM_CALIBRATION_MS = 2000
+
+// Transport that streams the synthesizer in real time
+export function createSimulatorTransport({ getSampleRate = () => 125, getConfig = () => DEFAULT_SIM_CONFIG } = {}){
+  let synth = null
+  let rate = 0
+  let emitted = 0
+  let startTime = 0
+  let closed = false
+  let streaming = true
+  let calibration = 'done'
+  let calibrationTimer = null
+  // metadata and command replies waiting to be read, sent ahead of samples
+  let replies = []
+
+  async function open(){
+    rate = getSampleRate()
+    synth = createEcgSynthesizer(rate, getConfig)
+    emitted = 0
+    startTime = performance.now()
+  }
+
+  const meta = (sampleRate = getSampleRate()) => JSON.stringify({ type: 'meta', sampleRate, units: 'mv', calibration, mode: 'sim', streaming }) + '\n'
+
+  // announce like the firmware does, so the calibration state clears immediately
+  replies.push(meta())
+
+  function command(line){
+    const cmd = parseCommand(line)
+    if (!cmd) return
+    const ack = (ok = true, error = null) => replies.push(formatAck(cmd.id, ok, error))
+    switch (cmd.verb){
+      case 'INFO':
+        replies.push(meta())
+        ack()
+        break
+      case 'STREAM':
+        if (cmd.arg !== 'ON' && cmd.arg !== 'OFF'){ ack(false, 'expected ON or OFF'); break }
+        streaming = cmd.arg === 'ON'
+        // restart the clock so a resumed stream does not catch up on the paused time
+        if (streaming) open()
+        ack()
+        break
+      case 'CALIBRATE':
+        ack()
+        calibration = 'running'
+        replies.push(meta())
+        clearTimeout(calibrationTimer)
+        calibrationTimer = setTimeout(() => { calibration = 'done'; replies.push(meta()) }, SIM_CALIBRATION_MS)
+        break
+      case 'MODE':
+        if (cmd.arg === 'SIM') ack()
+        else ack(false, 'no analog front-end on the virtual device')
+        break
+      case 'RATE': {
+        const hz = Number(cmd.arg)
+        if (!Number.isInteger(hz) || hz < 20 || hz > 1000){ ack(false, 'rate must be 20-1000 Hz'); break }
+        // the app follows the new rate from the metadata; the stream picks it up from there
+        replies.push(meta(hz))
+        ack()
+        break
+      }
+      default:
+        ack(false, `unknown command ${cmd.verb}`)
+    }
+  }
+
+  async function write(text){
+    if (closed) throw new Error('Virtual device is disconnected')
+    String(text).split('\n').forEach(command)
+  }
+
+  async function read(){
+    while (!closed){
+      if (replies.length){
+        const value = replies.join('')
+        replies = []
+        return { value, done: false }
+      }
+      if (getSampleRate() !== rate){
+        // follows the app's sample rate setting, and reports it like a RATE change
+        await open()
+        replies.push(meta())
+      }
+      const due = Math.floor((performance.now() - startTime) / 1000 * rate)
+      if (streaming && due > emitted){
+        // never burst more than one second (e.g. after a background tab wakes up)
+        const count = Math.min(due - emitted, rate)
+        const lines = []
+        for (let i = 0; i < count; i++) lines.push(formatSampleLine(synth.next()))
+        emitted = due
+        return { value: lines.join('\n') + '\n', done: false }
+      }
+      await new Promise(r => setTimeout(r, 10))
+    }
+    return { value: undefined, done: true }
+  }
+
+  async function close(){ closed = true; clearTimeout(calibrationTimer) }
+
+  return { kind: 'simulator', open, read, write, close, describe: () => 'Virtual device', inputUnits: () => 'mv' }
+}
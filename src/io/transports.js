@@ -0,0 +1,213 @@
+// Input transports. Each one delivers chunks through the same interface so the
+// stream decoder and sample pipeline do not care where data comes from:
+//   open()  -> Promise, throws with a user-facing message on failure
+//   read()  -> Promise<{ value: string | Uint8Array, done: boolean }>
+//              (device links pass bytes through, since they may carry binary frames)
+//   close() -> Promise
+//   describe() -> short label for the status bar
+// Sources that know their own format may also offer sampleRate() and inputUnits();
+// links that can talk back to the device offer write(text) for the command channel.
+
+import { parseLine, formatSampleLine } from './parser'
+import { isEdfHeader, parseEdf, edfToLeads } from './edf'
+import { readWfdbFiles } from './wfdb'
+import { LEAD_KEYS } from './leads'
+import { createSimulatorTransport } from './simulator'
+
+export const TRANSPORTS = [
+  { id: 'serial', label: 'Web Serial' },
+  { id: 'websocket', label: 'WebSocket' },
+  { id: 'file', label: 'Recording file' },
+  { id: 'simulator', label: 'Virtual device' }
+]
+
+export const BAUD_RATES = [9600, 57600, 115200, 230400, 460800, 921600]
+export const DEFAULT_WEBSOCKET_URL = 'ws://localhost:8080'
+
+export function createSerialTransport({ baudRate = 115200 } = {}){
+  let port = null
+  let reader = null
+  let writer = null
+  const encoder = new TextEncoder()
+
+  async function open(){
+    if (!('serial' in navigator)) throw new Error('Web Serial API not available in this browser. Use Chrome or Edge.')
+    // Helpful diagnostic: list already-authorized ports
+    if (navigator.serial.getPorts) {
+      try { const existing = await navigator.serial.getPorts(); console.debug('Previously authorized serial ports:', existing.length) } catch(e){ console.debug('getPorts failed', e) }
+    }
+    port = await navigator.serial.requestPort()
+    await port.open({ baudRate })
+    reader = port.readable.getReader()
+    if (port.writable) writer = port.writable.getWriter()
+  }
+
+  function read(){
+    if (!reader) return Promise.resolve({ value: undefined, done: true })
+    return reader.read()
+  }
+
+  async function close(){
+    try {
+      if (reader) { await reader.cancel(); reader.releaseLock(); reader = null }
+      if (writer) { writer.releaseLock(); writer = null }
+      if (port) { await port.close(); port = null }
+    } catch(e){ console.warn(e) }
+  }
+
+  async function write(text){
+    if (!writer) throw new Error('Serial port is not open')
+    await writer.write(encoder.encode(text))
+  }
+
+  return { kind: 'serial', open, read, write, close, describe: () => `Serial @ ${baudRate} baud` }
+}
+
+export function createWebSocketTransport({ url = DEFAULT_WEBSOCKET_URL } = {}){
+  let socket = null
+  const queue = []
+  let waiting = null
+  let closed = false
+
+  function deliver(item){
+    if (waiting) { const w = waiting; waiting = null; w(item) }
+    else queue.push(item)
+  }
+
+  function open(){
+    return new Promise((resolve, reject) => {
+      try { socket = new WebSocket(url) } catch { reject(new Error(`Invalid WebSocket URL: ${url}`)); return }
+      socket.binaryType = 'arraybuffer'
+      socket.onopen = () => resolve()
+      socket.onerror = () => reject(new Error(`Could not connect to ${url}`))
+      socket.onmessage = ev => {
+        if (typeof ev.data !== 'string'){ deliver({ value: new Uint8Array(ev.data), done: false }); return }
+        // bridges often send one sample per message without a trailing newline
+        deliver({ value: ev.data.endsWith('\n') ? ev.data : ev.data + '\n', done: false })
+      }
+      socket.onclose = () => { closed = true; deliver({ value: undefined, done: true }) }
+    })
+  }
+
+  function read(){
+    if (queue.length) return Promise.resolve(queue.shift())
+    if (closed) return Promise.resolve({ value: undefined, done: true })
+    return new Promise(resolve => { waiting = resolve })
+  }
+
+  async function close(){
+    closed = true
+    if (socket) { socket.close(); socket = null }
+    deliver({ value: undefined, done: true })
+  }
+
+  // bridges forward these lines to the device's serial port
+  async function write(text){
+    if (!socket || socket.readyState !== WebSocket.OPEN) throw new Error('WebSocket is not open')
+    socket.send(text)
+  }
+
+  return { kind: 'websocket', open, read, write, close, describe: () => `WebSocket ${url}` }
+}
+
+export const PLAYBACK_SPEEDS = [0.5, 1, 1.5, 2, 3, 4]
+
+// Plays back a recorded log (JSON lines, 6- or 2-value CSV), an EDF/EDF+ file or a
+// WFDB record (.hea selected with its .dat/.atr files) at the current sample rate
+// times the playback speed. Only sample lines are kept, so positions are in samples
+// and seek/duration are exact. Extra controls: play, pause, seek, setSpeed, setLoop,
+// position, duration, and recording() for EDF/WFDB contents.
+export function createFileTransport({ files = [], getSampleRate = () => 125 } = {}){
+  const file = files.find(f => /\.hea$/i.test(f.name)) || files[0]
+  let lines = []
+  let pos = 0 // next line to emit
+  let cursor = 0 // fractional line position the clock has reached
+  let last = 0
+  let playing = true
+  let speed = 1
+  let loop = false
+  let closed = false
+  let recording = null // EDF/WFDB contents, mapped onto the six leads
+
+  async function open(){
+    if (!file) throw new Error('Choose a recording file first.')
+    if (/\.hea$/i.test(file.name)) recording = await readWfdbFiles(files, getSampleRate())
+    else if (isEdfHeader(new Uint8Array(await file.slice(0, 8).arrayBuffer()))) recording = edfToLeads(parseEdf(await file.arrayBuffer()))
+    if (recording){
+      const { leads } = recording
+      lines = leads.I.map((_, i) => formatSampleLine(LEAD_KEYS.map(k => leads[k][i]), 4))
+    } else {
+      const text = await file.text()
+      lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => {
+        const parsed = l && parseLine(l)
+        return parsed && parsed.type === 'sample'
+      })
+    }
+    if (!lines.length) throw new Error(`No ECG samples found in ${file.name}. Expected EDF, WFDB, JSON lines or 6-/2-value CSV.`)
+    pos = 0
+    cursor = 0
+    last = performance.now()
+  }
+
+  function advance(){
+    const now = performance.now()
+    if (playing) cursor += (now - last) / 1000 * getSampleRate() * speed
+    last = now
+  }
+
+  async function read(){
+    while (!closed){
+      advance()
+      const due = Math.min(lines.length, Math.floor(cursor))
+      if (due > pos){
+        const chunk = lines.slice(pos, due).join('\n') + '\n'
+        pos = due
+        return { value: chunk, done: false }
+      }
+      if (pos >= lines.length){
+        if (!loop) break
+        pos = 0
+        cursor = 0
+        continue
+      }
+      await new Promise(r => setTimeout(r, 20))
+    }
+    return { value: undefined, done: true }
+  }
+
+  async function close(){ closed = true }
+
+  function seek(seconds){
+    const target = Math.max(0, Math.min(lines.length, Math.round(seconds * getSampleRate())))
+    pos = target
+    cursor = target
+    last = performance.now()
+  }
+
+  return {
+    kind: 'file',
+    open,
+    read,
+    close,
+    describe: () => `File ${file ? file.name : ''}`,
+    // EDF files carry their own rate, WFDB records are resampled to the display rate; both in mV
+    sampleRate: () => recording ? recording.sampleRate : null,
+    inputUnits: () => recording ? 'mv' : null,
+    recording: () => recording,
+    play(){ advance(); playing = true },
+    pause(){ advance(); playing = false },
+    seek,
+    setSpeed(v){ advance(); speed = v },
+    setLoop(v){ loop = v },
+    isPlaying: () => playing,
+    position: () => pos / getSampleRate(),
+    duration: () => lines.length / getSampleRate()
+  }
+}
+
+export function createTransport(kind, options){
+  if (kind === 'websocket') return createWebSocketTransport(options)
+  if (kind === 'file') return createFileTransport(options)
+  if (kind === 'simulator') return createSimulatorTransport(options)
+  return createSerialTransport(options)
+}
@@ -0,0 +1,257 @@
+// PhysioNet WFDB records (https://physionet.org/physiotools/wag/): a text
+// header (.hea), signal files in format 16 or 212 (.dat) and MIT-format
+// annotation files (.atr, .qrs, ...). Import reads single-segment records;
+// export writes format 16 plus an annotation file of detected beats.
+
+import { mapSignalsToLeads } from './leads'
+import { resample } from '../dsp/resample'
+import { sessionFromComments } from './session'
+
+// MIT annotation codes (ecgcodes.h), index = code
+const SYMBOLS = ['', 'N', 'L', 'R', 'a', 'V', 'F', 'J', 'A', 'S', 'E', 'j', '/', 'Q', '~', '', '|', '', 's', 'T', '*',
+  'D', '"', '=', 'p', 'B', '^', 't', '+', 'u', '?', '!', '[', ']', 'e', 'n', '@', 'x', 'f', '(', ')', 'r']
+const BEAT_SYMBOLS = new Set(['N', 'L', 'R', 'B', 'a', 'J', 'A', 'S', 'V', 'r', 'F', 'e', 'j', 'n', 'E', '/', 'f', 'Q'])
+const SKIP = 59, NUM = 60, SUB = 61, CHN = 62, AUX = 63
+const DEFAULT_GAIN = 200 // adu per physical unit when the header leaves it 0 or out
+const UNIT_TO_MV = { mv: 1, uv: 0.001, 'µv': 0.001, v: 1000 }
+const EXPORT_GAIN = 1000 // adu/mV: 1 µV resolution, ±32 mV range
+
+// annotation files looked for next to a record, reference annotations first
+const ANNOTATORS = ['atr', 'qrs', 'ari', 'ecg', 'pu', 'pu0', 'pu1']
+
+export function isBeatSymbol(symbol){ return BEAT_SYMBOLS.has(symbol) }
+
+// Header text -> { name, nsig, sampleRate, nsamp, startTime, signals: [...], comments }
+export function parseWfdbHeader(text){
+  const comments = []
+  const lines = []
+  for (const raw of text.split(/\r?\n/)){
+    const line = raw.trim()
+    if (!line) continue
+    if (line[0] === '#'){ comments.push(line.slice(1).trim()); continue }
+    lines.push(line)
+  }
+  if (!lines.length) throw new Error('Empty WFDB header.')
+  const [nameField, nsigField, fsField, nsampField, baseTime, baseDate] = lines[0].split(/\s+/)
+  if (nameField.includes('/')) throw new Error('Multi-segment WFDB records are not supported.')
+  const nsig = parseInt(nsigField)
+  if (!(nsig >= 0)) throw new Error('Corrupt WFDB header: bad signal count.')
+  const sampleRate = parseFloat(fsField) || 250
+
+  const signals = lines.slice(1, 1 + nsig).map(line => {
+    const f = line.split(/\s+/)
+    // format[xspf][:skew][+offset]
+    const fm = (f[1] || '').match(/^(\d+)(?:x(\d+))?(?::(\d+))?(?:\+(\d+))?$/)
+    if (!fm) throw new Error(`Corrupt WFDB header: bad format "${f[1]}".`)
+    if (fm[2] && fm[2] !== '1') throw new Error('WFDB signals with several samples per frame are not supported.')
+    // gain[(baseline)][/units]
+    const gm = (f[2] || '').match(/^([\d.eE+-]+)?(?:\(([-\d]+)\))?(?:\/(\S+))?$/)
+    const adcZero = f[4] !== undefined ? parseInt(f[4]) : 0
+    const gain = gm && parseFloat(gm[1]) ? parseFloat(gm[1]) : DEFAULT_GAIN
+    return {
+      file: f[0],
+      format: parseInt(fm[1]),
+      byteOffset: fm[4] ? parseInt(fm[4]) : 0,
+      gain,
+      baseline: gm && gm[2] !== undefined ? parseInt(gm[2]) : adcZero,
+      units: (gm && gm[3]) || 'mV',
+      adcZero,
+      description: f.slice(8).join(' ')
+    }
+  })
+
+  let startTime = null
+  const tm = baseTime && baseTime.match(/^(\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?$/)
+  const dm = baseDate && baseDate.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/)
+  if (tm && dm) startTime = new Date(+dm[3], dm[2] - 1, +dm[1], +tm[1], +tm[2], Math.floor(+(tm[3] || 0)))
+  return { name: nameField, nsig, sampleRate, nsamp: parseInt(nsampField) || 0, startTime, signals, comments }
+}
+
+// Decodes the signal files of a record. files: { [fileName]: ArrayBuffer }.
+// Returns [{ label, samples (mV), sampleRate }] in header order.
+export function readWfdbSignals(header, files){
+  const out = header.signals.map(s => ({ label: s.description || `signal ${s.file}`, samples: null, sampleRate: header.sampleRate }))
+  // signals sharing a file are interleaved frame by frame
+  const groups = new Map()
+  header.signals.forEach((s, i) => {
+    if (!groups.has(s.file)) groups.set(s.file, [])
+    groups.get(s.file).push(i)
+  })
+  for (const [file, members] of groups){
+    const buffer = files[file]
+    if (!buffer) throw new Error(`Missing WFDB signal file ${file}. Select it together with ${header.name}.hea.`)
+    const { format, byteOffset } = header.signals[members[0]]
+    if (members.some(i => header.signals[i].format !== format)) throw new Error(`Mixed formats in ${file} are not supported.`)
+    const bytes = new Uint8Array(buffer, byteOffset)
+    const m = members.length
+    let values
+    if (format === 16){
+      const view = new DataView(buffer, byteOffset)
+      values = new Int16Array(Math.floor(bytes.length / 2))
+      for (let i = 0; i < values.length; i++) values[i] = view.getInt16(2 * i, true)
+    } else if (format === 212){
+      // two 12-bit samples in three bytes; the middle byte holds both high nibbles
+      values = new Int16Array(Math.floor(bytes.length / 3) * 2)
+      for (let i = 0, j = 0; j + 2 < bytes.length; j += 3){
+        let a = bytes[j] | ((bytes[j + 1] & 0x0f) << 8)
+        let b = bytes[j + 2] | ((bytes[j + 1] & 0xf0) << 4)
+        if (a > 2047) a -= 4096
+        if (b > 2047) b -= 4096
+        values[i++] = a
+        values[i++] = b
+      }
+    } else {
+      throw new Error(`WFDB format ${format} is not supported (16 and 212 are).`)
+    }
+    const invalid = format === 212 ? -2048 : -32768
+    let frames = Math.floor(values.length / m)
+    if (header.nsamp) frames = Math.min(frames, header.nsamp)
+    members.forEach((sigIdx, k) => {
+      const s = header.signals[sigIdx]
+      const toMv = (UNIT_TO_MV[s.units.toLowerCase()] ?? 1) / s.gain
+      const samples = new Array(frames)
+      let last = 0
+      for (let t = 0; t < frames; t++){
+        const v = values[t * m + k]
+        // invalid samples (lead off, gaps) hold the previous value
+        if (v !== invalid) last = (v - s.baseline) * toMv
+        samples[t] = last
+      }
+      out[sigIdx].samples = samples
+    })
+  }
+  return out
+}
+
+// MIT-format annotation file -> [{ sample, symbol, aux, chan }]
+export function parseWfdbAnnotations(buffer){
+  const view = new DataView(buffer)
+  const out = []
+  let time = 0, chan = 0, pos = 0
+  let last = null
+  while (pos + 1 < buffer.byteLength){
+    const word = view.getUint16(pos, true)
+    pos += 2
+    const code = word >> 10
+    const value = word & 0x3ff
+    if (code === 0 && value === 0) break
+    if (code === SKIP){
+      // 32-bit interval, high word first
+      if (pos + 3 >= buffer.byteLength) break
+      time += (view.getInt16(pos, true) * 65536) + view.getUint16(pos + 2, true)
+      pos += 4
+    } else if (code === AUX){
+      const text = new TextDecoder().decode(new Uint8Array(buffer, pos, Math.min(value, buffer.byteLength - pos)))
+      if (last) last.aux = text.replace(/\0+$/, '')
+      pos += value + (value & 1)
+    } else if (code === CHN){
+      chan = value
+      if (last) last.chan = chan
+    } else if (code === NUM || code === SUB){
+      // annotation number and subtype are not used
+    } else if (code > 0 && code < SKIP){
+      time += value
+      last = { sample: time, symbol: SYMBOLS[code] || '', aux: '', chan }
+      out.push(last)
+    }
+  }
+  return out
+}
+
+// Six-lead view of a record resampled to `targetRate`, in the shape shared by all
+// importers: { sampleRate, leads: { I..aVF }, beats (s), annotations, prefiltering, startTime, session }
+export function wfdbToLeads(header, signals, annotations, targetRate){
+  const mapped = mapSignalsToLeads(signals)
+  const rate = targetRate || mapped.sampleRate
+  const leads = {}
+  for (const k of Object.keys(mapped.leads)) leads[k] = resample(mapped.leads[k], mapped.sampleRate, rate)
+  const fs = header.sampleRate
+  return {
+    sampleRate: rate,
+    leads,
+    beats: (annotations || []).filter(a => isBeatSymbol(a.symbol)).map(a => a.sample / fs),
+    annotations: (annotations || []).filter(a => !isBeatSymbol(a.symbol) && (a.aux || a.symbol))
+      .map(a => ({ onset: a.sample / fs, duration: 0, text: a.aux ? `${a.symbol}${a.aux}` : a.symbol })),
+    prefiltering: '',
+    startTime: header.startTime,
+    session: sessionFromComments(header.comments)
+  }
+}
+
+// Reads a record from user-selected File objects: the .hea, the signal files it
+// names and the first annotation file found for it (.atr preferred)
+export async function readWfdbFiles(files, targetRate){
+  const hea = files.find(f => /\.hea$/i.test(f.name))
+  if (!hea) throw new Error('Select the record\'s .hea header together with its .dat file(s).')
+  const header = parseWfdbHeader(await hea.text())
+  const byName = new Map(files.map(f => [f.name, f]))
+  const buffers = {}
+  for (const s of header.signals){
+    if (!buffers[s.file] && byName.has(s.file)) buffers[s.file] = await byName.get(s.file).arrayBuffer()
+  }
+  const signals = readWfdbSignals(header, buffers)
+  const annFile = ANNOTATORS.map(ext => byName.get(`${header.name}.${ext}`)).find(Boolean)
+  const annotations = annFile ? parseWfdbAnnotations(await annFile.arrayBuffer()) : []
+  return wfdbToLeads(header, signals, annotations, targetRate)
+}
+
+function checksum16(values){
+  let sum = 0
+  for (const v of values) sum = (sum + v) & 0xffff
+  return sum > 32767 ? sum - 65536 : sum
+}
+
+// recording: { name, sampleRate, startTime, signals: [{ label, samples (mV) }], beats: [sample], comments }
+// Returns { header (text), dat (ArrayBuffer), atr (ArrayBuffer | null) } for <name>.hea/.dat/.atr.
+export function writeWfdb(recording){
+  const { sampleRate, signals } = recording
+  const name = (recording.name || 'ecg').replace(/[^A-Za-z0-9_]/g, '_')
+  if (!signals || !signals.length) throw new Error('Nothing to export: the recording has no signals.')
+  const frames = Math.max(...signals.map(s => s.samples.length))
+  const m = signals.length
+  const dat = new ArrayBuffer(frames * m * 2)
+  const view = new DataView(dat)
+  const adc = signals.map(s => {
+    const out = new Int16Array(frames)
+    for (let t = 0; t < frames; t++){
+      const v = Math.round((s.samples[Math.min(t, s.samples.length - 1)] || 0) * EXPORT_GAIN)
+      // -32768 means "invalid sample" in format 16
+      out[t] = Math.max(-32767, Math.min(32767, v))
+    }
+    return out
+  })
+  for (let t = 0; t < frames; t++) for (let k = 0; k < m; k++) view.setInt16((t * m + k) * 2, adc[k][t], true)
+
+  const two = v => String(v).padStart(2, '0')
+  const st = recording.startTime ? new Date(recording.startTime) : null
+  const when = st && !isNaN(st)
+    ? ` ${two(st.getHours())}:${two(st.getMinutes())}:${two(st.getSeconds())} ${two(st.getDate())}/${two(st.getMonth() + 1)}/${st.getFullYear()}`
+    : ''
+  const lines = [`${name} ${m} ${sampleRate} ${frames}${when}`]
+  signals.forEach((s, k) => {
+    lines.push(`${name}.dat 16 ${EXPORT_GAIN}(0)/mV 16 0 ${adc[k][0] || 0} ${checksum16(adc[k])} 0 ${s.label}`)
+  })
+  for (const c of recording.comments || []) lines.push(`# ${c}`)
+
+  let atr = null
+  const beats = (recording.beats || []).filter(b => b >= 0).sort((a, b) => a - b)
+  if (beats.length){
+    // every beat is written as 'N', as WFDB's own detectors (gqrs, wqrs) do
+    const words = []
+    let prev = 0
+    for (const b of beats){
+      const interval = b - prev
+      if (interval > 1023){
+        words.push(SKIP << 10, (interval >> 16) & 0xffff, interval & 0xffff, 1 << 10)
+      } else {
+        words.push((1 << 10) | interval)
+      }
+      prev = b
+    }
+    words.push(0)
+    atr = new ArrayBuffer(words.length * 2)
+    const av = new DataView(atr)
+    words.forEach((w, i) => av.setUint16(i * 2, w, true))
+  }
+  return { name, header: lines.join('\n') + '\n', dat, atr }
+}
@@ -0,0 +1,122 @@
+// Live view engine. Where the browser can hand a canvas to a worker, the pipeline and
+// renderer run in the live worker; otherwise both run here on the main thread behind
+// the same interface. The canvas is created inside `container` because a canvas can
+// transfer its drawing surface only once, and React may mount twice.
+//   configure(changes)  pipeline and display settings (pipeline.js)
+//   push(chunk)         a transport chunk; bytes are transferred to the worker
+//   reset(changes)      new connection
+//   freeze()            Promise<{ sampleCount }>, where the frozen view ends
+//   unfreeze()
+//   stats()             stream decoder counters, as of the last items
+//   snapshot()          Promise<Blob>, the canvas as PNG
+//   destroy()
+// onItems(items) receives what pipeline.push() returns, asynchronously from the worker.
+
+import { createLivePipeline, DEFAULT_LIVE_SETTINGS } from './pipeline'
+import { createLiveRenderer, LIVE_ROW_HEIGHT } from './renderer'
+import { normalizeLayout } from '../report/layout'
+
+const canUseWorker = () => typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+  typeof HTMLCanvasElement !== 'undefined' && 'transferControlToOffscreen' in HTMLCanvasElement.prototype
+
+// the canvas stretches to the card's width; its height follows the layout's rows
+function fitCanvas(canvas, layout){
+  const l = normalizeLayout(layout)
+  canvas.style.height = `${(l.rows + (l.rhythmLead ? 1 : 0)) * LIVE_ROW_HEIGHT}px`
+}
+
+function createCanvas(container, layout){
+  const canvas = document.createElement('canvas')
+  canvas.style.width = '100%'
+  canvas.style.display = 'block'
+  fitCanvas(canvas, layout)
+  container.appendChild(canvas)
+  return canvas
+}
+
+function workerEngine(canvas, settings, onItems){
+  const worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' })
+  const offscreen = canvas.transferControlToOffscreen()
+  let stats = null
+  let nextId = 1
+  const requests = new Map() // freeze and snapshot replies, by id
+
+  function request(type){
+    return new Promise((resolve, reject) => {
+      const id = nextId++
+      requests.set(id, { resolve, reject })
+      worker.postMessage({ type, id })
+    })
+  }
+
+  worker.onmessage = ev => {
+    const msg = ev.data
+    if (msg.type === 'items'){ stats = msg.stats; onItems(msg.items); return }
+    if (msg.type === 'snapshot' || msg.type === 'frozen'){
+      const pending = requests.get(msg.id)
+      requests.delete(msg.id)
+      if (!pending) return
+      if (msg.error) pending.reject(new Error(msg.error))
+      else pending.resolve(msg.type === 'frozen' ? msg.frozen : msg.blob)
+    }
+  }
+  worker.onerror = ev => console.error('Live worker failed', ev.message || ev)
+  worker.postMessage({ type: 'init', canvas: offscreen, settings }, [offscreen])
+
+  return {
+    configure: changes => worker.postMessage({ type: 'configure', changes }),
+    push: chunk => worker.postMessage({ type: 'chunk', chunk }, chunk instanceof Uint8Array ? [chunk.buffer] : []),
+    reset: (changes = {}) => { stats = null; worker.postMessage({ type: 'reset', changes }) },
+    freeze: () => request('freeze'),
+    unfreeze: () => worker.postMessage({ type: 'unfreeze' }),
+    stats: () => stats,
+    snapshot: () => request('snapshot'),
+    destroy(){
+      worker.terminate()
+      for (const pending of requests.values()) pending.reject(new Error('Live view closed'))
+      requests.clear()
+    }
+  }
+}
+
+function localEngine(canvas, settings, onItems){
+  const pipeline = createLivePipeline(settings)
+  const renderer = createLiveRenderer(canvas)
+  let raf = requestAnimationFrame(function tick(){ renderer.draw(pipeline.view()); raf = requestAnimationFrame(tick) })
+
+  return {
+    configure: changes => pipeline.configure(changes),
+    push(chunk){
+      const items = pipeline.push(chunk)
+      if (items.length) onItems(items)
+    },
+    reset: (changes = {}) => pipeline.reset(changes),
+    freeze: () => Promise.resolve(pipeline.freeze()),
+    unfreeze: () => pipeline.unfreeze(),
+    stats: () => pipeline.stats(),
+    snapshot: () => new Promise((resolve, reject) => {
+      canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the image')), 'image/png')
+    }),
+    destroy(){ cancelAnimationFrame(raf) }
+  }
+}
+
+export function createLiveEngine({ container, settings = {}, onItems = () => {} }){
+  const canvas = createCanvas(container, settings.layout || DEFAULT_LIVE_SETTINGS.layout)
+  let engine = null
+  if (canUseWorker()){
+    try { engine = workerEngine(canvas, settings, onItems) } catch (e){ console.warn('Live worker unavailable, drawing on the main thread', e) }
+  }
+  if (!engine) engine = localEngine(canvas, settings, onItems)
+  return {
+    ...engine,
+    configure(changes){
+      if (changes.layout) fitCanvas(canvas, changes.layout)
+      engine.configure(changes)
+    },
+    destroy(){
+      engine.destroy()
+      canvas.remove()
+    }
+  }
+}
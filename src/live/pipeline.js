@@ -0,0 +1,196 @@
+// Live ingestion: stream decoding, units, filtering, R-peak detection, signal quality
+// and the display ring buffers. It holds no DOM or React state so the live worker can
+// run it off the main thread (engine.js runs it in place where workers cannot draw).
+
+import { createStreamDecoder } from '../io/frames'
+import { valueToMv, inputRailsMv } from '../dsp/units'
+import { createFilterChain, DEFAULT_FILTER_SETTINGS } from '../dsp/filters'
+import { createQrsDetector } from '../dsp/qrsDetector'
+import { createQualityMonitor } from '../dsp/quality'
+import { DEFAULT_LAYOUT, normalizeLayout } from '../report/layout'
+import { DEFAULT_SCALE } from '../report/scale'
+
+export const LIVE_LEAD_COUNT = 6
+
+export const DEFAULT_LIVE_SETTINGS = {
+  sampleRate: 125,
+  secondsWindow: 5, // display window
+  inputUnits: 'mv', // 'mv' | 'adc'
+  adc: null, // { bits, vref } declared by the device
+  filterOn: true,
+  filterSettings: DEFAULT_FILTER_SETTINGS,
+  calibrating: false, // samples are dropped while the device calibrates
+  pixelsPerMm: 3, // display only
+  gain: 1, // display only
+  displayMode: 'scroll', // display only: 'scroll' | 'sweep' (renderer.js)
+  layout: DEFAULT_LAYOUT, // display only: leads and rhythm strip (report/layout.js)
+  scale: DEFAULT_SCALE // display only: paper speed and amplitudes (report/scale.js)
+}
+
+const sameSettings = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+// Ring buffer length: the display window, or as many windows as the layout has columns
+// when its rhythm strip runs across all of them
+export function liveBufferLength(settings){
+  const layout = normalizeLayout(settings.layout)
+  return Math.max(1, Math.floor(settings.sampleRate * settings.secondsWindow)) * (layout.rhythmLead ? layout.cols : 1)
+}
+
+// push(chunk) takes transport chunks (text or bytes) and returns, in stream order:
+//   { type: 'meta', meta } / { type: 'ack', … } / { type: 'calibration', state }, as parsed
+//   { type: 'units', units: 'mv' }  samples arrived in mV whatever inputUnits said
+//   { type: 'samples', first, count, raw, values, beats }  raw values as received and processed
+//     values (mV), count × LIVE_LEAD_COUNT interleaved; first is the running count of the
+//     batch's first sample (as view().sampleCount); beats: [{ at, delay }], an R-peak
+//     confirmed at sample `at` of the batch, `delay` samples before it
+//   { type: 'quality', results }  per-lead grades, once a second after the window fills
+// Device metadata and calibration messages also update the settings here.
+export function createLivePipeline(initial = {}){
+  let settings = { ...DEFAULT_LIVE_SETTINGS, ...initial }
+  let decoder = createStreamDecoder()
+  let filter = null
+  let qrs = null
+  let quality = null
+  let buffers = []
+  let writeIndex = 0
+  let sampleCount = 0
+  // beat marks are absolute sample counts
+  let beatMarks = []
+  let heartRate = { bpm: null, rr: null }
+  let frozen = null // view() snapshot shown instead of the live buffers
+  let version = 0 // bumped on every change the display shows
+
+  const bufferLength = () => liveBufferLength(settings)
+
+  function resetBuffers(){
+    buffers = Array.from({ length: LIVE_LEAD_COUNT }, () => new Float32Array(bufferLength()))
+    writeIndex = 0
+  }
+
+  function resetFilter(){
+    filter = createFilterChain(settings.filterSettings, settings.sampleRate, LIVE_LEAD_COUNT)
+  }
+
+  // beat detector and quality window timing depend on the sample rate
+  function resetDetection(){
+    qrs = createQrsDetector(settings.sampleRate)
+    quality = createQualityMonitor(settings.sampleRate, LIVE_LEAD_COUNT)
+    beatMarks = []
+    heartRate = { bpm: null, rr: null }
+  }
+
+  function configure(changes){
+    const prev = settings
+    settings = { ...settings, ...changes }
+    const rateChanged = settings.sampleRate !== prev.sampleRate
+    if (rateChanged || bufferLength() !== buffers[0].length) resetBuffers()
+    if (rateChanged || !sameSettings(settings.filterSettings, prev.filterSettings)) resetFilter()
+    if (rateChanged) resetDetection()
+    version++
+  }
+
+  // the same fields the app takes from the metadata line
+  function applyMeta(meta){
+    const changes = { adc: meta.adcBits || meta.vref ? { bits: meta.adcBits, vref: meta.vref } : null }
+    if (meta.sampleRate) changes.sampleRate = meta.sampleRate
+    if (meta.units) changes.inputUnits = meta.units === 'adc' ? 'adc' : 'mv'
+    if (meta.calibration) changes.calibrating = meta.calibration === 'running'
+    configure(changes)
+  }
+
+  // units -> filter -> R-peak detection -> quality window -> ring buffer
+  function ingest(values, batch){
+    const input = values.map(v => valueToMv(v, settings.inputUnits, settings.adc))
+    const mvs = settings.filterOn ? input.map((v, i) => filter.process(i, v)) : input
+
+    // R-peak detection on Lead II; the detector reports beats `delay` samples late
+    const beat = qrs.process(mvs[1])
+    if (beat){
+      beatMarks.push(sampleCount - beat.delay)
+      const oldest = sampleCount - buffers[0].length
+      while (beatMarks.length && beatMarks[0] < oldest) beatMarks.shift()
+      if (beat.rr) heartRate = { bpm: qrs.heartRate(), rr: beat.rr }
+      quality.beat(quality.sampleCount() - beat.delay)
+      batch.beats.push({ at: batch.count, delay: beat.delay })
+    }
+
+    quality.push(input, mvs)
+    if (quality.sampleCount() % Math.round(settings.sampleRate) === 0){
+      const results = quality.assess({ rails: inputRailsMv(settings.inputUnits, settings.adc), checkOffset: settings.inputUnits === 'mv' })
+      if (results) batch.quality = results
+    }
+
+    for (let k = 0; k < LIVE_LEAD_COUNT; k++){
+      buffers[k][writeIndex] = mvs[k] || 0
+      batch.raw.push(values[k])
+      batch.values.push(mvs[k])
+    }
+    writeIndex = (writeIndex + 1) % buffers[0].length
+    sampleCount++
+    batch.count++
+  }
+
+  function push(chunk){
+    const items = []
+    let batch = null
+    const flush = () => {
+      if (!batch) return
+      items.push({ type: 'samples', first: batch.first, count: batch.count, raw: Float64Array.from(batch.raw), values: Float64Array.from(batch.values), beats: batch.beats })
+      if (batch.quality) items.push({ type: 'quality', results: batch.quality })
+      batch = null
+    }
+    for (const parsed of decoder.push(chunk)){
+      if (parsed.type === 'sample'){
+        // unstable signal during the device's auto-calibration is not shown or recorded
+        if (settings.calibrating) continue
+        // frames in microvolts arrive as mV whatever the input units setting says
+        if (parsed.units === 'mv' && settings.inputUnits !== 'mv'){
+          flush()
+          configure({ inputUnits: 'mv' })
+          items.push({ type: 'units', units: 'mv' })
+        }
+        if (!batch) batch = { first: sampleCount, count: 0, raw: [], values: [], beats: [], quality: null }
+        ingest(parsed.values, batch)
+        continue
+      }
+      flush()
+      if (parsed.type === 'meta') applyMeta(parsed.meta)
+      if (parsed.type === 'calibration') configure({ calibrating: parsed.state === 'start' })
+      items.push(parsed)
+    }
+    flush()
+    if (items.length) version++
+    return items
+  }
+
+  // new connection: fresh decoder and beat detection, settings applied first
+  function reset(changes = {}){
+    configure(changes)
+    decoder = createStreamDecoder()
+    resetDetection()
+  }
+
+  // keep showing the buffers as they are now while samples keep arriving; returns
+  // { sampleCount } of the frozen view
+  function freeze(){
+    frozen = { buffers: buffers.map(b => b.slice()), writeIndex, sampleCount, beatMarks: beatMarks.slice(), heartRate }
+    version++
+    return { sampleCount }
+  }
+
+  function unfreeze(){
+    frozen = null
+    version++
+  }
+
+  function view(){
+    const shown = frozen || { buffers, writeIndex, sampleCount, beatMarks, heartRate }
+    return { ...shown, settings, version }
+  }
+
+  resetBuffers()
+  resetFilter()
+  resetDetection()
+
+  return { push, configure, reset, freeze, unfreeze, view, stats: () => decoder.stats() }
+}
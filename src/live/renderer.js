@@ -0,0 +1,287 @@
+// Live trace rendering: the leads of the chosen layout (report/layout.js) on dark ECG
+// paper, on one canvas, with beat markers and the heart rate. Only uses the 2D
+// context, so it draws the same on a <canvas> or on an OffscreenCanvas handed to the
+// live worker.
+//
+// Two display modes: 'scroll' moves the whole window left as samples arrive; 'sweep'
+// (bedside monitor style) writes new samples at a moving position with an erase gap
+// ahead of it, and repaints only that strip. The grid, calibration pulses and labels
+// are cached and copied back in, and with more samples than pixels each pixel column
+// is drawn from the min and max of its samples so no peak is lost.
+
+import { LEAD_KEYS } from '../io/leads'
+import { layoutBoxes, normalizeLayout } from '../report/layout'
+import { normalizeScale, leadMmPerMv, calPulseMm } from '../report/scale'
+import { liveBufferLength } from './pipeline'
+
+export const LIVE_ROW_HEIGHT = 100 // px per layout row, and for the rhythm strip
+
+export const DISPLAY_MODES = [
+  { id: 'scroll', label: 'Scroll' },
+  { id: 'sweep', label: 'Sweep (monitor)' }
+]
+
+const SWEEP_GAP_SECONDS = 0.2 // erased ahead of the sweep position
+const HEART_RATE_BOX_HEIGHT = 20
+
+// samples erased ahead of the sweep position in a box `span` samples wide
+const sweepGap = (span, sampleRate) => Math.min(span - 2, Math.max(1, Math.round(SWEEP_GAP_SECONDS * sampleRate)))
+
+// Canvas size for a window of `samples` at the scale's paper speed in every column
+export function liveCanvasSize(samples, sampleRate, pixelsPerMm, layout, scale){
+  const l = normalizeLayout(layout)
+  return {
+    width: Math.max(800, l.cols * Math.floor(samples * pixelsPerMm * normalizeScale(scale).speed / sampleRate)),
+    height: (l.rows + (l.rhythmLead ? 1 : 0)) * LIVE_ROW_HEIGHT
+  }
+}
+
+// Canvas size, lead boxes (each with its mmPerMv, gain included) and pixels per sample
+// for a pipeline's settings
+function liveGeometry(settings){
+  const { width, height } = liveCanvasSize(Math.max(1, Math.floor(settings.sampleRate * settings.secondsWindow)), settings.sampleRate, settings.pixelsPerMm, settings.layout, settings.scale)
+  const layout = layoutBoxes(settings.layout, { width, height, rhythmHeight: LIVE_ROW_HEIGHT })
+  const boxes = (layout.rhythm ? [...layout.cells, { ...layout.rhythm, rhythm: true }] : layout.cells)
+    .map(box => ({ ...box, mmPerMv: leadMmPerMv(settings.scale, box.key) * settings.gain }))
+  const xStep = settings.pixelsPerMm * normalizeScale(settings.scale).speed / settings.sampleRate
+  return { width, height, boxes, xStep }
+}
+
+// Where each lead of a frozen view is drawn with these settings, for calipers
+// (report/calipers.js). frozen: { sampleCount, end }, the view's sample count and the
+// time it ends at in seconds into the recording, which the strips' times then follow.
+// In sweep mode a lead has two strips: the current pass left of the sweep position and
+// the previous one right of its gap.
+export function liveStrips(settings, frozen){
+  const { width, height, boxes, xStep } = liveGeometry(settings)
+  const n = liveBufferLength(settings)
+  const fs = settings.sampleRate
+  const timeOf = c => frozen.end - (frozen.sampleCount - c) / fs // of running sample c
+  const strips = []
+  for (const box of boxes){
+    const span = Math.max(2, Math.min(n, Math.floor(box.width / xStep))) // as drawn
+    const strip = { lead: box.id, rhythm: !!box.rhythm, top: box.y, bottom: box.y + box.height,
+      yBase: box.y + Math.floor(box.height / 2), pxPerSec: xStep * fs, pxPerMv: box.mmPerMv * settings.pixelsPerMm }
+    if (settings.displayMode !== 'sweep'){
+      strips.push({ ...strip, x0: box.x, x1: box.x + (span - 1) * xStep, t0: timeOf(frozen.sampleCount - span) })
+      continue
+    }
+    const base = frozen.sampleCount - frozen.sampleCount % span // first sample of the current pass
+    const position = frozen.sampleCount - base
+    const resume = position + sweepGap(span, fs) // where the previous pass shows again
+    if (position > 1) strips.push({ ...strip, x0: box.x, x1: box.x + (position - 1) * xStep, t0: timeOf(base) })
+    if (base > 0 && resume < span - 1) strips.push({ ...strip, x0: box.x + resume * xStep, x1: box.x + (span - 1) * xStep, t0: timeOf(base - span + resume) })
+  }
+  return { width, height, strips }
+}
+
+const defaultCreateCanvas = (width, height) => typeof OffscreenCanvas !== 'undefined'
+  ? new OffscreenCanvas(width, height)
+  : Object.assign(document.createElement('canvas'), { width, height })
+
+function drawGrid(ctx, width, height, pixelsPerMm){
+  // Dark theme grid
+  ctx.fillStyle = '#0b0f14'
+  ctx.fillRect(0, 0, width, height)
+  const px = pixelsPerMm
+  ctx.strokeStyle = 'rgba(148,163,184,0.12)'
+  ctx.lineWidth = 0.6
+  for (let x = 0; x <= width; x += px){ ctx.beginPath(); ctx.moveTo(x + 0.5, 0); ctx.lineTo(x + 0.5, height); ctx.stroke() }
+  for (let y = 0; y <= height; y += px){ ctx.beginPath(); ctx.moveTo(0, y + 0.5); ctx.lineTo(width, y + 0.5); ctx.stroke() }
+  ctx.strokeStyle = 'rgba(148,163,184,0.22)'
+  ctx.lineWidth = 1.0
+  for (let x = 0; x <= width; x += px * 5){ ctx.beginPath(); ctx.moveTo(x + 0.5, 0); ctx.lineTo(x + 0.5, height); ctx.stroke() }
+  for (let y = 0; y <= height; y += px * 5){ ctx.beginPath(); ctx.moveTo(0, y + 0.5); ctx.lineTo(width, y + 0.5); ctx.stroke() }
+}
+
+// Midline, 1 mV / 200 ms calibration pulse (mmPerMv tall, pulseMm wide) and label of
+// one lead: the static part of its strip
+function drawLeadFrame(ctx, label, xOffset, top, width, height, pixelsPerMm, mmPerMv, pulseMm){
+  const baselineY = top + Math.floor(height / 2)
+
+  // midline
+  ctx.strokeStyle = 'rgba(148,163,184,0.12)'
+  ctx.lineWidth = 0.5
+  ctx.beginPath()
+  ctx.moveTo(xOffset, baselineY + 0.5)
+  ctx.lineTo(xOffset + width, baselineY + 0.5)
+  ctx.stroke()
+
+  // calibration pulse (1 mV, 200 ms) at left
+  const calHeightPx = mmPerMv * pixelsPerMm
+  const calWidthPx = pulseMm * pixelsPerMm
+  const calX = xOffset + 8
+  ctx.fillStyle = '#00d9ff'
+  ctx.shadowColor = 'rgba(0,217,255,0.5)'
+  ctx.shadowBlur = 8
+  ctx.beginPath()
+  ctx.moveTo(calX, baselineY)
+  ctx.lineTo(calX, baselineY - calHeightPx)
+  ctx.lineTo(calX + calWidthPx, baselineY - calHeightPx)
+  ctx.lineTo(calX + calWidthPx, baselineY)
+  ctx.closePath()
+  ctx.fill()
+  ctx.shadowBlur = 0
+
+  // Lead label
+  ctx.fillStyle = 'rgba(229,231,235,0.9)'
+  ctx.font = '12px Inter, system-ui, Arial'
+  ctx.fillText(label, calX + calWidthPx + 6, top + 14)
+}
+
+// Waveform through samples [from, to): xOf(i) and yOf(i) give the position of sample i.
+// With more than one sample per pixel, each pixel column gets a vertical stroke over
+// the min and max of its samples (in the order they occur) instead of every sample.
+function strokeTrace(ctx, from, to, xOf, yOf){
+  if (to - from < 2) return
+  ctx.lineWidth = 1.6
+  ctx.strokeStyle = '#00d9ff'
+  ctx.shadowColor = 'rgba(0,217,255,0.4)'
+  ctx.shadowBlur = 6
+  ctx.beginPath()
+  ctx.moveTo(xOf(from), yOf(from))
+  if (xOf(from + 1) - xOf(from) >= 1){
+    for (let i = from + 1; i < to; i++) ctx.lineTo(xOf(i), yOf(i))
+  } else {
+    let i = from
+    while (i < to){
+      const column = Math.floor(xOf(i))
+      let lo = Infinity, hi = -Infinity, loAt = i, hiAt = i, end = i
+      for (; end < to && Math.floor(xOf(end)) === column; end++){
+        const y = yOf(end)
+        if (y < lo){ lo = y; loAt = end }
+        if (y > hi){ hi = y; hiAt = end }
+      }
+      const x = column + 0.5
+      ctx.lineTo(x, yOf(i))
+      if (loAt <= hiAt){ ctx.lineTo(x, lo); ctx.lineTo(x, hi) }
+      else { ctx.lineTo(x, hi); ctx.lineTo(x, lo) }
+      ctx.lineTo(x, yOf(end - 1))
+      i = end
+    }
+  }
+  ctx.stroke()
+  ctx.shadowBlur = 0
+  ctx.shadowColor = 'transparent'
+}
+
+function drawBeatMarker(ctx, x, top, height){
+  ctx.fillStyle = '#ff2e97'
+  ctx.strokeStyle = 'rgba(255,46,151,0.25)'
+  ctx.lineWidth = 1
+  ctx.beginPath(); ctx.moveTo(x + 0.5, top + 10); ctx.lineTo(x + 0.5, top + height); ctx.stroke()
+  ctx.beginPath(); ctx.moveTo(x - 4, top + 2); ctx.lineTo(x + 4, top + 2); ctx.lineTo(x, top + 9); ctx.closePath(); ctx.fill()
+}
+
+// `boxed` clears the text's background first, for sweep mode where it is redrawn in place
+function drawHeartRate(ctx, { bpm, rr }, width, boxed){
+  const text = bpm ? `♥ ${Math.round(bpm)} bpm  •  RR ${Math.round(rr * 1000)} ms` : '♥ -- bpm  •  RR -- ms'
+  ctx.font = 'bold 12px Inter, system-ui, Arial'
+  const textWidth = ctx.measureText(text).width
+  if (boxed){
+    ctx.fillStyle = '#0b0f14'
+    ctx.fillRect(width - textWidth - 14, 0, textWidth + 14, HEART_RATE_BOX_HEIGHT)
+  }
+  ctx.fillStyle = bpm ? '#ff2e97' : 'rgba(148,163,184,0.7)'
+  ctx.fillText(text, width - textWidth - 8, 14)
+}
+
+// draw(view) paints the pipeline's view() (settings.layout picks the leads) and does
+// nothing when it has not changed since the last frame; the canvas is sized here.
+export function createLiveRenderer(canvas, { createCanvas = defaultCreateCanvas } = {}){
+  let grid = null // cached static layer, with the key it was drawn for
+  let last = null // what the canvas shows: { version, settings, buffers, sampleCount, lastMark }
+
+  function gridLayer(width, height, pixelsPerMm, pulseMm, boxes){
+    const key = JSON.stringify([width, height, pixelsPerMm, pulseMm, boxes])
+    if (grid && grid.key === key) return grid.canvas
+    const layer = createCanvas(width, height)
+    const ctx = layer.getContext('2d')
+    drawGrid(ctx, width, height, pixelsPerMm)
+    for (const box of boxes) drawLeadFrame(ctx, box.label, box.x, box.y, box.width, box.height, pixelsPerMm, box.mmPerMv, pulseMm)
+    grid = { key, canvas: layer }
+    return layer
+  }
+
+  function draw(view){
+    const { buffers, writeIndex, sampleCount, beatMarks, heartRate, settings, version } = view
+    if (last && last.version === version && last.settings === settings) return false
+    const n = buffers[0].length // a window, or one per column under a rhythm strip
+    // each lead at its own amplitude times the gain
+    const { width, height, boxes, xStep } = liveGeometry(settings)
+    // sample with absolute count c, from the ring buffer
+    const ringIndex = c => ((writeIndex - (sampleCount - c)) % n + n) % n
+    const sweep = settings.displayMode === 'sweep'
+    const gapFor = span => sweepGap(span, settings.sampleRate)
+    const fresh = last ? sampleCount - last.sampleCount : -1
+    const minSpan = Math.max(2, Math.min(n, Math.floor(Math.min(...boxes.map(b => b.width)) / xStep)))
+    const incremental = sweep && last && last.settings === settings && last.buffers === buffers && fresh >= 0 && fresh < minSpan - gapFor(minSpan)
+    const previous = last
+    const lastMark = beatMarks.length ? beatMarks[beatMarks.length - 1] : -Infinity
+    last = { version, settings, buffers, sampleCount, lastMark }
+    if (incremental && !fresh) return true
+
+    if (canvas.width !== width) canvas.width = width
+    if (canvas.height !== height) canvas.height = height
+    const ctx = canvas.getContext('2d')
+    const background = gridLayer(width, height, settings.pixelsPerMm, calPulseMm(settings.scale), boxes)
+    if (!incremental) ctx.drawImage(background, 0, 0)
+
+    for (const box of boxes){
+      const ring = buffers[LEAD_KEYS.indexOf(box.key)] // the pipeline keeps leads in LEAD_KEYS order
+      const sign = box.invert ? -1 : 1
+      const baselineY = box.y + Math.floor(box.height / 2)
+      const pxPerMv = box.mmPerMv * settings.pixelsPerMm
+      const yOf = c => baselineY - sign * (ring[ringIndex(c)] || 0) * pxPerMv
+      const span = Math.max(2, Math.min(n, Math.floor(box.width / xStep))) // samples across the box
+
+      if (!sweep){
+        // scroll: the newest `span` samples, oldest on the left
+        const first = sampleCount - span
+        strokeTrace(ctx, first, sampleCount, c => box.x + (c - first) * xStep, yOf)
+        for (const mark of beatMarks) if (mark >= first && mark < sampleCount) drawBeatMarker(ctx, box.x + (mark - first) * xStep, box.y, box.height)
+        continue
+      }
+
+      // sweep: sample c sits at position c % span; [from, sampleCount) is (re)drawn and
+      // [erase, sampleCount + gap) is restored from the grid first
+      const gap = gapFor(span)
+      let erase, from
+      if (incremental){
+        erase = previous.sampleCount
+        // back to the start of the pixel column the last frame ended in, plus one sample to join up
+        const column = Math.floor((erase % span) * xStep)
+        from = erase
+        while (from > erase - span && from % span && Math.floor(((from - 1) % span) * xStep) === column) from--
+        if (from % span) from--
+      } else {
+        erase = sampleCount
+        from = Math.max(0, sampleCount - (span - gap))
+      }
+      // one pass of the sweep at a time: split [a, b) where it wraps
+      const segments = (a, b, fn) => {
+        for (let c = a; c < b;){
+          const base = Math.floor(c / span) * span
+          const end = Math.min(b, base + span)
+          fn(c, end, base)
+          c = end
+        }
+      }
+      segments(erase, sampleCount + gap, (a, b, base) => {
+        const x0 = Math.floor(box.x + (a - base) * xStep)
+        const x1 = Math.min(Math.ceil(box.x + (b - base) * xStep) + 1, Math.ceil(box.x + box.width))
+        if (x1 > x0) ctx.drawImage(background, x0, box.y, x1 - x0, box.height, x0, box.y, x1 - x0, box.height)
+      })
+      segments(from, sampleCount, (a, b, base) => strokeTrace(ctx, a, b, c => box.x + (c - base) * xStep, yOf))
+      // beats are confirmed a little late, so new marks land behind the sweep
+      const oldest = Math.max(from, sampleCount - (span - gap))
+      for (const mark of beatMarks){
+        if (mark < sampleCount && (mark >= oldest || (incremental && mark > previous.lastMark && mark >= sampleCount - (span - gap)))) drawBeatMarker(ctx, box.x + (mark % span) * xStep, box.y, box.height)
+      }
+    }
+    drawHeartRate(ctx, heartRate, width, sweep)
+    return true
+  }
+
+  return { draw }
+}
@@ -0,0 +1,57 @@
+// Live worker: runs the ingestion pipeline and paints the traces on the OffscreenCanvas
+// transferred from the page, so parsing, filtering and drawing at 500-1000 Hz stay off
+// the main thread. Sample batches go back to the page as transferred Float64Arrays.
+//   in:  init { canvas, settings }, configure { changes }, chunk { chunk },
+//        reset { changes }, freeze { id }, unfreeze, snapshot { id }
+//   out: items { items, stats }, frozen { id, frozen }, snapshot { id, blob, error }
+
+import { createLivePipeline } from './pipeline'
+import { createLiveRenderer } from './renderer'
+
+let pipeline = null
+let renderer = null
+let canvas = null
+
+const nextFrame = typeof requestAnimationFrame === 'function' ? requestAnimationFrame : cb => setTimeout(cb, 16)
+
+function frame(){
+  renderer.draw(pipeline.view())
+  nextFrame(frame)
+}
+
+function postItems(items){
+  const transfer = []
+  for (const item of items) if (item.type === 'samples') transfer.push(item.raw.buffer, item.values.buffer)
+  self.postMessage({ type: 'items', items, stats: pipeline.stats() }, transfer)
+}
+
+self.onmessage = async ev => {
+  const msg = ev.data
+  if (msg.type === 'init'){
+    canvas = msg.canvas
+    pipeline = createLivePipeline(msg.settings)
+    renderer = createLiveRenderer(canvas)
+    nextFrame(frame)
+    return
+  }
+  if (!pipeline) return
+  switch (msg.type){
+    case 'configure': pipeline.configure(msg.changes); break
+    case 'chunk': {
+      const items = pipeline.push(msg.chunk)
+      if (items.length) postItems(items)
+      break
+    }
+    case 'reset': pipeline.reset(msg.changes); break
+    case 'freeze': self.postMessage({ type: 'frozen', id: msg.id, frozen: pipeline.freeze() }); break
+    case 'unfreeze': pipeline.unfreeze(); break
+    case 'snapshot':
+      try {
+        const blob = await canvas.convertToBlob({ type: 'image/png' })
+        self.postMessage({ type: 'snapshot', id: msg.id, blob })
+      } catch (e){
+        self.postMessage({ type: 'snapshot', id: msg.id, error: e.message || String(e) })
+      }
+      break
+  }
+}
@@ -0,0 +1,99 @@
+// Caliper measurements on a drawn strip, shared by the on-screen overlays, the report
+// image and the PDF. A strip is where one lead was drawn, in canvas pixels (mm in the PDF):
+//   { lead, rhythm, x0, x1, top, bottom, yBase, pxPerSec, pxPerMv, t0 }
+// with t0 the time at x0 in seconds into the recording, on the report and on the frozen
+// live view alike. Lead ids as in layout.js, so −aVR is measured as shown. A caliper is
+//   { kind: 'time' | 'amplitude' | 'march', lead, rhythm, t1, t2, v1, v2, source: 'report' | 'live' }
+// and keeps both ends in seconds and mV, so it can be drawn again on any strip that
+// shows that stretch of its lead.
+
+import { layoutLeadLabel } from './layout'
+
+export const CALIPER_MODES = [
+  { id: 'off', label: 'Off' },
+  { id: 'calipers', label: 'Calipers' },
+  { id: 'march', label: 'March-out' },
+  { id: 'crosshair', label: 'Crosshair' }
+]
+
+const TICK = 12 // half-length of the amplitude caliper's ends, in units of `size` (px)
+
+export function stripAt(strips, x, y){
+  return strips.find(s => x >= s.x0 && x <= s.x1 && y >= s.top && y <= s.bottom) || null
+}
+
+const EPSILON = 1e-6 // s
+
+function showsTime(strip, t){
+  return t >= strip.t0 - EPSILON && t <= strip.t0 + (strip.x1 - strip.x0) / strip.pxPerSec + EPSILON
+}
+
+// Strip showing a caliper's lead over its whole time range, a strip of the same kind
+// (rhythm or not) first; null when none does
+export function caliperStrip(strips, c){
+  const fits = strips.filter(s => s.lead === c.lead && showsTime(s, c.t1) && showsTime(s, c.t2))
+  return fits.find(s => !!s.rhythm === !!c.rhythm) || fits[0] || null
+}
+
+export function pointValue(strip, x, y){
+  return { t: strip.t0 + (x - strip.x0) / strip.pxPerSec, v: (strip.yBase - y) / strip.pxPerMv }
+}
+
+export function pointPosition(strip, t, v){
+  return { x: strip.x0 + (t - strip.t0) * strip.pxPerSec, y: strip.yBase - v * strip.pxPerMv }
+}
+
+// Caliper between two canvas points on a strip: time for a mostly horizontal drag,
+// amplitude for a vertical one; march-out repeats the time interval. Null when too short.
+export function caliperFromDrag(strip, start, end, mode, source){
+  const dx = Math.abs(end.x - start.x), dy = Math.abs(end.y - start.y)
+  if (Math.max(dx, dy) < 3) return null
+  const a = pointValue(strip, start.x, start.y), b = pointValue(strip, end.x, end.y)
+  const kind = mode === 'march' ? 'march' : dx >= dy ? 'time' : 'amplitude'
+  return { kind, lead: strip.lead, rhythm: !!strip.rhythm, t1: a.t, t2: b.t, v1: a.v, v2: b.v, source }
+}
+
+const fmtInterval = dt => `${Math.round(dt * 1000)} ms (${Math.round(60 / dt)} bpm)`
+
+// '800 ms (75 bpm)', '1.20 mV', 'March-out 800 ms (75 bpm)'
+export function caliperText(c){
+  if (c.kind === 'amplitude') return `${(c.v2 - c.v1).toFixed(2)} mV`
+  const text = fmtInterval(Math.abs(c.t2 - c.t1))
+  return c.kind === 'march' ? `March-out ${text}` : text
+}
+
+// 'Lead II: 800 ms (75 bpm)', for lists of measurements; `shown` false notes that the
+// caliper is not drawn on any strip of that list's report
+export function describeCaliper(c, shown = true){
+  const where = `${layoutLeadLabel(c.lead)}${c.rhythm ? ' rhythm' : ''}${c.source === 'live' ? ' (live view)' : ''}`
+  return `${where}: ${caliperText(c)}${shown ? '' : ' (outside the strips shown)'}`
+}
+
+// Lines ([x1, y1, x2, y2]) and label ({ x, y, text }) of a caliper on its strip; `size`
+// is a screen pixel in the strip's units, for the tick and label offsets
+export function caliperShapes(strip, c, size = 1){
+  const p1 = pointPosition(strip, c.t1, c.v1), p2 = pointPosition(strip, c.t2, c.v2)
+  const tick = TICK * size
+  if (c.kind === 'amplitude'){
+    return {
+      lines: [[p1.x - tick, p1.y, p1.x + tick, p1.y], [p1.x - tick, p2.y, p1.x + tick, p2.y], [p1.x, p1.y, p1.x, p2.y]],
+      label: { x: p1.x + tick + 3 * size, y: (p1.y + p2.y) / 2 + 4 * size, text: caliperText(c) }
+    }
+  }
+  const lines = [[p1.x, p1.y, p2.x, p1.y]]
+  const xs = [p1.x, p2.x]
+  const step = Math.abs(p2.x - p1.x)
+  if (c.kind === 'march' && step >= 2 * size){
+    // the interval repeated both ways across the strip
+    for (let x = Math.min(p1.x, p2.x) - step; x >= strip.x0; x -= step) xs.push(x)
+    for (let x = Math.max(p1.x, p2.x) + step; x <= strip.x1; x += step) xs.push(x)
+  }
+  for (const x of xs) lines.push([x, strip.top, x, strip.bottom])
+  return { lines, label: { x: Math.min(p1.x, p2.x) + 3 * size, y: p1.y - 5 * size, text: caliperText(c) } }
+}
+
+// '1.234 s  0.52 mV' under the crosshair
+export function crosshairText(strip, x, y){
+  const { t, v } = pointValue(strip, x, y)
+  return `${t.toFixed(3)} s  ${v.toFixed(2)} mV`
+}
@@ -0,0 +1,80 @@
+// Lead layouts shared by the live view, the report and the PDF: which lead goes in
+// each cell of a rows × columns grid (read row by row, '' leaves a cell empty), plus
+// an optional full-width rhythm strip under the grid. A leading '-' inverts a lead,
+// as Cabrera's −aVR. Reports keep the layout they were captured with.
+
+import { LEAD_KEYS } from '../io/leads'
+
+export const LEAD_LAYOUTS = [
+  { id: 'pairs', label: '3×2 (paired)', rows: 3, cols: 2, cells: ['I', 'aVL', 'II', 'aVF', 'III', 'aVR'] },
+  { id: 'column', label: '6×1', rows: 6, cols: 1, cells: ['I', 'II', 'III', 'aVR', 'aVL', 'aVF'] },
+  { id: 'grid', label: '2×3', rows: 2, cols: 3, cells: ['I', 'II', 'III', 'aVR', 'aVL', 'aVF'] },
+  { id: 'cabrera', label: 'Cabrera (6×1)', rows: 6, cols: 1, cells: ['aVL', 'I', '-aVR', 'II', 'aVF', 'III'] },
+  { id: 'custom', label: 'Custom' }
+]
+
+// choices for a custom cell and for the rhythm strip
+export const LAYOUT_LEADS = [...LEAD_KEYS, '-aVR']
+export const MAX_LAYOUT_ROWS = 6
+export const MAX_LAYOUT_COLS = 3
+
+export const DEFAULT_LAYOUT = { id: 'pairs', rows: 3, cols: 2, cells: LEAD_LAYOUTS[0].cells, rhythmLead: null }
+
+// 'Lead I' / 'aVF' / '−aVR', as the live view and report label their strips
+export function layoutLeadLabel(id){
+  const invert = id.startsWith('-')
+  const key = invert ? id.slice(1) : id
+  const name = key.startsWith('a') ? key : `Lead ${key}`
+  return invert ? `−${name}` : name
+}
+
+// { id, key, invert, label } of a cell or rhythm lead id, or null for an empty or unknown one
+export function layoutLead(id){
+  if (!id) return null
+  const invert = id.startsWith('-')
+  const key = invert ? id.slice(1) : id
+  return LEAD_KEYS.includes(key) ? { id, key, invert, label: layoutLeadLabel(id) } : null
+}
+
+// A complete layout from a stored or partial one (reports saved before layouts get the default)
+export function normalizeLayout(layout){
+  const l = { ...DEFAULT_LAYOUT, ...(layout || {}) }
+  const rows = Math.max(1, Math.min(MAX_LAYOUT_ROWS, Math.round(l.rows) || 1))
+  const cols = Math.max(1, Math.min(MAX_LAYOUT_COLS, Math.round(l.cols) || 1))
+  const cells = Array.from({ length: rows * cols }, (_, i) => layoutLead(l.cells[i]) ? l.cells[i] : '')
+  return { id: l.id, rows, cols, cells, rhythmLead: layoutLead(l.rhythmLead) ? l.rhythmLead : null }
+}
+
+// Switch to a preset; 'custom' starts from the current arrangement
+export function applyLayoutPreset(layout, id){
+  const preset = LEAD_LAYOUTS.find(p => p.id === id)
+  if (!preset || id === 'custom') return normalizeLayout({ ...layout, id: 'custom' })
+  return normalizeLayout({ ...preset, rhythmLead: layout ? layout.rhythmLead : null })
+}
+
+// Boxes for the layout inside { x, y, width, height }: gaps between cells, and
+// rhythmHeight reserved for the strip when the layout has one. Returns
+// { cells: [{ id, key, invert, label, row, col, x, y, width, height }], rhythm: box | null }
+// with empty cells left out.
+export function layoutBoxes(layout, { x = 0, y = 0, width, height, gapX = 0, gapY = 0, rhythmHeight = 0 }){
+  const l = normalizeLayout(layout)
+  const rhythmLead = layoutLead(l.rhythmLead)
+  const gridHeight = rhythmLead ? height - rhythmHeight - gapY : height
+  const cellW = (width - (l.cols - 1) * gapX) / l.cols
+  const cellH = (gridHeight - (l.rows - 1) * gapY) / l.rows
+  const cells = []
+  l.cells.forEach((id, i) => {
+    const lead = layoutLead(id)
+    if (!lead) return
+    const row = Math.floor(i / l.cols), col = i % l.cols
+    cells.push({ ...lead, row, col, x: x + col * (cellW + gapX), y: y + row * (cellH + gapY), width: cellW, height: cellH })
+  })
+  const rhythm = rhythmLead ? { ...rhythmLead, x, y: y + gridHeight + gapY, width, height: rhythmHeight } : null
+  return { cells, rhythm }
+}
+
+// A lead's samples as shown in a cell: inverted leads are negated
+export function cellSamples(samples, cell){
+  if (!samples || !cell.invert) return samples
+  return Array.from(samples, v => -v)
+}
@@ -0,0 +1,47 @@
+// Paper speed and amplitude shared by the live view, the report and the PDF. The
+// amplitude can be set per lead (a tall aVR at half size, say); the gain multiplier
+// applies on top, and everything that labels a scale shows the result. Reports keep
+// the scale they were captured with.
+
+import { LEAD_KEYS } from '../io/leads'
+
+export const PAPER_SPEEDS = [12.5, 25, 50] // mm/s
+export const AMPLITUDES = [2.5, 5, 10, 20] // mm/mV
+
+// leads: { aVR: 5, … } mm/mV for leads that differ from mmPerMv
+export const DEFAULT_SCALE = { speed: 25, mmPerMv: 10, leads: {} }
+
+const CAL_PULSE_SECONDS = 0.2
+
+// A complete scale from a stored or partial one (reports saved before scales get the default)
+export function normalizeScale(scale){
+  const s = { ...DEFAULT_SCALE, ...(scale || {}) }
+  const speed = PAPER_SPEEDS.includes(s.speed) ? s.speed : DEFAULT_SCALE.speed
+  const mmPerMv = AMPLITUDES.includes(s.mmPerMv) ? s.mmPerMv : DEFAULT_SCALE.mmPerMv
+  const leads = {}
+  for (const key of LEAD_KEYS){
+    const v = s.leads && s.leads[key]
+    if (AMPLITUDES.includes(v) && v !== mmPerMv) leads[key] = v
+  }
+  return { speed, mmPerMv, leads }
+}
+
+// mm per mV of one lead (LEAD_KEYS key), before gain
+export function leadMmPerMv(scale, key){
+  const s = normalizeScale(scale)
+  return s.leads[key] || s.mmPerMv
+}
+
+// Width of the 1 mV calibration pulse: 200 ms at the paper speed
+export function calPulseMm(scale){
+  return CAL_PULSE_SECONDS * normalizeScale(scale).speed
+}
+
+const fmt = v => `${+v.toFixed(2)}`
+
+// '25 mm/s, 10 mm/mV (aVR 5 mm/mV)', amplitudes times gain
+export function describeScale(scale, gain = 1){
+  const s = normalizeScale(scale)
+  const perLead = Object.entries(s.leads).map(([key, v]) => `${key} ${fmt(v * gain)} mm/mV`)
+  return `${fmt(s.speed)} mm/s, ${fmt(s.mmPerMv * gain)} mm/mV${perLead.length ? ` (${perLead.join(', ')})` : ''}`
+}